@@ -6,16 +6,15 @@ import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
 import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
 import { ShaderPass } from 'three/addons/postprocessing/ShaderPass.js';
 import { OutputPass } from 'three/addons/postprocessing/OutputPass.js';
+import { BokehPass } from 'three/addons/postprocessing/BokehPass.js';
+import { Octree } from 'three/addons/math/Octree.js';
+import { Capsule } from 'three/addons/math/Capsule.js';
 
-// Portal names - easy to edit here
-const portalNames = [
-    "Proof Verified",
-    "Proved ur Love",
-    "Prover",
-    "Proofer",
-    "SP1up",
-    "Super Prover"
-];
+// Village content manifest (portal, sign and poster texts) - edit village.json, not this file
+// Entry keys are node names from scene.glb (e.g. "Portal001"), unmatched keys are reported after load
+const MANIFEST_URL = 'village.json';
+const MANIFEST_VERSION = 1; // Highest manifest version this script understands
+const MANIFEST_SECTIONS = ['portals', 'signs', 'wanted'];
 
 // Main variables
 let scene, camera, renderer;
@@ -26,38 +25,73 @@ let portalSpotLight; // Spotlight from the portal
 let portalPointLight; // Additional point light for volumetric glow effect
 let portals = []; // Array of portals with information
 let infoSigns = []; // Array of information signs
-let activeInfoSign = null; // Current active sign
 let wantedBoard = null; // Wanted board
-let activeWantedBoard = false; // Flag for wanted board activity
 let wantedObjects = []; // Array of wanted objects (want1-want6)
 let raycaster = new THREE.Raycaster(); 
 let mouse = new THREE.Vector2();
 let collisionObjects = []; // Array of objects the character can collide with
 let floor;
-let moveSpeed = 0.1;
+let moveSpeed = 6; // Movement speed, units per second
 let characterHeight = 0;
 let characterSize = 0.5;
-let isNightMode = true; // Lighting mode flag (night mode by default)
+let isNightMode = true; // Active lighting profile is dark (night by default), see LIGHTING_PROFILES
 let dayLight; // Light source for day mode
 let torchLights = []; // Array for storing torch light sources
 let fixedCameraPosition = new THREE.Vector3(30, 35, 30);
 let infoPanel = null; // Reference to the information panel
-let activePortal = null; // Current active portal
+let interactables = []; // Registry of objects the player can interact with using E
+let activeInteractable = null; // Interactable currently selected for E
+let interactPrompt = null; // Single prompt element for the active interactable
+let approachPrompts = []; // Prompts of approach-only behaviors, shown nearby but not selected for E
+let activeApproachPrompt = null; // Approach prompt currently shown
+let approachHint = null; // Element of the shown approach prompt
 let torchMeshes = []; // Array of torch objects
 let switchObject = null; // Switch object from Blender
 let switchLight = null; // Light from switch in night mode
 let switchAnimation = null; // Switch animation
 let isSwitchAnimating = false; // Flag to track switch animation
-let textModeNight = null; // Night mode icon object TextMode1
-let textModeDay = null; // Day mode icon object TextMode2
-let collisionRaycaster; // Raycaster for collision detection
+let collisionOctree = null; // Triangles of collidable meshes, built once after scene load
+let dynamicColliders = []; // Collidable meshes that move (switch): { mesh, octree }, octree is rebuilt where they stop
+let groundOctree = null; // Triangles of walkable meshes and collider tops, ground is probed against them
+let verticalVelocity = 0; // Character speed up (jump) or down (fall), units per second
+let isCharacterGrounded = true; // Character stands on ground
+let isJumpRequested = false; // Space pressed, jump happens on next simulation step
+const lastGroundedPosition = new THREE.Vector3(); // Character is returned here after falling out of world
 let characterBoundingBox; // Character bounding box for collisions
-let stairObjects = []; // Array of stair objects
-let stairClimbSpeed = 0.15; // Stair climbing speed
-let walkSound; // Walking sound
+let walkableObjects = []; // Floor and stair meshes, navigation grid is built over them
+let stepClimbSpeed = 9; // Speed of climbing onto higher ground (steps, stairs), units per second
+let walkSound; // Walking sound, played in short footsteps
+const FOOTSTEP_SOUND_LENGTH = 0.3; // Part of walking sound played per footstep, seconds
+
+// Crab animation: clips through AnimationMixer, procedural legs and bobbing for models without clips
+const CHARACTER_CLIP_NAMES = { idle: /idle/i, walk: /walk|run|move/i, turn: /turn|rotate/i };
+const CHARACTER_CROSSFADE_TIME = 0.25; // Crossfade between idle, walk and turn clips, seconds
+const WALK_CYCLES_PER_UNIT = 0.6; // Procedural walk cycles per unit walked (or radian turned)
+let characterAnimation = null; // Animation state of loaded crab model
+const characterMotion = { speed: 0, turnRate: 0 }; // Walking and turning speed in last simulation step
 let portalSound; // Portal opening sound
 let backgroundMusic; // Background music
 
+// Fixed-timestep simulation (movement, collisions, proximity checks and timed effects)
+const SIMULATION_STEP = 1 / 60; // Simulation step, seconds
+const MAX_FRAME_TIME = 0.25; // Longer frames (tab in background) are cut to avoid catching up for seconds
+let simulationAccumulator = 0; // Time not yet simulated, seconds
+let simulationTime = 0; // Simulated time since start, seconds
+let lastFrameTime = null; // Time of previous rendered frame, seconds
+let isSimulationPaused = false; // Pause flag, frames are still rendered while paused
+const isDebugMode = new URLSearchParams(window.location.search).has('debug'); // F8 pauses, F9 steps
+let pendingSimulationSteps = 0; // Single steps requested while paused
+const previousCharacterPosition = new THREE.Vector3(); // Character position before last step, for interpolation
+let previousCharacterRotation = 0; // Character rotation before last step
+let interpolatedCharacter = null; // Character object previous state belongs to
+const _renderCharacterPosition = new THREE.Vector3(); // Simulated character position while interpolated one is rendered
+let renderCharacterRotation = 0; // Simulated character rotation while interpolated one is rendered
+
+// Animation scheduler state
+let activeTweens = []; // Running tweens
+let activeTickers = []; // Per-frame callbacks (flicker, pulse)
+const tweenChannels = {}; // Running tween of each channel
+
 // Переиспользуемые переменные для векторов и других объектов
 const _tempVector = new THREE.Vector3();
 const _tempVector2 = new THREE.Vector3();
@@ -66,29 +100,48 @@ const _tempQuaternion = new THREE.Quaternion();
 const _tempColor = new THREE.Color();
 const _tempBox = new THREE.Box3();
 const _tempMatrix = new THREE.Matrix4();
+const _tempEuler = new THREE.Euler();
 const _tempRaycaster = new THREE.Raycaster();
+const _yAxis = new THREE.Vector3(0, 1, 0);
+const _tempVector2D = new THREE.Vector2();
 
 // Camera control variables
 let cameraMinDistance = 20; // Minimum distance to character
 let cameraMaxDistance = 50; // Maximum distance to character
 let currentCameraDistance = 35; // Current distance
 let baseCameraPosition = new THREE.Vector3(30, 35, 30); // Base camera position
-let cameraOffsetX = 0; // Camera X offset
-let cameraOffsetY = 0; // Camera Y offset
-let maxCameraOffset = 15; // Maximum camera offset
+let cameraYaw = Math.atan2(baseCameraPosition.x, baseCameraPosition.z); // Camera angle around character, radians
+let cameraPitch = Math.atan2(baseCameraPosition.y, Math.hypot(baseCameraPosition.x, baseCameraPosition.z)); // Camera angle above ground, radians
+const CAMERA_MIN_PITCH = THREE.MathUtils.degToRad(15);
+const CAMERA_MAX_PITCH = THREE.MathUtils.degToRad(80);
+const CAMERA_ROTATE_SPEED = 0.005; // Radians per dragged pixel
+const CAMERA_FOLLOW_SHARPNESS = 6; // How fast camera catches up with character, 1/s
+const CAMERA_TARGET_HEIGHT = 0.5; // Camera looks at this point above character feet, units
+const cameraFollowTarget = new THREE.Vector3(); // Smoothed point camera looks at
+let isCameraFollowTargetSet = false; // Follow target starts at character once it exists
+const lastFollowedCharacterPosition = new THREE.Vector3(); // Character position camera last saw, to tell if it walks
 let isDragging = false; // Camera dragging flag
 let lastMouseX = 0; // Last mouse X position
 let lastMouseY = 0; // Last mouse Y position
 
-// For selective Bloom effect
+// For selective Bloom effect: glowing objects are drawn by camera layer over depth of the whole scene
 const BLOOM_SCENE = 1;
 const bloomLayer = new THREE.Layers();
 bloomLayer.set(BLOOM_SCENE);
-const darkMaterial = new THREE.MeshBasicMaterial({ color: 'black' });
-const materials = {};
+const bloomDepthMaterial = new THREE.MeshBasicMaterial({ colorWrite: false }); // Depth prepass, hides glow behind walls
+bloomDepthMaterial.polygonOffset = true; // Glowing surfaces pass depth test against their own prepass depth
+bloomDepthMaterial.polygonOffsetFactor = 1;
+bloomDepthMaterial.polygonOffsetUnits = 1;
+const bloomCamera = new THREE.PerspectiveCamera(); // Copy of camera that sees only glow layer
+const _savedClearColor = new THREE.Color();
+let bloomPrepassHidden = []; // See-through meshes, they don't hide glow (collected once when world is loaded)
+let bloomSkippedNodes = []; // Subtrees without glowing objects and lights, glow render doesn't walk them
+let isBloomCacheDirty = true; // Glow layer changed, skipped subtrees are collected again before next glow render
 
 // Rendering composers
 let bloomComposer, finalComposer;
+let bloomPass; // Glow pass, its strength is changed in photo mode
+let bokehPass; // Depth of field, only used in photo mode
 
 // Bloom effect parameters
 const bloomParams = {
@@ -98,16 +151,6 @@ const bloomParams = {
     exposure: 0.8
 };
 
-// Keyboard control variables
-const keys = {
-    w: false,
-    a: false,
-    s: false,
-    d: false,
-    l: false, // Toggle lighting mode
-    e: false  // Interact with objects
-};
-
 // Movement boundaries
 const movementBounds = {
     minX: -200,
@@ -116,16 +159,80 @@ const movementBounds = {
     maxZ: 200
 };
 
-// URLs for wanted objects
-const wantedUrls = {
-    want1: 'https://t.me/succinct_game_bot?start=stepaks',
-    want2: 'https://t.me/succinct_game_bot?start=godblessme',
-    want3: 'https://t.me/succinct_game_bot?start=crlaze',
-    want4: 'https://t.me/succinct_game_bot?start=Yinger',
-    want5: 'https://t.me/succinct_game_bot?start=M4lka',
-    want6: 'https://t.me/succinct_game_bot?start=Pixie'
+// Fading of walls and roofs between camera and character
+const CAMERA_FADE_OPACITY = 0.25; // Opacity of objects that block view
+const CAMERA_FADE_SPEED = 4; // Opacity change per second
+const CAMERA_OCCLUSION_INTERVAL = 0.1; // Line of sight is checked this often, seconds
+const fadedMeshes = new Map(); // Mesh -> { originalMaterial, fadeMaterial, targetOpacity }
+let cameraOcclusionTime = 0; // Time since last line of sight check, seconds
+
+// Character collision capsule - it starts above MAX_STEP_HEIGHT, so low steps don't block walking
+const CHARACTER_RADIUS = 0.3; // Capsule radius, units
+const CHARACTER_CAPSULE_HEIGHT = 1.2; // Top of capsule above character feet, units
+const MAX_STEP_HEIGHT = 0.35; // Obstacles lower than this are stepped over, units
+const MAX_SLOPE_COS = Math.cos(THREE.MathUtils.degToRad(50)); // Surfaces steeper than 50 degrees are walls
+const characterCapsule = new Capsule();
+
+// Character ground following
+const GRAVITY = 25; // Units per second squared
+const MAX_FALL_SPEED = 30; // Units per second
+const JUMP_ENABLED = true; // Space jumps
+const JUMP_SPEED = 8; // Initial jump speed, units per second
+const GROUND_SNAP_DISTANCE = MAX_STEP_HEIGHT; // Walking down steps this high keeps character on ground
+const FALL_RESET_HEIGHT = -50; // Character below this height is returned to last ground, units
+const GROUND_PROBE_OFFSETS = [[0, 0], [0.5, 0.5], [-0.5, 0.5], [0.5, -0.5], [-0.5, -0.5]]; // In capsule radii
+const groundRay = new THREE.Ray(new THREE.Vector3(), new THREE.Vector3(0, -1, 0));
+
+// Click-to-move navigation grid
+const NAV_CELL_SIZE = 0.5; // Smallest cell size, units
+const NAV_MAX_CELLS = 65536; // Cells are made larger on big scenes to stay below this
+const NAV_SNAP_DISTANCE = 3; // Clicks this far from walkable cells go to nearest one, units
+const NAV_WAYPOINT_RADIUS = 0.2; // Waypoint is reached this close, units
+const NAV_INTERACT_RANGE = 0.8; // Walking to object stops at this part of its interaction radius
+const NAV_STUCK_TIME = 1; // Walking stops after character hardly moves this long, seconds
+const NAV_NEIGHBOURS = [[1, 0], [-1, 0], [0, 1], [0, -1], [1, 1], [1, -1], [-1, 1], [-1, -1]];
+const CLICK_DRAG_TOLERANCE = 5; // Mouse moved further between press and release is a drag, not a click, px
+let navMesh = null; // Grid of walkable cell heights
+let navPath = null; // Waypoints character walks along
+let navPathIndex = 0; // Waypoint character walks to
+let navTarget = null; // Interactable to interact with at end of path
+let navStuckTime = 0; // Time character hardly moved while walking path, seconds
+let destinationMarker = null; // Ring shown at path end
+let pointerDownX = 0; // Where last mouse press or touch started
+let pointerDownY = 0;
+
+// Values accepted in "role" custom property of Blender objects (lowercase, without spaces, - and _)
+const NODE_ROLE_ALIASES = {
+    none: null,
+    portal: 'portal',
+    portallight: 'portalLight',
+    sign: 'sign',
+    info: 'sign',
+    infosign: 'sign',
+    wantedboard: 'wantedBoard',
+    board: 'wantedBoard',
+    wantedposter: 'wantedPoster',
+    poster: 'wantedPoster',
+    hubtrigger: 'hubTrigger',
+    hubmain: 'hubMain',
+    hub: 'hubMain',
+    switch: 'switch',
+    torch: 'torch',
+    modeicon: 'modeIcon', // Icon of profile named in "lightingProfile" custom property
+    modeiconnight: 'modeIconNight',
+    modeiconday: 'modeIconDay'
 };
 
+// Behavior triggers and actions that Blender objects can carry in custom properties
+const BEHAVIOR_TRIGGERS = ['onInteract', 'onClick', 'onApproach', 'whileNight', 'whileDay'];
+const BEHAVIOR_ACTIONS = ['openUrl', 'playSound', 'toggleLighting', 'showPanel', 'glow'];
+let behaviorObjects = []; // Scene nodes with authored behaviors
+const behaviorSounds = {}; // Sounds of playSound actions, by file
+
+// Loaded village manifest and the scene nodes that claimed each entry
+let villageManifest = { version: MANIFEST_VERSION, portals: {}, signs: {}, wanted: {} };
+const claimedManifestEntries = { portals: new Set(), signs: new Set(), wanted: new Set() };
+const unmatchedManifestNodes = { portals: [], signs: [], wanted: [] };
 
 // Shader for combining normal scene and glow effect
 const vertexShader = `
@@ -150,28 +257,171 @@ function easeInOutCubic(t) {
     return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
 }
 
+// Easing functions for tweens
+const Easing = {
+    linear: t => t,
+    easeInCubic: t => t * t * t,
+    easeOutCubic: t => 1 - Math.pow(1 - t, 3),
+    easeInOutCubic: easeInOutCubic
+};
+
+// Function to start a tween, driven by updateScheduler from the main animate() loop
+// Options: duration (seconds), easing, channel, onStart, onUpdate(easedProgress, progress), onComplete, onCancel
+// Starting a tween on a channel (e.g. 'camera') cancels the one running on it
+function startTween(options) {
+    const tween = createTween(options);
+    launchTween(tween);
+    return tween;
+}
+
+// Function to create tween object without starting it
+function createTween(options) {
+    const tween = {
+        duration: options.duration !== undefined ? options.duration : 1,
+        easing: options.easing || Easing.easeInOutCubic,
+        channel: options.channel || null,
+        onStart: options.onStart || null,
+        onUpdate: options.onUpdate || null,
+        onComplete: options.onComplete || null,
+        onCancel: options.onCancel || null,
+        elapsed: 0,
+        state: 'pending', // pending, running, finished, cancelled
+        next: null, // Tween chained with then()
+        
+        // Chain another tween, it starts when this one completes
+        then(nextOptions) {
+            const nextTween = createTween(Object.assign({ channel: tween.channel }, nextOptions));
+            tween.next = nextTween;
+            if (tween.state === 'finished') {
+                launchTween(nextTween);
+            }
+            return nextTween;
+        },
+        
+        // Stop tween and everything chained after it
+        cancel() {
+            if (tween.state === 'finished' || tween.state === 'cancelled') return;
+            const wasRunning = tween.state === 'running';
+            tween.state = 'cancelled';
+            activeTweens = activeTweens.filter(item => item !== tween);
+            if (tween.channel && tweenChannels[tween.channel] === tween) {
+                delete tweenChannels[tween.channel];
+            }
+            if (wasRunning && tween.onCancel) {
+                tween.onCancel();
+            }
+            if (tween.next) {
+                tween.next.cancel();
+            }
+        }
+    };
+    return tween;
+}
+
+// Function to make tween running (cancelling previous tween of its channel)
+function launchTween(tween) {
+    if (tween.state !== 'pending') return;
+    
+    if (tween.channel) {
+        const previous = tweenChannels[tween.channel];
+        if (previous && previous !== tween) {
+            previous.cancel();
+        }
+        tweenChannels[tween.channel] = tween;
+    }
+    
+    tween.state = 'running';
+    activeTweens.push(tween);
+    if (tween.onStart) {
+        tween.onStart();
+    }
+    
+    // Apply first frame right away so there is no frame with old values
+    updateTween(tween, 0);
+}
+
+// Function to advance tween, returns false when it's done
+function updateTween(tween, deltaTime) {
+    if (tween.state !== 'running') return false;
+    
+    tween.elapsed += deltaTime;
+    const progress = tween.duration > 0 ? Math.min(tween.elapsed / tween.duration, 1) : 1;
+    
+    if (tween.onUpdate) {
+        tween.onUpdate(tween.easing(progress), progress);
+    }
+    
+    if (progress < 1 || tween.state !== 'running') {
+        return tween.state === 'running';
+    }
+    
+    tween.state = 'finished';
+    activeTweens = activeTweens.filter(item => item !== tween);
+    if (tween.channel && tweenChannels[tween.channel] === tween) {
+        delete tweenChannels[tween.channel];
+    }
+    if (tween.onComplete) {
+        tween.onComplete();
+    }
+    if (tween.next) {
+        launchTween(tween.next);
+    }
+    return false;
+}
+
+// Function to call callback every frame until it returns false or handle is cancelled
+function startTicker(callback) {
+    const ticker = {
+        callback: callback,
+        cancelled: false,
+        cancel() {
+            ticker.cancelled = true;
+            activeTickers = activeTickers.filter(item => item !== ticker);
+        }
+    };
+    activeTickers.push(ticker);
+    return ticker;
+}
+
+// Function to advance all tweens and tickers, called once per frame
+function updateScheduler(deltaTime) {
+    // Copy lists, callbacks may start or cancel animations
+    activeTweens.slice().forEach(tween => updateTween(tween, deltaTime));
+    
+    activeTickers.slice().forEach(ticker => {
+        if (ticker.cancelled) return;
+        if (ticker.callback(deltaTime) === false) {
+            ticker.cancel();
+        }
+    });
+}
+
 // Main initialization function
 function init() {
     // Create scene with black background
     scene = new THREE.Scene();
     scene.background = new THREE.Color(0x000000); // Black background
     
+    // Sky dome around camera, colored by lighting profile
+    createSky();
+    
     // Set renderer to cover the entire screen
     renderer = new THREE.WebGLRenderer({ 
         antialias: true,
         powerPreference: "high-performance" 
     });
     renderer.setSize(window.innerWidth, window.innerHeight);
-    renderer.setPixelRatio(window.devicePixelRatio);
     renderer.toneMapping = THREE.ReinhardToneMapping;
     renderer.toneMappingExposure = Math.pow(bloomParams.exposure, 4.0);
     
-    // Enable shadows in renderer and use VSMShadowMap for soft shadows
+    // Shadows are enabled by quality preset (VSM soft shadows on Ultra)
     renderer.shadowMap.enabled = true;
-    renderer.shadowMap.type = THREE.VSMShadowMap;
     
     document.body.appendChild(renderer.domElement);
     
+    // Page doesn't scroll or zoom under touch gestures
+    renderer.domElement.style.touchAction = 'none';
+    
     // Set camera with optimized frustum
     // Уменьшаем far plane до 150 (было 1000) для лучшей производительности
     // Устанавливаем near plane в 0.5 вместо 0.1 - всё ещё достаточно для деталей вблизи
@@ -190,11 +440,18 @@ function init() {
     // Set up Bloom effect for glow
     setupPostProcessing();
     
+    // Resolution, shadows and glow of saved (or guessed) quality
+    applyQualityPreset();
+    
     // Add event listeners
-    window.addEventListener('resize', onWindowResize);
-    window.addEventListener('keydown', onKeyDown);
-    window.addEventListener('keyup', onKeyUp);
-    window.addEventListener('click', onClick);
+    listen(window, 'resize', onWindowResize);
+    listen(window, 'keydown', onKeyDown);
+    listen(window, 'keyup', onKeyUp);
+    listen(window, 'blur', releaseAllKeys);
+    listen(window, 'click', onClick);
+    listen(window, 'popstate', onHistoryPopState);
+    listen(window, 'gamepadconnected', onGamepadConnected);
+    listen(window, 'gamepaddisconnected', onGamepadDisconnected);
     
     // Set up camera controls
     setupCameraControls();
@@ -217,40 +474,50 @@ function init() {
     // Add styles for information panel
     addInfoPanelStyles();
     
-    // Initialize raycaster for collision detection
-    collisionRaycaster = new THREE.Raycaster();
+    // Controls screen for rebinding keys
+    addControlsStyles();
+    addPhotoModeStyles();
+    addRecordStyles();
+    createRecordControls();
+    createSettingsButton();
+    createControlsButton();
+    
+    // Current avatar on screen, it opens avatar picker
+    createAvatarLabel();
+    
+    // Joystick and buttons on phones
+    createTouchControls();
     
     // Start animation loop
     animate();
     
     // Add event listeners for mouse interaction
-    window.addEventListener('mousemove', onMouseMove);
-    window.addEventListener('click', onMouseClick);
-    window.addEventListener('mousedown', onMouseDown);
-    window.addEventListener('mouseup', onMouseUp);
+    listen(window, 'mousemove', onMouseMove);
+    listen(window, 'click', onMouseClick);
+    listen(window, 'mousedown', onMouseDown);
+    listen(window, 'mouseup', onMouseUp);
 }
 
 // Post-processing setup (selective Bloom effect)
 function setupPostProcessing() {
-    // Create render pass for the scene
+    // Create render pass for the scene (glow target is drawn by renderBloom itself)
     const renderScene = new RenderPass(scene, camera);
     
     // Create Bloom pass
-    const bloomPass = new UnrealBloomPass(
+    bloomPass = new UnrealBloomPass(
         new THREE.Vector2(window.innerWidth, window.innerHeight),
         bloomParams.strength,
         bloomParams.radius,
         bloomParams.threshold
     );
     
-    // Composer for rendering only glow objects
+    // Composer for blurring glow objects, renderBloom draws them into its read buffer
     bloomComposer = new EffectComposer(renderer);
     bloomComposer.renderToScreen = false;
-    bloomComposer.addPass(renderScene);
     bloomComposer.addPass(bloomPass);
     
     // Shader for combining normal scene and glow effect
-    const mixPass = new ShaderPass(
+    mixPass = new ShaderPass(
         new THREE.ShaderMaterial({
             uniforms: {
                 baseTexture: { value: null },
@@ -263,6 +530,10 @@ function setupPostProcessing() {
     );
     mixPass.needsSwap = true;
     
+    // Depth of field for photos, blurs glow together with scene
+    bokehPass = new BokehPass(scene, camera, { focus: 10, aperture: 0, maxblur: 0.01 });
+    bokehPass.enabled = false;
+    
     // Final output pass
     const outputPass = new OutputPass();
     
@@ -270,672 +541,2884 @@ function setupPostProcessing() {
     finalComposer = new EffectComposer(renderer);
     finalComposer.addPass(renderScene);
     finalComposer.addPass(mixPass);
+    finalComposer.addPass(bokehPass);
     finalComposer.addPass(outputPass);
 }
 
 // Event handlers for key presses
 function onKeyDown(event) {
-    // If viewing wanted board, only process return key
-    if (isViewingWantedBoard) {
-        if (event.key.toLowerCase() === 'e') {
-            returnFromWantedBoard();
+    // Pause and single step keys, enabled with ?debug in URL
+    if (isDebugMode) {
+        if (event.code === 'F8') {
+            setSimulationPaused(!isSimulationPaused);
+            return;
+        }
+        if (event.code === 'F9') {
+            stepSimulationOnce();
+            return;
+        }
+    }
+
+    setGamepadActive(false);
+    
+    // Controls screen takes all keys while open
+    if (controlsScreen) {
+        onControlsScreenKeyDown(event);
+        return;
+    }
+    if (avatarPicker) {
+        onAvatarPickerKeyDown(event);
+        return;
+    }
+    
+    // Typing in host page fields is not game input
+    const target = event.target;
+    if (target && (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName))) return;
+    
+    const actions = getActionsForCode(event.code);
+    if (actions.length === 0) return;
+    
+    // Bound keys don't scroll page (Space, arrows)
+    event.preventDefault();
+    pressedCodes.add(event.code);
+    
+    // Held actions (movement) are read by simulation, others run once per press
+    if (!event.repeat) {
+        actions.forEach(runInputAction);
+    }
+}
+
+function onKeyUp(event) {
+    pressedCodes.delete(event.code);
+}
+
+// Input actions - keys are bound by event.code, so they work with any keyboard layout (Russian too)
+// Bindings can be changed on controls screen and are saved in localStorage
+const INPUT_ACTIONS = {
+    moveForward: { label: 'Move forward', context: 'explore', keys: ['KeyW', 'ArrowUp'] },
+    moveBackward: { label: 'Move backward', context: 'explore', keys: ['KeyS', 'ArrowDown'] },
+    moveLeft: { label: 'Move left', context: 'explore', keys: ['KeyA', 'ArrowLeft'] },
+    moveRight: { label: 'Move right', context: 'explore', keys: ['KeyD', 'ArrowRight'] },
+    jump: { label: 'Jump', context: 'explore', keys: ['Space'] },
+    interact: { label: 'Interact', context: 'any', keys: ['KeyE'] },
+    toggleLighting: { label: 'Next lighting', context: 'any', keys: ['KeyL'] },
+    hubLeft: { label: 'Hub: turn left', context: 'hub', keys: ['KeyA', 'ArrowLeft'] },
+    hubRight: { label: 'Hub: turn right', context: 'hub', keys: ['KeyD', 'ArrowRight'] },
+    openControls: { label: 'Controls screen', context: 'any', keys: ['KeyC'] },
+    openAvatar: { label: 'Avatar', context: 'any', keys: ['KeyV'] },
+    photoMode: { label: 'Photo mode', context: 'any', keys: ['KeyP'] },
+    photoUp: { label: 'Photo: fly up', context: 'photo', keys: ['Space'] },
+    photoDown: { label: 'Photo: fly down', context: 'photo', keys: ['ShiftLeft', 'ShiftRight'] },
+    photoHidePanel: { label: 'Photo: hide panel', context: 'photo', keys: ['KeyH'] },
+    photoCapture: { label: 'Photo: save PNG', context: 'photo', keys: ['Enter'] },
+    record: { label: 'Record clip', context: 'any', keys: ['KeyR'] }
+};
+const BINDINGS_STORAGE_KEY = 'succinctVillage.bindings';
+const BINDING_SLOTS = 2; // Keys per action on controls screen
+let inputBindings = loadInputBindings(); // Action -> array of event.code values
+const pressedCodes = new Set(); // Keys held now, by event.code
+let controlsScreen = null; // Controls screen element
+let rebindTarget = null; // { action, slot } waiting for key on controls screen
+
+// Function to load saved bindings, falling back to defaults for missing or broken entries
+function loadInputBindings() {
+    const bindings = getDefaultInputBindings();
+    
+    try {
+        const saved = JSON.parse(localStorage.getItem(BINDINGS_STORAGE_KEY) || 'null');
+        if (saved && typeof saved === 'object') {
+            Object.keys(saved).forEach(action => {
+                if (!INPUT_ACTIONS[action]) {
+                    console.warn(`Saved binding for unknown action "${action}" ignored`);
+                } else if (Array.isArray(saved[action]) && saved[action].every(code => typeof code === 'string')) {
+                    bindings[action] = saved[action].slice(0, BINDING_SLOTS);
+                }
+            });
         }
-        return; // Ignore other keys while viewing board
+    } catch (e) {
+        console.error('Error loading key bindings, using defaults:', e);
     }
+    
+    return bindings;
+}
+
+// Function to get copy of default bindings
+function getDefaultInputBindings() {
+    const bindings = {};
+    Object.keys(INPUT_ACTIONS).forEach(action => {
+        bindings[action] = INPUT_ACTIONS[action].keys.slice();
+    });
+    return bindings;
+}
+
+// Function to save bindings
+function saveInputBindings() {
+    try {
+        localStorage.setItem(BINDINGS_STORAGE_KEY, JSON.stringify(inputBindings));
+    } catch (e) {
+        console.error('Error saving key bindings:', e);
+    }
+}
+
+// Function to get actions bound to key
+function getActionsForCode(code) {
+    return Object.keys(inputBindings).filter(action => inputBindings[action].includes(code));
+}
+
+// Function to check if any key of action is held
+function isActionHeld(action) {
+    return inputBindings[action].some(code => pressedCodes.has(code));
+}
+
+// Function to check if two actions can be used at the same time, so they can't share a key
+// (moving and turning in hub share A/D, they never work together)
+function doActionsConflict(first, second) {
+    const a = INPUT_ACTIONS[first].context;
+    const b = INPUT_ACTIONS[second].context;
+    return first !== second && (a === b || a === 'any' || b === 'any');
+}
 
-    switch(event.key.toLowerCase()) {
-        case 'w': keys.w = true; break;
-        case 'a': keys.a = true; break;
-        case 's': keys.s = true; break;
-        case 'd': keys.d = true; break;
-        case 'l': 
-            // Check if key is already pressed
-            if (!keys.l) {
-                keys.l = true;
-                toggleLightingMode();
+// Function to get readable name of key: KeyW -> W, ArrowUp -> ↑
+function getKeyLabel(code) {
+    if (!code) return '—';
+    if (code.startsWith('Key')) return code.substring(3);
+    if (code.startsWith('Digit')) return code.substring(5);
+    if (code.startsWith('Numpad')) return 'Num ' + code.substring(6);
+    
+    const arrows = { ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→' };
+    return arrows[code] || code;
+}
+
+// Function to get name of first key of action, for prompts
+function getActionKeyLabel(action) {
+    return getKeyLabel(inputBindings[action][0]);
+}
+
+// Function to run action triggered by key press
+function runInputAction(action) {
+    switch (action) {
+        case 'jump':
+            // Jump (only where character can walk)
+            if (JUMP_ENABLED && getViewStateConfig().movement) {
+                isJumpRequested = true;
             }
             break;
-        case 'e':
-            // Interact with objects
-            if (!keys.e) {
-                keys.e = true;
-                
-                // Если персонаж в хабе, обрабатываем выход
-                if (isViewingHub) {
-                    exitHub();
-                    return;
-                }
-                
-                // Check wanted board first (priority over other objects)
-                if (activeWantedBoard) {
-                    toggleWantedBoard();
-                }
-                // Then check information signs
-                else if (activeInfoSign) {
-                    toggleInfoSign(activeInfoSign);
-                }
-                // Then check portals (if no active sign)
-                else if (activePortal) {
-                    togglePortalInfo(activePortal);
-                }
-                // Then check if near hub trigger
-                else {
-                    let nearHubTrigger = false;
-                    scene.traverse((node) => {
-                        if (node.userData && node.userData.isHubTrigger) {
-                            const distance = character.position.distanceTo(node.getWorldPosition(new THREE.Vector3()));
-                            if (distance < 3) {
-                                nearHubTrigger = true;
-                            }
-                        }
-                    });
-                    if (nearHubTrigger) {
-                        enterHub();
-                    }
-                }
+        case 'interact':
+            // Current view mode decides what interaction does
+            getViewStateConfig().interact();
+            break;
+        case 'toggleLighting':
+            if (getViewStateConfig().lighting) {
+                cycleLightingProfile();
             }
             break;
+        case 'hubLeft':
+            turnHubView(-1);
+            break;
+        case 'hubRight':
+            turnHubView(1);
+            break;
+        // Screens and recording are not started in photo mode, its panel is the only interface shown
+        case 'openControls':
+            if (viewState.name !== 'photoMode') openControlsScreen();
+            break;
+        case 'openAvatar':
+            if (viewState.name !== 'photoMode') openAvatarPicker();
+            break;
+        case 'photoMode':
+            togglePhotoMode();
+            break;
+        case 'photoHidePanel':
+            if (viewState.name === 'photoMode') togglePhotoPanel();
+            break;
+        case 'photoCapture':
+            if (viewState.name === 'photoMode') capturePhoto();
+            break;
+        case 'record':
+            if (viewState.name !== 'photoMode') toggleRecording();
+            break;
     }
 }
 
-function onKeyUp(event) {
-    switch(event.key.toLowerCase()) {
-        case 'w': keys.w = false; break;
-        case 'a': keys.a = false; break;
-        case 's': keys.s = false; break;
-        case 'd': keys.d = false; break;
-        case 'l': keys.l = false; break;
-        case 'e': keys.e = false; break;
-    }
+// Function to forget held keys (window lost focus, controls screen opened)
+function releaseAllKeys() {
+    pressedCodes.clear();
 }
 
-// Function to load world from Blender
-function loadWorldFromBlender() {
-    const loader = new GLTFLoader();
+// Function to check if interface is hidden (photo mode, recording without HUD); screens aren't opened then,
+// hidden screen would still take keys that leave photo mode or stop recording
+function isInterfaceHidden() {
+    return viewState.name === 'photoMode' || Boolean(recording && recording.hideHud);
+}
+
+// Function to show controls screen with current bindings
+function openControlsScreen() {
+    if (controlsScreen || isInterfaceHidden()) return;
     
-    loader.load(
-      'scene.glb',
-      (gltf) => {
-        console.log('Loaded scene:', gltf);
+    releaseAllKeys();
+    
+    controlsScreen = document.createElement('div');
+    controlsScreen.className = 'controls-panel';
+    controlsScreen.innerHTML = `
+        <div class="info-header">
+            <h2>Controls</h2>
+            <button class="close-btn">×</button>
+        </div>
+        <table class="controls-table"></table>
+        <div class="controls-message"></div>
+        <div class="controls-footer">
+            <button class="controls-reset">Reset to defaults</button>
+        </div>
+    `;
+    document.body.appendChild(controlsScreen);
+    
+    controlsScreen.querySelector('.close-btn').addEventListener('click', closeControlsScreen);
+    controlsScreen.querySelector('.controls-reset').addEventListener('click', () => {
+        inputBindings = getDefaultInputBindings();
+        saveInputBindings();
+        showControlsMessage('Default keys restored');
+        renderControlsTable();
+    });
+    
+    renderControlsTable();
+}
+
+// Function to close controls screen
+function closeControlsScreen() {
+    if (!controlsScreen) return;
+    
+    controlsScreen.remove();
+    controlsScreen = null;
+    rebindTarget = null;
+    
+    // Prompts may name other keys now
+    refreshPrompts();
+}
+
+// Function to fill controls table: one row per action, one button per key slot
+function renderControlsTable() {
+    const table = controlsScreen.querySelector('.controls-table');
+    table.innerHTML = '';
+    
+    Object.keys(INPUT_ACTIONS).forEach(action => {
+        const row = document.createElement('tr');
+        const label = document.createElement('td');
+        label.textContent = INPUT_ACTIONS[action].label;
+        if (inputBindings[action].length === 0) {
+            label.classList.add('controls-unbound');
+        }
+        row.appendChild(label);
         
-        // Loop through all objects, find needed ones
-        gltf.scene.traverse((node) => {
-          // Remove all light sources from imported scene
-          if (node.isLight) {
-            console.log('Removing light source:', node.name);
-            gltf.scene.remove(node);
-          }
-          
-          // Find wanted board
-          if (node.name === 'Wanted' || node.name.includes('wanted')) {
-            console.log('Found wanted board:', node.name);
-            // Get board position
-            const wantedPosition = node.getWorldPosition(new THREE.Vector3());
-            // Save information about wanted board
-            setupWantedBoard(node, wantedPosition);
-          }
-          
-          // Find wanted objects (want1-want6)
-          if (node.name.match(/^want[1-6]$/)) {
-            console.log('Found wanted object:', node.name);
-            wantedObjects.push({
-                mesh: node,
-                originalMaterial: node.material.clone(),
-                url: wantedUrls[node.name]
-            });
-            
-            // Enable interaction
-            node.userData.isWantedObject = true;
-            node.userData.wantedId = wantedObjects.length - 1;
-            
-            // Add hover effect
-            node.material = node.material.clone();
-            node.material.emissive = new THREE.Color(0x000000);
-            node.material.emissiveIntensity = 0;
-          }
-          
-          // Find information signs by name
-          if (node.name === 'Info' || node.name.includes('Info')) {
-            console.log('Found information sign:', node.name);
-            // Get sign position
-            const infoPosition = node.getWorldPosition(new THREE.Vector3());
-            // Create information sign
-            createInfoSign(node, infoPosition, "Information", getInfoContent(node.name));
-          }
-          
-          // Find hub trigger objects
-          if (node.name.includes('hub_trigger')) {
-            console.log('Found hub trigger:', node.name);
-            // Mark as hub trigger
-            node.userData.isHubTrigger = true;
-            // Enable shadows
-            if (node.isMesh) {
-              node.castShadow = true;
-              node.receiveShadow = true;
-            }
-          }
-          
-          // Find main hub object
-          if (node.name.includes('hub_main')) {
-            console.log('Found main hub object:', node.name);
-            hubObjects.main = node;
-            // Enable shadows
-            if (node.isMesh) {
-              node.castShadow = true;
-              node.receiveShadow = true;
-            }
-          }
-          
-          // Save reference to switch
-          if (node.name === 'Switch') {
-            console.log('Found switch:', node.name);
-            switchObject = node;
+        for (let slot = 0; slot < BINDING_SLOTS; slot++) {
+            const cell = document.createElement('td');
+            const button = document.createElement('button');
+            button.className = 'controls-key';
             
-            // Set up switch
-            if (node.isMesh) {
-              // Enable shadows
-              node.castShadow = true;
-              node.receiveShadow = true;
-              
-              // If switch is in night mode, make it glowing
-              if (isNightMode) {
-                makeSwichGlow(node);
-              }
-              
-              // Add light from switch
-              createSwitchLight(node.position.clone());
+            if (rebindTarget && rebindTarget.action === action && rebindTarget.slot === slot) {
+                button.textContent = 'Press a key…';
+                button.classList.add('waiting');
+            } else {
+                button.textContent = getKeyLabel(inputBindings[action][slot]);
             }
-          }
-          
-          if (node.name === 'Torch1' || node.name === 'Torch2') {
-            console.log('Found torch:', node.name);
             
-            // Add torch object to array
-            torchMeshes.push(node);
+            button.addEventListener('click', () => {
+                rebindTarget = { action, slot };
+                showControlsMessage('Press a key, Escape to cancel, Backspace to clear');
+                renderControlsTable();
+            });
             
-            if (node.isMesh) {
-              node.castShadow = true;
-              node.receiveShadow = true;
-              
-              // Create glowing effect for torch
-              if (isNightMode) {
-                makeTorchGlow(node);
-              }
-              
-              // Create light source from torch
-              createTorchLight(node.position.clone(), node.name);
-            }
-          }
+            cell.appendChild(button);
+            row.appendChild(cell);
+        }
+        table.appendChild(row);
+    });
+}
 
-          // Find mode icons
-          if (node.name === 'TextMode1') {
-            console.log('Found night mode icon:', node.name);
-            textModeNight = node;
-            // Set visibility based on current mode
-            if (node.visible !== undefined) {
-              node.visible = isNightMode;
-            }
-          }
-          
-          if (node.name === 'TextMode2') {
-            console.log('Found day mode icon:', node.name);
-            textModeDay = node;
-            // Set visibility based on current mode
-            if (node.visible !== undefined) {
-              node.visible = !isNightMode;
-            }
-          }
-          
-          // Determine stairs by name
-          if (node.isMesh && (node.name.includes('Stair') || 
-                             node.name.includes('Stairs'))) {
-            console.log('Found stairs:', node.name);
-            stairObjects.push(node);
-            
-            // Mark object as stair in userData
-            node.userData.isStair = true;
-            
-           
-          }
-        });
-        
-        // Add model to scene
-        scene.add(gltf.scene);
-        
-        // Loop through all objects, save and modify materials
-        gltf.scene.traverse((node) => {
-          if (node.isMesh) {
-            // Save original textures and materials
-            if (node.material) {
-              // Save original material in userData for possible restoration
-              node.userData.originalMaterial = node.material.clone();
-              
-              // If this is portal frame (named "Portal" or containing this word)
-              if (node.name.includes('Portal') && !node.name.includes('Light')) {
-                console.log('Found portal frame:', node.name);
-                
-                // Create new material, but keep textures from original
-                const newMaterial = new THREE.MeshStandardMaterial({ 
-                  color: 0x222222,
-                  side: THREE.DoubleSide,
-                  roughness: 0.8,
-                  metalness: 0.2
-                });
-                
-                // Copy textures from original material if they exist
-                if (node.material.map) newMaterial.map = node.material.map;
-                if (node.material.normalMap) newMaterial.normalMap = node.material.normalMap;
-                if (node.material.roughnessMap) newMaterial.roughnessMap = node.material.roughnessMap;
-                if (node.material.metalnessMap) newMaterial.metalnessMap = node.material.metalnessMap;
-                if (node.material.aoMap) newMaterial.aoMap = node.material.aoMap;
-                
-                // Apply new material
-                node.material = newMaterial;
-                
-                // Set shadows for frame
-                node.castShadow = true;
-                
-                // Create portal with information for this object
-                const portalPosition = node.getWorldPosition(new THREE.Vector3());
-                // Use index as identifier for portal information
-                const portalIndex = portals.length;
-                // Pass mesh as portal object, using name from array or default name
-                const portalName = portalNames[portalIndex] || `Portal ${portalIndex + 1}`;
-                createPortalInfo(node, portalPosition, portalName, getPortalContent(portalIndex));
-              }
-              
-              // If this is glowing part of portal (named "PortalLight")
-              else if (node.name.includes('PortalLight')) {
-                console.log('Found glowing part of portal:', node.name);
-                portalLight = node;
-                
-                // Save texture if it exists
-                const originalTexture = node.material.map;
-                
-                // Create bright glowing material for Bloom effect
-                const portalLightMaterial = new THREE.MeshBasicMaterial({ 
-                  color: 0x4df3ff, // Bright cyan color
-                  side: THREE.DoubleSide,
-                  transparent: true,
-                  opacity: 0.8
-                });
-                
-                // Apply original texture if it exists
-                if (originalTexture) {
-                  portalLightMaterial.map = originalTexture;
-                }
-                
-                // Apply new material
-                node.material = portalLightMaterial;
-                
-                // For animation, save original material
-                node.userData.glowMaterial = portalLightMaterial;
-                
-                // Enable layer for Bloom effect
-                node.layers.enable(BLOOM_SCENE);
-                
-                // Add light source from portal
-                addPortalLighting(node.getWorldPosition(new THREE.Vector3()));
-              }
-              
-              // For floor use material with shadows, but keep textures and color
-              else if (node.name.includes('Floor') || node.name.includes('floor') || 
-                       node.name.includes('Ground') || node.name.includes('ground')) {
-                console.log('Found floor:', node.name);
-                
-                // Save original color
-                const originalColor = node.material.color ? node.material.color.clone() : new THREE.Color(0x00ff00); // Green by default, if no color
-                
-                // Save textures from original material
-                const originalTextures = {
-                  map: node.material.map,
-                  normalMap: node.material.normalMap,
-                  roughnessMap: node.material.roughnessMap,
-                  metalnessMap: node.material.metalnessMap,
-                  aoMap: node.material.aoMap
-                };
-                
-                // Material for floor, which will accept shadows but with original color
-                const floorMaterial = new THREE.MeshStandardMaterial({ 
-                  color: originalColor, // Use original color from Blender
-                  roughness: 0.9,
-                  metalness: 0.1,
-                  emissive: 0x000000 
-                });
-                
-                // Apply saved textures
-                for (const [key, texture] of Object.entries(originalTextures)) {
-                  if (texture) floorMaterial[key] = texture;
-                }
-                
-                // Apply new material
-                node.material = floorMaterial;
-                
-                // Save original color for night mode
-                node.userData.nightColor = originalColor.clone();
-                // Create color for day mode in advance
-                node.userData.dayColor = originalColor.clone().multiplyScalar(1.3); // Slightly brighter for day
-                
-                // Set shadow properties
-                node.receiveShadow = true;
-              }
-              
-              // Add all meshes (except floor, character, portals, and Plane objects) to array of collidable objects
-              if (node.name !== 'Character' && 
-                  !node.name.includes('PortalLight') && 
-                  !(node.name.includes('Floor') || node.name.includes('floor') || 
-                    node.name.includes('Ground') || node.name.includes('ground')) &&
-                  !node.name.includes('Plane') && // Exclude all Plane objects
-                  node.geometry && node.geometry.type !== 'PlaneGeometry' && // Exclude objects with plane geometry
-                  node.geometry.type !== 'PlaneBufferGeometry') { 
-                
-                // Create collision object
-                collisionObjects.push(node);
-                
-                // Add isCollidable property for filtering
-                node.userData.isCollidable = true;
-                
-                console.log('Added collision object:', node.name);
-              }
-            }
-          }
-        });
-        
-        // After loading scene and setting up materials
-        updateShadowCameraHelper();
-      },
-      (xhr) => {
-        console.log((xhr.loaded / xhr.total * 100) + '% loaded');
-      },
-      (error) => {
-        console.error('Error loading model:', error);
-        // If model couldn't be loaded, create basic world
-        createBasicWorld();
-      }
-    );
+// Function to show message under controls table
+function showControlsMessage(text) {
+    controlsScreen.querySelector('.controls-message').textContent = text;
 }
 
-// Function to add lighting from portal
-function addPortalLighting(position) {
-    // Create main light source from portal - point light
-    portalSpotLight = new THREE.PointLight(0x4df3ff, 350, 20);
-    portalSpotLight.position.copy(position);
+// Function to handle key press while controls screen is open
+function onControlsScreenKeyDown(event) {
+    event.preventDefault();
     
-    // Set up shadows for point light
-    portalSpotLight.castShadow = true;
-    portalSpotLight.shadow.mapSize.width = 1024;
-    portalSpotLight.shadow.mapSize.height = 1024;
-    portalSpotLight.shadow.camera.near = 0.5;
-    portalSpotLight.shadow.camera.far = 20; // Уменьшаем радиус теней для соответствия настройкам камеры
-    portalSpotLight.shadow.bias = -0.001;
+    if (!rebindTarget) {
+        if (event.code === 'Escape' || inputBindings.openControls.includes(event.code)) {
+            closeControlsScreen();
+        }
+        return;
+    }
     
-    // Set up radius and blur for shadows (VSM specific)
-    portalSpotLight.shadow.radius = 8;
-    portalSpotLight.shadow.blurSamples = 12;
+    const { action, slot } = rebindTarget;
+    rebindTarget = null;
     
-    scene.add(portalSpotLight);
+    if (event.code === 'Escape') {
+        showControlsMessage('');
+    } else if (event.code === 'Backspace' || event.code === 'Delete') {
+        inputBindings[action].splice(slot, 1);
+        saveInputBindings();
+        showControlsMessage(`Key removed from "${INPUT_ACTIONS[action].label}"`);
+    } else {
+        bindActionKey(action, slot, event.code);
+    }
     
-    // Add additional point light with smaller radius for enhancing near glow
-    portalPointLight = new THREE.PointLight(0x4df3ff, 3, 5);
-    portalPointLight.position.copy(position);
-    scene.add(portalPointLight);
+    renderControlsTable();
+}
+
+// Function to bind key to action slot; key is taken away from actions it conflicts with
+function bindActionKey(action, slot, code) {
+    const conflicts = getActionsForCode(code).filter(other => doActionsConflict(action, other));
     
-    // Add very weak global ambient light for visibility in darkness
-    const ambientLight = new THREE.AmbientLight(0x111111, 0.1);
-    scene.add(ambientLight);
+    conflicts.forEach(other => {
+        inputBindings[other] = inputBindings[other].filter(bound => bound !== code);
+    });
     
-    // Create daytime lighting, but off by default
-    createDayLighting();
-    updateLightingMode();
+    const keys = inputBindings[action].filter(bound => bound !== code);
+    keys.splice(Math.min(slot, keys.length), 0, code);
+    inputBindings[action] = keys.slice(0, BINDING_SLOTS);
+    saveInputBindings();
+    
+    if (conflicts.length > 0) {
+        const names = conflicts.map(other => `"${INPUT_ACTIONS[other].label}"`).join(', ');
+        showControlsMessage(`${getKeyLabel(code)} was used by ${names} and was removed there`);
+    } else {
+        showControlsMessage(`${getKeyLabel(code)} bound to "${INPUT_ACTIONS[action].label}"`);
+    }
 }
 
-// Function to create daytime lighting
-function createDayLighting() {
-    // Create directional light for simulating sunlight
-    dayLight = {
-        // Main directional light (sunset)
-        directional: new THREE.DirectionalLight(0xff9a3c, 1.3), // Bright orange sunset light
-        // Ambient lighting for filling shadows
-        ambient: new THREE.AmbientLight(0xfffaf0, 0.3), // Very weak ambient lighting for contrast
-        // Hemispherical lighting for more realistic sky/ground lighting
-        hemisphere: new THREE.HemisphereLight(0xffd6aa, 0x586778, 0.2), // Minimal fill
-        // Light with slight green tinge for simulating opposite side of sky
-        fill: new THREE.DirectionalLight(0xb4c8dd, 0.15) // Weak green light
-    };
+// Function to add button that opens controls screen
+function createControlsButton() {
+    const button = document.createElement('button');
+    button.className = 'controls-button';
+    button.title = 'Controls';
+    button.textContent = '⌨';
+    button.addEventListener('click', openControlsScreen);
+    document.body.appendChild(button);
+}
+
+// Function to add styles of controls screen
+function addControlsStyles() {
+    const style = document.createElement('style');
+    style.className = 'village-style';
+    style.textContent = `
+        .controls-panel {
+            position: fixed;
+            top: 50%;
+            left: 50%;
+            transform: translate(-50%, -50%);
+            width: 460px;
+            max-width: 90%;
+            max-height: 90%;
+            overflow-y: auto;
+            background-color: rgba(0, 0, 0, 0.85);
+            border: 2px solid #ff80bf;
+            border-radius: 10px;
+            padding: 20px;
+            color: white;
+            font-family: Arial, sans-serif;
+            z-index: 1100;
+            box-shadow: 0 0 20px #ff80bf;
+            backdrop-filter: blur(5px);
+        }
+        .controls-table {
+            width: 100%;
+            border-collapse: collapse;
+        }
+        .controls-table td {
+            padding: 4px 0;
+        }
+        .controls-unbound {
+            color: #ff6666;
+        }
+        .controls-key, .controls-reset {
+            min-width: 110px;
+            padding: 5px 10px;
+            background-color: rgba(235, 6, 166, 0.3);
+            color: white;
+            border: 1px solid #ff80bf;
+            border-radius: 5px;
+            cursor: pointer;
+            font-family: Arial, sans-serif;
+        }
+        .controls-key:hover, .controls-reset:hover {
+            background-color: rgba(235, 6, 166, 0.6);
+        }
+        .controls-key.waiting {
+            background-color: #ff80bf;
+        }
+        .controls-message {
+            min-height: 20px;
+            margin: 10px 0;
+            color: #ff99cc;
+            font-size: 14px;
+        }
+        .controls-footer {
+            text-align: right;
+        }
+        .controls-button {
+            position: fixed;
+            top: 20px;
+            left: 20px;
+            width: 40px;
+            height: 40px;
+            background-color: rgba(0, 0, 0, 0.6);
+            color: #ff80bf;
+            border: 1px solid #ff80bf;
+            border-radius: 5px;
+            font-size: 20px;
+            cursor: pointer;
+            z-index: 1000;
+        }
+        .controls-button:hover {
+            color: white;
+        }
+        .avatar-label {
+            position: fixed;
+            top: 20px;
+            left: 70px;
+            height: 40px;
+            padding: 0 12px;
+            background-color: rgba(0, 0, 0, 0.6);
+            color: #ff80bf;
+            border: 1px solid #ff80bf;
+            border-radius: 5px;
+            font-family: Arial, sans-serif;
+            font-size: 14px;
+            cursor: pointer;
+            z-index: 1000;
+        }
+        .avatar-label:hover {
+            color: white;
+        }
+        .avatar-panel h3 {
+            margin: 12px 0 6px;
+            color: #ff99cc;
+            font-size: 15px;
+        }
+        .avatar-options {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 6px;
+        }
+        .settings-button {
+            top: 120px;
+        }
+        .avatar-option.selected {
+            background-color: #ff80bf;
+        }
+    `;
+    document.head.appendChild(style);
+}
+
+// Gamepad (standard mapping, e.g. Xbox controller): left stick walks, right stick orbits camera,
+// A interacts, Y toggles lighting, D-pad left/right or shoulders turn inside hub
+const GAMEPAD_BUTTONS = {
+    a: 0,
+    y: 3,
+    leftShoulder: 4,
+    rightShoulder: 5,
+    dpadLeft: 14,
+    dpadRight: 15
+};
+const GAMEPAD_DEAD_ZONE = 0.2; // Stick deflection ignored as drift
+const GAMEPAD_CAMERA_SPEED = 600; // Right stick orbit speed, in dragged pixels per second
+const PROMPT_GLYPHS = { interact: 'Ⓐ', toggleLighting: 'Ⓨ' }; // Gamepad buttons of actions named in prompts
+let gamepadIndex = null; // Index of connected gamepad in navigator.getGamepads()
+let previousGamepadButtons = []; // Pressed state of buttons on previous poll
+const gamepadMove = new THREE.Vector2(); // Left stick after dead zone, length is speed part (0..1)
+let isGamepadActive = false; // Last input came from gamepad, prompts show its buttons
+
+// Function to remember gamepad when it is plugged in
+function onGamepadConnected(event) {
+    console.log('Gamepad connected:', event.gamepad.id);
+    if (gamepadIndex === null) {
+        gamepadIndex = event.gamepad.index;
+        previousGamepadButtons = [];
+    }
+}
+
+// Function to forget gamepad when it is unplugged, switching to another one if there is
+function onGamepadDisconnected(event) {
+    console.log('Gamepad disconnected:', event.gamepad.id);
+    if (event.gamepad.index !== gamepadIndex) return;
     
-    // Set up main directional light - sharply from side and low (like sunset)
-    dayLight.directional.position.set(50, 15, 0); // Strong side light for long shadows
-    dayLight.directional.castShadow = true;
+    gamepadIndex = null;
+    gamepadMove.set(0, 0);
+    previousGamepadButtons = [];
     
-    // Set up additional light from opposite side
-    dayLight.fill.position.set(-30, 8, 0);
-    dayLight.fill.castShadow = false; // Doesn't cast shadows
+    const other = Array.from(navigator.getGamepads ? navigator.getGamepads() : []).find(pad => pad && pad.connected);
+    if (other) {
+        gamepadIndex = other.index;
+    } else {
+        setGamepadActive(false);
+    }
+}
+
+// Function to read gamepad state once per frame
+function pollGamepad(deltaTime) {
+    if (gamepadIndex === null || !navigator.getGamepads) return;
     
-    // Оптимизируем настройки теней для соответствия новому frustum
-    dayLight.directional.shadow.mapSize.width = 2048;
-    dayLight.directional.shadow.mapSize.height = 2048;
-    dayLight.directional.shadow.camera.near = 0.5;
-    dayLight.directional.shadow.camera.far = 120; // Уменьшаем, чтобы не выходить за пределы frustum камеры
+    const gamepad = navigator.getGamepads()[gamepadIndex];
+    if (!gamepad || !gamepad.connected) return;
     
-    // Very wide area for capturing long shadows
-    const shadowSize = 50;
-    dayLight.directional.shadow.camera.left = -shadowSize;
-    dayLight.directional.shadow.camera.right = shadowSize;
-    dayLight.directional.shadow.camera.top = shadowSize;
-    dayLight.directional.shadow.camera.bottom = -shadowSize;
+    const buttons = gamepad.buttons.map(button => button.pressed);
+    const justPressed = (button) => buttons[button] && !previousGamepadButtons[button];
     
-    // Sharp shadows for emphasized sunset effect
-    dayLight.directional.shadow.radius = 1.5; // Sharper shadows
-    dayLight.directional.shadow.bias = -0.0005;
+    applyStickDeadZone(gamepad.axes[0] || 0, gamepad.axes[1] || 0, gamepadMove);
+    const orbit = applyStickDeadZone(gamepad.axes[2] || 0, gamepad.axes[3] || 0, _tempVector2D);
     
-    // Add light sources to scene, but off for night mode
-    scene.add(dayLight.directional);
-    scene.add(dayLight.ambient);
-    scene.add(dayLight.hemisphere);
-    scene.add(dayLight.fill);
+    if (gamepadMove.lengthSq() > 0 || orbit.lengthSq() > 0 || buttons.some(Boolean)) {
+        setGamepadActive(true);
+    }
+    
+    // Right stick orbits camera like mouse drag
+    if (orbit.lengthSq() > 0 && getViewStateConfig().cameraInput) {
+        updateCameraOffset(orbit.x * GAMEPAD_CAMERA_SPEED * deltaTime, orbit.y * GAMEPAD_CAMERA_SPEED * deltaTime);
+    }
+    
+    if (justPressed(GAMEPAD_BUTTONS.a)) {
+        runInputAction('interact');
+    }
+    if (justPressed(GAMEPAD_BUTTONS.y)) {
+        runInputAction('toggleLighting');
+    }
+    if (justPressed(GAMEPAD_BUTTONS.dpadLeft) || justPressed(GAMEPAD_BUTTONS.leftShoulder)) {
+        runInputAction('hubLeft');
+    }
+    if (justPressed(GAMEPAD_BUTTONS.dpadRight) || justPressed(GAMEPAD_BUTTONS.rightShoulder)) {
+        runInputAction('hubRight');
+    }
     
-    // Default to off for daytime (handled in updateLightingMode)
+    previousGamepadButtons = buttons;
 }
 
-// Function to toggle between lighting modes
-function toggleLightingMode() {
-    isNightMode = !isNightMode;
-    console.log(`Lighting mode: ${isNightMode ? "night" : "day"}`);
+// Function to remove stick drift: deflection below dead zone is zero, rest is rescaled to 0..1
+function applyStickDeadZone(x, y, target) {
+    const length = Math.hypot(x, y);
+    if (length < GAMEPAD_DEAD_ZONE) {
+        return target.set(0, 0);
+    }
     
-    // Update light sources
-    updateLightingMode();
+    const scaled = Math.min(1, (length - GAMEPAD_DEAD_ZONE) / (1 - GAMEPAD_DEAD_ZONE));
+    return target.set(x / length * scaled, y / length * scaled);
+}
+
+// Function to switch prompts between keyboard keys and gamepad buttons
+function setGamepadActive(active) {
+    if (isGamepadActive === active) return;
     
-    // Update switch appearance
-    updateSwitchAppearance();
+    isGamepadActive = active;
+    refreshPrompts();
+}
+
+// Function to write prompt with buttons of active input device ("Press {interact}" -> "Press E", or "Press Ⓐ" on gamepad)
+// Prompts name actions in braces, {interact} and {toggleLighting} are replaced with their bound key or button
+function formatPrompt(text) {
+    return text.replace(/\{(\w+)\}/g, (placeholder, action) => {
+        if (!PROMPT_GLYPHS[action]) return placeholder;
+        if (isGamepadActive) return PROMPT_GLYPHS[action];
+        return getActionKeyLabel(action);
+    });
+}
+
+// Function to set text of prompt element, remembering it to redraw when input device changes
+function setPromptText(element, text) {
+    element.dataset.prompt = text;
+    element.textContent = formatPrompt(text);
+}
+
+// Function to redraw all shown prompts for current input device
+function refreshPrompts() {
+    document.querySelectorAll('[data-prompt]').forEach(element => {
+        element.textContent = formatPrompt(element.dataset.prompt);
+    });
+}
+
+// Touch controls (phones, tablets): joystick walks, action button does what E does,
+// one finger on scene orbits camera, two fingers pinch to zoom and drag to pan
+const TOUCH_JOYSTICK_RADIUS = 50; // Knob travel, px
+const TOUCH_JOYSTICK_DEAD_ZONE = 0.15; // Part of travel ignored
+const TOUCH_PAN_SPEED = 0.002; // Pan per dragged pixel, in camera distances
+const MAX_CAMERA_PAN = 15; // Farthest pan from character, units
+const isTouchDevice = 'ontouchstart' in window || navigator.maxTouchPoints > 0;
+const touchMove = new THREE.Vector2(); // Joystick deflection, length is speed part (0..1)
+const cameraPanOffset = new THREE.Vector3(); // Two-finger pan of camera target from character
+let touchControls = null; // Container of joystick and buttons
+let touchControlParts = null; // { joystick, knob, action, lighting } elements inside touch controls
+let touchControlsShown = {}; // Values last written to touch controls, elements are updated only when they change
+let joystickTouchId = null; // Touch that holds joystick
+let pinchStartDistance = 0; // Distance between two fingers when pinch started, px
+let pinchStartCameraDistance = 0; // Camera distance when pinch started
+let pinchStartFov = 0; // Photo camera field of view when pinch started
+let lastPinchCenterX = 0; // Middle of two fingers on previous move, px
+let lastPinchCenterY = 0;
+let touchActionLabel = null; // Text shown on action button, null when it is hidden
+
+// Function to create joystick, action button and lighting button on touch devices
+function createTouchControls() {
+    if (!isTouchDevice) return;
+    
+    touchControls = document.createElement('div');
+    touchControls.className = 'touch-controls';
+    touchControls.innerHTML = `
+        <div class="touch-joystick"><div class="touch-joystick-knob"></div></div>
+        <button class="touch-action" style="display: none"></button>
+        <button class="touch-lighting">☀</button>
+    `;
+    document.body.appendChild(touchControls);
+    
+    touchControlParts = {
+        joystick: touchControls.querySelector('.touch-joystick'),
+        knob: touchControls.querySelector('.touch-joystick-knob'),
+        action: touchControls.querySelector('.touch-action'),
+        lighting: touchControls.querySelector('.touch-lighting')
+    };
+    touchControlsShown = {};
+    touchActionLabel = null;
+    
+    const joystick = touchControlParts.joystick;
+    joystick.addEventListener('touchstart', onJoystickTouchStart);
+    joystick.addEventListener('touchmove', onJoystickTouchMove);
+    joystick.addEventListener('touchend', onJoystickTouchEnd);
+    joystick.addEventListener('touchcancel', onJoystickTouchEnd);
     
-    // Update visibility of mode icons
-    updateModesVisibility();
+    touchControlParts.action.addEventListener('click', () => runInputAction('interact'));
+    touchControlParts.lighting.addEventListener('click', () => runInputAction('toggleLighting'));
+    
+    addTouchControlsStyles();
+    updateTouchControls();
 }
 
-// Function to update switch appearance
-function updateSwitchAppearance() {
-    if (!switchObject || !switchObject.isMesh) return;
+// Function to show controls that make sense in current view mode, once per frame
+function updateTouchControls() {
+    if (!touchControls) return;
     
-    if (isNightMode) {
-        // Make switch glow in night mode
-        makeSwichGlow(switchObject);
-        
-        // Turn on switch light
-        if (switchLight) {
-            switchLight.visible = true;
-            
-            // Animate light pulse
-            animateSwitchLight();
-        }
-    } else {
-        // Return to original material in day mode
-        if (switchObject.userData.originalMaterial) {
-            // Use brighter material for day mode
-            const dayMaterial = switchObject.userData.originalMaterial.clone();
-            // Increase brightness for day mode
-            if (dayMaterial.color) {
-                dayMaterial.color.multiplyScalar(1.2);
-            }
-            switchObject.material = dayMaterial;
-            
-            // Disable layer for switch
-            switchObject.layers.disable(BLOOM_SCENE);
-        }
-        
-        // Turn off switch light
-        if (switchLight) {
-            switchLight.visible = false;
-        }
+    const state = getViewStateConfig();
+    const icon = LIGHTING_PROFILES[getNextLightingProfile()].icon;
+    if (touchControlsShown.movement !== state.movement) {
+        touchControlsShown.movement = state.movement;
+        touchControlParts.joystick.style.display = state.movement ? '' : 'none';
+    }
+    if (touchControlsShown.lighting !== state.lighting) {
+        touchControlsShown.lighting = state.lighting;
+        touchControlParts.lighting.style.display = state.lighting ? '' : 'none';
+    }
+    if (touchControlsShown.icon !== icon) {
+        touchControlsShown.icon = icon;
+        touchControlParts.lighting.textContent = icon;
+    }
+    
+    if (!state.movement && joystickTouchId !== null) {
+        releaseJoystick();
+    }
+    
+    // Action button appears whenever a prompt says "Press {interact}", labelled with rest of prompt
+    const label = getTouchActionLabel();
+    if (label !== touchActionLabel) {
+        touchActionLabel = label;
+        const button = touchControlParts.action;
+        button.style.display = label ? '' : 'none';
+        button.textContent = label || '';
     }
 }
 
-// Function to animate light pulse
-function animateSwitchLight() {
-    if (!switchLight) return;
+// Function to get text for action button: "Press {interact} to view information" -> "View information"
+function getTouchActionLabel() {
+    let prompt = null;
+    
+    if (viewState.name === 'panelOpen') {
+        prompt = activeInteractable ? activeInteractable.prompt : 'Press {interact} to close';
+    } else if (viewState.name === 'boardView') {
+        prompt = 'Press {interact} to return';
+    } else if (viewState.name === 'hubView') {
+        prompt = 'Press {interact} to exit hub';
+    } else if (viewState.name === 'exploring' && activeInteractable) {
+        prompt = activeInteractable.prompt;
+    }
     
-    // Variable for tracking animation
-    let animating = true;
+    if (!prompt) return null;
     
-    // Function to update light pulse
-    function updateLightPulse() {
-        if (!animating || !switchLight.visible) return;
-        
-        const time = Date.now() * 0.001;
-        // More gradual and pronounced light pulse intensity
-        switchLight.intensity = 15 + Math.sin(time * 1.5) * 8;
-        
-        // Continue animation
-        requestAnimationFrame(updateLightPulse);
-    }
+    const action = prompt.replace(/^press\s+\{interact\}\s+(to\s+)?/i, '');
+    return action.charAt(0).toUpperCase() + action.slice(1);
+}
+
+// Function to start joystick drag
+function onJoystickTouchStart(event) {
+    event.preventDefault();
+    if (joystickTouchId !== null) return;
     
-    // Start animation
-    updateLightPulse();
+    const touch = event.changedTouches[0];
+    joystickTouchId = touch.identifier;
+    moveJoystick(touch);
+}
+
+// Function to move joystick knob with its touch
+function onJoystickTouchMove(event) {
+    event.preventDefault();
     
-    // Stop animation when light is off
-    switchLight.userData.stopAnimation = () => {
-        animating = false;
-    };
+    const touch = Array.from(event.changedTouches).find(item => item.identifier === joystickTouchId);
+    if (touch) {
+        moveJoystick(touch);
+    }
+}
+
+// Function to release joystick when its touch ends
+function onJoystickTouchEnd(event) {
+    if (Array.from(event.changedTouches).some(item => item.identifier === joystickTouchId)) {
+        releaseJoystick();
+    }
 }
 
-// Function to update light sources based on mode
-function updateLightingMode() {
-    if (!dayLight || !portalSpotLight) return;
+// Function to set joystick deflection from touch position relative to its center
+function moveJoystick(touch) {
+    const joystick = touchControlParts.joystick;
+    const rect = joystick.getBoundingClientRect();
+    
+    let dx = touch.clientX - (rect.left + rect.width / 2);
+    let dy = touch.clientY - (rect.top + rect.height / 2);
+    const length = Math.hypot(dx, dy);
+    if (length > TOUCH_JOYSTICK_RADIUS) {
+        dx *= TOUCH_JOYSTICK_RADIUS / length;
+        dy *= TOUCH_JOYSTICK_RADIUS / length;
+    }
     
-    // Update light sources based on mode
-    if (isNightMode) {
-        // Night mode: turn on portal light, turn off daytime lighting
-        portalSpotLight.intensity = 350;
-        portalPointLight.intensity = 3;
-        
-        // Completely turn off daytime lighting
-        dayLight.directional.intensity = 0;
-        dayLight.ambient.intensity = 0.05; // Very weak ambient lighting to make objects visible as shadows
-        dayLight.hemisphere.intensity = 0;
-        dayLight.fill.intensity = 0;
-        
-        // Increase torch light intensity in night mode
-        if (torchLights.length > 0) {
-            torchLights.forEach(torch => {
-                if (torch.mainLight) {
-                    torch.mainLight.intensity = 3;
-                    torch.mainLight.visible = true;
-                }
-                if (torch.ambientLight) {
-                    torch.ambientLight.intensity = 0.8;
-                    torch.ambientLight.visible = true;
-                }
-            });
-        }
-        
-        // Set exposure for night mode
-        renderer.toneMappingExposure = Math.pow(bloomParams.exposure, 4.0);
-        
-        // Black background for night
-        scene.background = new THREE.Color(0x000000);
-        
-        // Restore night materials
-        updateMaterialsForNightlight();
+    touchControlParts.knob.style.transform = `translate(${dx}px, ${dy}px)`;
+    
+    // Same dead zone rescaling as gamepad stick
+    const deflection = Math.min(1, length / TOUCH_JOYSTICK_RADIUS);
+    if (deflection < TOUCH_JOYSTICK_DEAD_ZONE) {
+        touchMove.set(0, 0);
     } else {
-        // Day mode (sunset): decrease portal light, turn on directional lighting for sunset
-        portalSpotLight.intensity = 50;
-        portalPointLight.intensity = 0.8;
-        
-        // Set lighting for sunset - bright from one side
-        dayLight.directional.intensity = 1.3;
-        dayLight.ambient.intensity = 0.3;
-        dayLight.hemisphere.intensity = 0.2;
-        dayLight.fill.intensity = 0.15;
-        
-        // Decrease torch light intensity in day mode
-        if (torchLights.length > 0) {
-            torchLights.forEach(torch => {
-                if (torch.mainLight) {
-                    torch.mainLight.intensity = 1; // Decrease intensity in day mode
-                }
-                if (torch.ambientLight) {
-                    torch.ambientLight.intensity = 0.3;
-                }
-            });
-        }
-        
-        // Set exposure for sunset mode
-        renderer.toneMappingExposure = Math.pow(1.0, 4.0);
-        
-        // Background for sunset - gradient from dark blue to orange
-        // (Three.js doesn't support gradients directly, so we use base color)
-        scene.background = new THREE.Color(0x2a3c5a); // Dark blue sky at sunset
-        
-        // Update materials for sunset view
-        updateMaterialsForSunset();
+        const scaled = (deflection - TOUCH_JOYSTICK_DEAD_ZONE) / (1 - TOUCH_JOYSTICK_DEAD_ZONE);
+        touchMove.set(dx, dy).normalize().multiplyScalar(scaled);
     }
 }
 
-// Function to set up materials for sunset
-function updateMaterialsForSunset() {
-    // Loop through all objects in scene and set them up for sunset lighting
-    scene.traverse((object) => {
-        if (object.isMesh && !object.layers.test(bloomLayer)) {
-           // Don't touch glowing objects (portals)
-            
-            // Check if object has default material
-            if (object.material && object.material.isMeshStandardMaterial) {
-                // Set parameters for materials for better directional light rendering
-                object.material.roughness = 0.7;
-                
-                // If object has saved night color, restore it
-                // Minimize color change to allow light to create sunset effect
-                if (object.userData.nightColor) {
-                    // First restore original color
-                    object.material.color.copy(object.userData.nightColor);
-                    
-                    // For objects in light path, add slight warm tone
-                    // But do it very gently so main effect is from directional light
-                    if (object.position.x > 0) { // Objects with positive X will be lit by sunset
-                        const warmth = 0.15; // Very small change in color
-                        object.material.color.lerp(new THREE.Color(0xffd6aa), warmth);
-                    }
-                }
-            }
-        }
-    });
+// Function to center joystick and stop walking
+function releaseJoystick() {
+    joystickTouchId = null;
+    touchMove.set(0, 0);
     
-    // Don't use fog for clear directional light effect
-    if (scene.fog) {
-        scene.fog = null;
+    if (touchControls) {
+        touchControlParts.knob.style.transform = '';
     }
 }
 
-// Function to set up materials for night lighting
-function updateMaterialsForNightlight() {
-    // Loop through all objects in scene and return night colors
-    scene.traverse((object) => {
-        if (object.isMesh && !object.layers.test(bloomLayer)) {
-            // If object has saved night color, apply it
-            if (object.userData.nightColor && object.material) {
-                object.material.color.copy(object.userData.nightColor);
-            }
-        }
-    });
+// Function to start pinch and pan with two fingers on scene
+function startPinch(touches) {
+    pinchStartDistance = Math.max(1, Math.hypot(touches[0].clientX - touches[1].clientX, touches[0].clientY - touches[1].clientY));
+    pinchStartCameraDistance = currentCameraDistance;
+    pinchStartFov = photoSettings.fov;
+    lastPinchCenterX = (touches[0].clientX + touches[1].clientX) / 2;
+    lastPinchCenterY = (touches[0].clientY + touches[1].clientY) / 2;
+}
+
+// Function to zoom by pinch and pan by moving middle of two fingers
+function updatePinch(touches) {
+    const distance = Math.max(1, Math.hypot(touches[0].clientX - touches[1].clientX, touches[0].clientY - touches[1].clientY));
+    
+    // Pinch changes field of view of photo camera
+    if (viewState.name === 'photoMode') {
+        setPhotoFov(pinchStartFov * pinchStartDistance / distance);
+        return;
+    }
+    
+    currentCameraDistance = Math.max(
+        cameraMinDistance,
+        Math.min(cameraMaxDistance, pinchStartCameraDistance * pinchStartDistance / distance)
+    );
+    
+    const centerX = (touches[0].clientX + touches[1].clientX) / 2;
+    const centerY = (touches[0].clientY + touches[1].clientY) / 2;
+    panCamera(centerX - lastPinchCenterX, centerY - lastPinchCenterY);
+    lastPinchCenterX = centerX;
+    lastPinchCenterY = centerY;
+    
+    updateCameraPosition();
+}
+
+// Function to move camera target along ground, scene follows fingers
+function panCamera(deltaX, deltaY) {
+    const scale = currentCameraDistance * TOUCH_PAN_SPEED;
+    
+    // Camera right and forward directions on ground
+    const right = _tempVector.set(Math.cos(cameraYaw), 0, -Math.sin(cameraYaw));
+    const forward = _tempVector3.set(-Math.sin(cameraYaw), 0, -Math.cos(cameraYaw));
+    
+    cameraPanOffset.addScaledVector(right, -deltaX * scale);
+    cameraPanOffset.addScaledVector(forward, deltaY * scale);
+    cameraPanOffset.clampLength(0, MAX_CAMERA_PAN);
+}
+
+// Function to add styles of touch controls
+function addTouchControlsStyles() {
+    const style = document.createElement('style');
+    style.className = 'village-style';
+    style.textContent = `
+        .touch-controls button, .touch-joystick {
+            touch-action: none;
+            user-select: none;
+            -webkit-user-select: none;
+        }
+        .touch-joystick {
+            position: fixed;
+            left: 30px;
+            bottom: 30px;
+            width: 120px;
+            height: 120px;
+            border-radius: 50%;
+            background-color: rgba(0, 0, 0, 0.4);
+            border: 2px solid #ff80bf;
+            z-index: 1000;
+        }
+        .touch-joystick-knob {
+            position: absolute;
+            left: 35px;
+            top: 35px;
+            width: 50px;
+            height: 50px;
+            border-radius: 50%;
+            background-color: rgba(235, 6, 166, 0.7);
+            box-shadow: 0 0 10px #ff80bf;
+            pointer-events: none;
+        }
+        .touch-action {
+            position: fixed;
+            right: 30px;
+            bottom: 40px;
+            max-width: 160px;
+            min-height: 80px;
+            padding: 10px 16px;
+            border-radius: 40px;
+            background-color: rgba(235, 6, 166, 0.7);
+            color: white;
+            border: 2px solid #ff80bf;
+            box-shadow: 0 0 10px #ff80bf;
+            font-family: Arial, sans-serif;
+            font-size: 15px;
+            z-index: 1000;
+        }
+        .touch-lighting {
+            position: fixed;
+            top: 20px;
+            right: 20px;
+            width: 44px;
+            height: 44px;
+            border-radius: 50%;
+            background-color: rgba(0, 0, 0, 0.6);
+            color: #ff80bf;
+            border: 1px solid #ff80bf;
+            font-size: 22px;
+            z-index: 1000;
+        }
+    `;
+    document.head.appendChild(style);
+}
+
+// Function to load world from Blender
+function loadWorldFromBlender() {
+    const loader = new GLTFLoader();
+    
+    // Manifest and scene download in parallel, nodes are matched to manifest once both are ready
+    const manifestReady = loadVillageManifest();
+    loader.load(
+      'scene.glb',
+      (gltf) => manifestReady.then(() => {
+        // Village was destroyed while scene loaded
+        if (isVillageDestroyed) return;
+        
+        console.log('Loaded scene:', gltf);
+        
+        // Loop through all objects, find needed ones
+        gltf.scene.traverse((node) => {
+          // Remove all light sources from imported scene
+          if (node.isLight) {
+            console.log('Removing light source:', node.name);
+            gltf.scene.remove(node);
+          }
+          
+          // Classify node by Blender custom properties, falling back to its name
+          const tags = classifyNode(node);
+          node.userData.villageTags = tags;
+          
+          switch (tags.role) {
+            // Find wanted board
+            case 'wantedBoard': {
+              console.log('Found wanted board:', node.name);
+              // Get board position
+              const wantedPosition = node.getWorldPosition(new THREE.Vector3());
+              // Save information about wanted board
+              setupWantedBoard(node, wantedPosition);
+              break;
+            }
+            
+            // Find wanted objects (want1-want6)
+            case 'wantedPoster': {
+              console.log('Found wanted object:', node.name);
+              const url = getWantedUrl(node.name);
+              
+              forEachMesh(node, (mesh) => {
+                if (!mesh.material) return;
+                
+                wantedObjects.push({
+                    mesh: mesh,
+                    originalMaterial: mesh.material.clone(),
+                    url: url
+                });
+                
+                // Enable interaction
+                mesh.userData.isWantedObject = true;
+                mesh.userData.wantedId = wantedObjects.length - 1;
+                
+                // Add hover effect
+                mesh.material = mesh.material.clone();
+                mesh.material.emissive = new THREE.Color(0x000000);
+                mesh.material.emissiveIntensity = 0;
+              });
+              break;
+            }
+            
+            // Find information signs
+            case 'sign': {
+              console.log('Found information sign:', node.name);
+              // Get sign position
+              const infoPosition = node.getWorldPosition(new THREE.Vector3());
+              // Create information sign
+              const signEntry = resolveManifestEntry('signs', node.name) || { title: 'Information', body: [] };
+              createInfoSign(node, infoPosition, signEntry.title, renderManifestContent(signEntry));
+              break;
+            }
+            
+            // Find hub trigger objects
+            case 'hubTrigger':
+              console.log('Found hub trigger:', node.name);
+              // Mark as hub trigger
+              node.userData.isHubTrigger = true;
+              registerInteractable({
+                  id: `hub:${node.name}`,
+                  type: 'hub',
+                  object: node,
+                  position: node.getWorldPosition(new THREE.Vector3()),
+                  priority: 0,
+                  prompt: 'Press {interact} to enter hub',
+                  hintClass: 'hub-hint',
+                  isEligible: () => hubObjects.main !== null,
+                  onInteract: () => enterHub()
+              });
+              // Enable shadows
+              if (node.isMesh) {
+                node.castShadow = true;
+                node.receiveShadow = true;
+              }
+              break;
+            
+            // Find main hub object
+            case 'hubMain':
+              console.log('Found main hub object:', node.name);
+              hubObjects.main = node;
+              // Enable shadows
+              if (node.isMesh) {
+                node.castShadow = true;
+                node.receiveShadow = true;
+              }
+              break;
+            
+            // Save reference to switch
+            case 'switch':
+              console.log('Found switch:', node.name);
+              switchObject = node;
+              
+              // Set up switch
+              if (node.isMesh) {
+                // Enable shadows
+                node.castShadow = true;
+                node.receiveShadow = true;
+                
+                // If switch is in night mode, make it glowing
+                if (isNightMode) {
+                  makeSwichGlow(node);
+                }
+                
+                // Add light from switch
+                createSwitchLight(node.position.clone());
+              }
+              break;
+            
+            case 'torch':
+              console.log('Found torch:', node.name);
+              
+              // Add torch object to array
+              torchMeshes.push(node);
+              
+              if (node.isMesh) {
+                node.castShadow = true;
+                node.receiveShadow = true;
+                
+                // Create glowing effect for torch
+                if (isNightMode) {
+                  makeTorchGlow(node);
+                }
+                
+                // Create light source from torch
+                createTorchLight(node.position.clone(), node.name);
+              }
+              break;
+            
+            // Find mode icons, one per lighting profile (night and day icons also stand in for other profiles)
+            case 'modeIcon':
+              console.log('Found mode icon:', node.name);
+              registerLightingIndicator(String(node.userData.lightingProfile), node);
+              break;
+            
+            case 'modeIconNight':
+              console.log('Found night mode icon:', node.name);
+              registerLightingIndicator('night', node);
+              break;
+            
+            case 'modeIconDay':
+              console.log('Found day mode icon:', node.name);
+              registerLightingIndicator('sunset', node);
+              break;
+          }
+          
+          // Set up behaviors authored in Blender
+          setupNodeBehaviors(node);
+          
+          // Collect walkable surfaces for navigation
+          if (node.isMesh && tags.walkable) {
+            walkableObjects.push(node);
+          }
+        });
+        
+        // Add model to scene
+        scene.add(gltf.scene);
+        
+        // Save original materials for possible restoration
+        gltf.scene.traverse((node) => {
+          if (node.isMesh && node.material) {
+            node.userData.originalMaterial = node.material.clone();
+          }
+        });
+        
+        // Loop through all objects, modify materials and collect colliders
+        gltf.scene.traverse((node) => {
+          const tags = node.userData.villageTags;
+          if (!tags) return;
+          
+          // If this is portal frame
+          if (tags.role === 'portal') {
+            console.log('Found portal frame:', node.name);
+            setupPortalFrame(node, tags);
+          }
+          
+          // If this is glowing part of portal
+          else if (tags.role === 'portalLight') {
+            console.log('Found glowing part of portal:', node.name);
+            setupPortalGlow(node);
+          }
+          
+          if (node.isMesh && node.material) {
+            // For floor use material with shadows, but keep textures and color
+            if (tags.walkable === 'floor') {
+              console.log('Found floor:', node.name);
+              
+              // Save original color
+              const originalColor = node.material.color ? node.material.color.clone() : new THREE.Color(0x00ff00); // Green by default, if no color
+              
+              // Save textures from original material
+              const originalTextures = {
+                map: node.material.map,
+                normalMap: node.material.normalMap,
+                roughnessMap: node.material.roughnessMap,
+                metalnessMap: node.material.metalnessMap,
+                aoMap: node.material.aoMap
+              };
+              
+              // Material for floor, which will accept shadows but with original color
+              const floorMaterial = new THREE.MeshStandardMaterial({ 
+                color: originalColor, // Use original color from Blender
+                roughness: 0.9,
+                metalness: 0.1,
+                emissive: 0x000000 
+              });
+              
+              // Apply saved textures
+              for (const [key, texture] of Object.entries(originalTextures)) {
+                if (texture) floorMaterial[key] = texture;
+              }
+              
+              // Apply new material
+              node.material = floorMaterial;
+              
+              // Save original color, lighting profiles tint it by their warmth
+              node.userData.nightColor = originalColor.clone();
+              addWarmthMesh(node);
+              
+              // Set shadow properties
+              node.receiveShadow = true;
+            }
+            
+            // Add collidable meshes to array of collidable objects
+            if (tags.collidable) {
+              // Create collision object
+              collisionObjects.push(node);
+              
+              // Add isCollidable property for filtering
+              node.userData.isCollidable = true;
+              
+              console.log('Added collision object:', node.name);
+            }
+          }
+          
+          // Explicit bloom property overrides glow set up by role
+          if (tags.bloom === true) {
+            forEachMesh(node, mesh => setBloomLayer(mesh, true));
+          } else if (tags.bloom === false) {
+            forEachMesh(node, mesh => setBloomLayer(mesh, false));
+          }
+        });
+        
+        // Apply roughness and glow behaviors for current lighting mode
+        applyProfileRoughness();
+        applyLightingBehaviors();
+        
+        // Report manifest entries that no node claimed and nodes without entries
+        reportManifestCoverage();
+        
+        // Collision queries use octree of collider triangles instead of meshes
+        buildCollisionOctree();
+        buildGroundOctree();
+        
+        // Click-to-move grid, built after octree to leave out collider footprints
+        buildNavMesh();
+        
+        // After loading scene and setting up materials
+        updateShadowCameraHelper();
+        
+        // Torch and switch lights cast shadows only on presets that allow it
+        applyShadowQuality();
+        
+        // Rain, snow, fireflies around torches, dust and sparks of portal
+        createParticles();
+        
+        // Lights and see-through meshes for glow rendering
+        cacheBloomObjects();
+        
+        onAssetLoaded('world');
+      }).catch(onWorldSetupError),
+      (xhr) => {
+        console.log((xhr.loaded / xhr.total * 100) + '% loaded');
+      },
+      (error) => manifestReady.then(() => {
+        if (isVillageDestroyed) return;
+        
+        console.error('Error loading model:', error);
+        // If model couldn't be loaded, create basic world
+        createBasicWorld();
+        buildGroundOctree();
+        buildNavMesh();
+        applyShadowQuality();
+        createParticles();
+        cacheBloomObjects();
+        onAssetLoaded('world');
+      }).catch(onWorldSetupError)
+    );
+}
+
+// Function to report error thrown while world was set up; loading still completes with what was set up
+function onWorldSetupError(error) {
+    console.error('Error setting up world:', error);
+    onAssetLoaded('world');
+}
+
+// Function to set up portal frame material and portal information
+function setupPortalFrame(node, tags) {
+    forEachMesh(node, (mesh) => {
+        if (!mesh.material) return;
+        
+        // Create new material, but keep textures from original
+        const newMaterial = new THREE.MeshStandardMaterial({ 
+          color: 0x222222,
+          side: THREE.DoubleSide,
+          roughness: 0.8,
+          metalness: 0.2
+        });
+        
+        // Copy textures from original material if they exist
+        if (mesh.material.map) newMaterial.map = mesh.material.map;
+        if (mesh.material.normalMap) newMaterial.normalMap = mesh.material.normalMap;
+        if (mesh.material.roughnessMap) newMaterial.roughnessMap = mesh.material.roughnessMap;
+        if (mesh.material.metalnessMap) newMaterial.metalnessMap = mesh.material.metalnessMap;
+        if (mesh.material.aoMap) newMaterial.aoMap = mesh.material.aoMap;
+        
+        // Apply new material
+        mesh.material = newMaterial;
+        
+        // Set shadows for frame
+        mesh.castShadow = true;
+    });
+    
+    // Create portal with information for this object
+    const portalPosition = node.getWorldPosition(new THREE.Vector3());
+    // Look up title and content for this portal in the manifest, portalId picks entry by number
+    const portalEntry = resolveManifestEntry('portals', node.name, tags.portalId) || getDefaultPortalEntry(portals.length);
+    createPortalInfo(node, portalPosition, portalEntry.title, renderManifestContent(portalEntry));
+}
+
+// Function to set up glowing part of portal
+function setupPortalGlow(node) {
+    portalLight = null;
+    
+    forEachMesh(node, (mesh) => {
+        if (!mesh.material) return;
+        
+        // Save texture if it exists
+        const originalTexture = mesh.material.map;
+        
+        // Create bright glowing material for Bloom effect
+        const portalLightMaterial = new THREE.MeshBasicMaterial({ 
+          color: 0x4df3ff, // Bright cyan color
+          side: THREE.DoubleSide,
+          transparent: true,
+          opacity: 0.8
+        });
+        
+        // Apply original texture if it exists
+        if (originalTexture) {
+          portalLightMaterial.map = originalTexture;
+        }
+        
+        // Apply new material
+        mesh.material = portalLightMaterial;
+        
+        // For animation, save original material
+        mesh.userData.glowMaterial = portalLightMaterial;
+        
+        // Enable layer for Bloom effect
+        setBloomLayer(mesh, true);
+        
+        // First glowing mesh is animated by updatePortalEffect
+        if (!portalLight) {
+          portalLight = mesh;
+        }
+    });
+    
+    if (portalLight) {
+        // Add light source from portal
+        addPortalLighting(node.getWorldPosition(new THREE.Vector3()));
+    }
+}
+
+// Function to call callback for node itself (if mesh) and all meshes below it
+function forEachMesh(node, callback) {
+    node.traverse((child) => {
+        if (child.isMesh) {
+            callback(child);
+        }
+    });
+}
+
+// Function to read a tag from Blender custom properties, inheriting from parent objects
+function getInheritedTag(node, key) {
+    for (let current = node; current; current = current.parent) {
+        if (current.userData && current.userData[key] !== undefined) {
+            return current.userData[key];
+        }
+    }
+    return undefined;
+}
+
+// Function to convert custom property value (bool, 0/1 or "true"/"false") to boolean
+function parseTagBoolean(value) {
+    if (typeof value === 'string') {
+        const normalized = value.trim().toLowerCase();
+        if (['true', 'yes', '1', 'on'].includes(normalized)) return true;
+        if (['false', 'no', '0', 'off'].includes(normalized)) return false;
+        return undefined;
+    }
+    if (typeof value === 'boolean') return value;
+    if (typeof value === 'number') return value !== 0;
+    return undefined;
+}
+
+// Function to classify scene node
+// Blender custom properties (glTF extras in userData) win, name heuristics are the fallback
+function classifyNode(node) {
+    const tags = {
+        role: null,
+        collidable: false,
+        walkable: null,
+        bloom: undefined,
+        portalId: undefined
+    };
+    
+    // Role is only read from node itself, children of a tagged or name-classified object are parts of it
+    const ownRole = node.userData ? node.userData.role : undefined;
+    if (ownRole !== undefined) {
+        const key = String(ownRole).replace(/[\s_-]/g, '').toLowerCase();
+        if (NODE_ROLE_ALIASES[key] === undefined) {
+            console.warn(`Unknown role "${ownRole}" on node "${node.name}", ignoring it`);
+        } else {
+            tags.role = NODE_ROLE_ALIASES[key];
+        }
+    } else if (!hasTaggedAncestor(node, 'role') && !hasClassifiedAncestor(node)) {
+        tags.role = getRoleFromName(node.name);
+    }
+    
+    // Walkable surfaces
+    const walkableTag = getInheritedTag(node, 'walkable');
+    if (walkableTag !== undefined) {
+        if (typeof walkableTag === 'string' && /^stairs?$/i.test(walkableTag.trim())) {
+            tags.walkable = 'stair';
+        } else if (typeof walkableTag === 'string' && /^(floor|ground)$/i.test(walkableTag.trim())) {
+            tags.walkable = 'floor';
+        } else {
+            const value = parseTagBoolean(walkableTag);
+            if (value === undefined) {
+                console.warn(`Unknown walkable value "${walkableTag}" on node "${node.name}", ignoring it`);
+            }
+            tags.walkable = value ? 'floor' : null;
+        }
+    } else if (node.isMesh) {
+        if (node.name.includes('Stair') || node.name.includes('Stairs')) {
+            tags.walkable = 'stair';
+        } else if (node.name.includes('Floor') || node.name.includes('floor') || 
+                   node.name.includes('Ground') || node.name.includes('ground')) {
+            tags.walkable = 'floor';
+        }
+    }
+    
+    // Collidable meshes
+    const collidableTag = parseTagBoolean(getInheritedTag(node, 'collidable'));
+    if (collidableTag !== undefined) {
+        tags.collidable = node.isMesh && collidableTag;
+    } else {
+        // All meshes except floor, character, portal glow, and Plane objects
+        tags.collidable = node.isMesh &&
+            node.name !== 'Character' && 
+            tags.role !== 'portalLight' && 
+            tags.walkable !== 'floor' &&
+            !node.name.includes('Plane') && // Exclude all Plane objects
+            node.geometry && node.geometry.type !== 'PlaneGeometry' && // Exclude objects with plane geometry
+            node.geometry.type !== 'PlaneBufferGeometry';
+    }
+    
+    // Glow
+    const bloomTag = getInheritedTag(node, 'bloom');
+    if (bloomTag !== undefined) {
+        tags.bloom = parseTagBoolean(bloomTag);
+    }
+    
+    // Portal number, used to pick portal entry from manifest
+    if (node.userData && node.userData.portalId !== undefined) {
+        const portalId = parseInt(node.userData.portalId, 10);
+        if (Number.isNaN(portalId)) {
+            console.warn(`portalId "${node.userData.portalId}" on node "${node.name}" is not a number, ignoring it`);
+        } else {
+            tags.portalId = portalId;
+        }
+    }
+    
+    return tags;
+}
+
+// Function to check if any parent of node has custom property
+function hasTaggedAncestor(node, key) {
+    for (let current = node.parent; current; current = current.parent) {
+        if (current.userData && current.userData[key] !== undefined) {
+            return true;
+        }
+    }
+    return false;
+}
+
+// Function to check if some ancestor already got role (parents are classified before their children)
+function hasClassifiedAncestor(node) {
+    for (let current = node.parent; current; current = current.parent) {
+        if (current.userData && current.userData.villageTags && current.userData.villageTags.role) {
+            return true;
+        }
+    }
+    return false;
+}
+
+// Function to guess role of node by its name (legacy naming convention)
+function getRoleFromName(name) {
+    if (name.match(/^want[1-6]$/)) return 'wantedPoster';
+    if (name === 'Wanted' || name.includes('wanted')) return 'wantedBoard';
+    if (name.includes('hub_trigger')) return 'hubTrigger';
+    if (name.includes('hub_main')) return 'hubMain';
+    if (name === 'Switch') return 'switch';
+    if (name === 'Torch1' || name === 'Torch2') return 'torch';
+    if (name === 'TextMode1') return 'modeIconNight';
+    if (name === 'TextMode2') return 'modeIconDay';
+    if (name.includes('PortalLight')) return 'portalLight';
+    if (name.includes('Portal') && !name.includes('Light')) return 'portal';
+    if (name === 'Info' || name.includes('Info')) return 'sign';
+    return null;
+}
+
+// Function to read behavior definitions from Blender custom properties
+// Either separate properties (onInteract, onClick, onApproach, whileNight, whileDay)
+// or one "behaviors" property with the same keys (object or JSON string)
+function readNodeBehaviors(node) {
+    const userData = node.userData || {};
+    let source = {};
+    
+    if (userData.behaviors !== undefined) {
+        let behaviors = userData.behaviors;
+        if (typeof behaviors === 'string') {
+            try {
+                behaviors = JSON.parse(behaviors);
+            } catch (e) {
+                console.warn(`Behaviors of node "${node.name}" are not valid JSON:`, e.message);
+                behaviors = null;
+            }
+        }
+        if (behaviors && typeof behaviors === 'object' && !Array.isArray(behaviors)) {
+            source = Object.assign({}, behaviors);
+        } else if (behaviors !== null) {
+            console.warn(`Behaviors of node "${node.name}" should be an object with ${BEHAVIOR_TRIGGERS.join(', ')} keys`);
+        }
+    }
+    
+    BEHAVIOR_TRIGGERS.forEach(trigger => {
+        if (userData[trigger] !== undefined) {
+            source[trigger] = userData[trigger];
+        }
+    });
+    
+    Object.keys(source).forEach(key => {
+        if (!BEHAVIOR_TRIGGERS.includes(key)) {
+            console.warn(`Unknown behavior trigger "${key}" on node "${node.name}"`);
+        }
+    });
+    
+    if (!BEHAVIOR_TRIGGERS.some(trigger => source[trigger] !== undefined)) {
+        return null;
+    }
+    
+    const where = `node "${node.name}"`;
+    return {
+        onInteract: parseBehaviorActions(source.onInteract, `${where} onInteract`),
+        onClick: parseBehaviorActions(source.onClick, `${where} onClick`),
+        onApproach: parseBehaviorApproach(source.onApproach, `${where} onApproach`),
+        whileNight: parseBehaviorActions(source.whileNight, `${where} whileNight`),
+        whileDay: parseBehaviorActions(source.whileDay, `${where} whileDay`)
+    };
+}
+
+// Function to parse list of behavior actions (single action, array or JSON string)
+function parseBehaviorActions(value, where) {
+    if (value === undefined || value === null) return [];
+    
+    if (typeof value === 'string' && /^\s*[[{]/.test(value)) {
+        try {
+            value = JSON.parse(value);
+        } catch (e) {
+            console.warn(`Behavior ${where} is not valid JSON:`, e.message);
+            return [];
+        }
+    }
+    
+    const list = Array.isArray(value) ? value : [value];
+    return list.map(item => parseBehaviorAction(item, where)).filter(action => action !== null);
+}
+
+// Function to parse one behavior action
+// String form: "openUrl <url>", "playSound <file> [volume]", "toggleLighting", "showPanel <manifest key>",
+// "glow <color> [emissive] [intensity]"; object form: { "action": "openUrl", "url": ... }
+function parseBehaviorAction(value, where) {
+    let action;
+    
+    if (typeof value === 'string') {
+        const parts = value.trim().split(/\s+/);
+        const args = parts.slice(1);
+        action = { action: parts[0] };
+        
+        switch (parts[0]) {
+            case 'openUrl':
+                action.url = args[0];
+                break;
+            case 'playSound':
+                action.sound = args[0];
+                if (args[1] !== undefined) action.volume = parseFloat(args[1]);
+                break;
+            case 'showPanel':
+                action.panel = args.join(' ');
+                break;
+            case 'glow':
+                action.color = args[0];
+                if (args[1] !== undefined) action.emissive = args[1];
+                if (args[2] !== undefined) action.intensity = parseFloat(args[2]);
+                break;
+        }
+    } else if (value && typeof value === 'object') {
+        action = Object.assign({}, value);
+        action.action = value.action || value.do;
+    } else {
+        console.warn(`Behavior ${where} has unsupported action ${JSON.stringify(value)}`);
+        return null;
+    }
+    
+    if (!BEHAVIOR_ACTIONS.includes(action.action)) {
+        console.warn(`Behavior ${where} has unknown action "${action.action}" (expected one of: ${BEHAVIOR_ACTIONS.join(', ')})`);
+        return null;
+    }
+    
+    // Check required arguments
+    if (action.action === 'openUrl' && !action.url) {
+        console.warn(`Behavior ${where}: openUrl needs a URL`);
+        return null;
+    }
+    if (action.action === 'playSound' && !action.sound) {
+        console.warn(`Behavior ${where}: playSound needs a sound file`);
+        return null;
+    }
+    if (action.action === 'showPanel' && !action.panel && !action.title) {
+        console.warn(`Behavior ${where}: showPanel needs a manifest key or a title`);
+        return null;
+    }
+    
+    return action;
+}
+
+// Function to parse approach behavior (prompt text or { prompt, radius, priority }), prompt names keys as {interact}
+function parseBehaviorApproach(value, where) {
+    if (value === undefined || value === null) return null;
+    
+    if (typeof value === 'string' && /^\s*\{/.test(value)) {
+        try {
+            value = JSON.parse(value);
+        } catch (e) {
+            console.warn(`Behavior ${where} is not valid JSON:`, e.message);
+            return null;
+        }
+    }
+    
+    if (typeof value === 'string') {
+        return { prompt: value };
+    }
+    if (value && typeof value === 'object' && typeof value.prompt === 'string') {
+        return {
+            prompt: value.prompt,
+            radius: typeof value.radius === 'number' ? value.radius : undefined,
+            priority: typeof value.priority === 'number' ? value.priority : undefined
+        };
+    }
+    
+    console.warn(`Behavior ${where} should be a prompt text or { "prompt", "radius", "priority" }`);
+    return null;
+}
+
+// Function to set up behaviors authored on a scene node
+function setupNodeBehaviors(node) {
+    const behaviors = readNodeBehaviors(node);
+    if (!behaviors) return;
+    
+    console.log('Found behaviors on node:', node.name, behaviors);
+    
+    const behaviorObject = {
+        node: node,
+        behaviors: behaviors,
+        panelItem: null // Panel state for showPanel action
+    };
+    behaviorObjects.push(behaviorObject);
+    
+    // Interact behaviors go through the interactable registry, onApproach sets their prompt
+    if (behaviors.onInteract.length > 0) {
+        const approach = behaviors.onApproach || {};
+        registerInteractable({
+            id: `behavior:${node.name}`,
+            type: 'behavior',
+            object: node,
+            position: node.getWorldPosition(new THREE.Vector3()),
+            radius: approach.radius,
+            priority: approach.priority !== undefined ? approach.priority : 1,
+            prompt: approach.prompt || 'Press {interact} to interact',
+            hintClass: 'portal-hint',
+            onInteract: () => runBehaviorActions(behaviorObject, behaviors.onInteract)
+        });
+    } else if (behaviors.onApproach) {
+        // Approach without interaction only shows its prompt, so it does not take E from objects nearby
+        approachPrompts.push({
+            node: node,
+            position: node.getWorldPosition(new THREE.Vector3()),
+            radius: behaviors.onApproach.radius !== undefined ? behaviors.onApproach.radius : 3,
+            prompt: behaviors.onApproach.prompt
+        });
+    }
+    
+    // Click behaviors are found by raycast in onMouseClick
+    if (behaviors.onClick.length > 0) {
+        node.userData.behaviorObject = behaviorObject;
+    }
+}
+
+// Function to find click behaviors of clicked object or its parents
+function findClickBehavior(object) {
+    for (let current = object; current; current = current.parent) {
+        if (current.userData && current.userData.behaviorObject) {
+            return current.userData.behaviorObject;
+        }
+    }
+    return null;
+}
+
+// Function to run behavior actions
+function runBehaviorActions(behaviorObject, actions) {
+    actions.forEach(action => {
+        switch (action.action) {
+            case 'openUrl':
+                window.open(action.url, '_blank');
+                break;
+            case 'playSound':
+                playBehaviorSound(action.sound, action.volume);
+                break;
+            case 'toggleLighting':
+                cycleLightingProfile();
+                break;
+            case 'showPanel':
+                toggleBehaviorPanel(behaviorObject, action);
+                break;
+            case 'glow':
+                // Glow is a state, it only makes sense in whileNight and whileDay
+                console.warn(`glow action on node "${behaviorObject.node.name}" only works in whileNight and whileDay`);
+                break;
+        }
+    });
+}
+
+// Function to open or close information panel of showPanel action
+function toggleBehaviorPanel(behaviorObject, action) {
+    if (!behaviorObject.panelItem) {
+        // Panel content comes from manifest (signs, then portals) or from action itself
+        const entry = action.panel
+            ? (villageManifest.signs[action.panel] || villageManifest.portals[action.panel])
+            : action;
+        
+        if (!entry) {
+            console.warn(`showPanel on node "${behaviorObject.node.name}": no manifest entry "${action.panel}"`);
+            return;
+        }
+        
+        behaviorObject.panelItem = {
+            mesh: behaviorObject.node,
+            title: entry.title,
+            content: renderManifestContent(entry),
+            active: false
+        };
+    }
+    
+    toggleInfoSign(behaviorObject.panelItem);
+}
+
+// Function to play sound file of playSound action
+function playBehaviorSound(url, volume) {
+    const soundVolume = volume !== undefined && !Number.isNaN(volume) ? volume : 0.5;
+    let sound = behaviorSounds[url];
+    
+    if (!sound) {
+        // First play loads sound, it starts as soon as it's loaded
+        sound = new THREE.Audio(getAudioListener());
+        behaviorSounds[url] = sound;
+        
+        new THREE.AudioLoader().load(
+            url,
+            (buffer) => {
+                if (isVillageDestroyed) return;
+                sound.setBuffer(buffer);
+                sound.setVolume(soundVolume);
+                sound.play();
+            },
+            undefined,
+            (error) => {
+                console.error(`Error loading behavior sound ${url}:`, error);
+            }
+        );
+        return;
+    }
+    
+    if (!sound.buffer) return; // Still loading
+    
+    if (sound.isPlaying) {
+        sound.stop();
+    }
+    sound.setVolume(soundVolume);
+    sound.play();
+}
+
+// Function to apply whileNight / whileDay behaviors for current lighting mode
+function applyLightingBehaviors() {
+    behaviorObjects.forEach(behaviorObject => {
+        const actions = isNightMode ? behaviorObject.behaviors.whileNight : behaviorObject.behaviors.whileDay;
+        
+        // Last glow action wins
+        let glow = null;
+        actions.forEach(action => {
+            if (action.action === 'glow') {
+                glow = action;
+            }
+        });
+        
+        setBehaviorGlow(behaviorObject.node, glow);
+    });
+}
+
+// Function to turn behavior glow of node on (glow action) or off (null)
+function setBehaviorGlow(node, glow) {
+    const keepBloom = node.userData.villageTags && node.userData.villageTags.bloom === true;
+    
+    forEachMesh(node, (mesh) => {
+        if (!mesh.material) return;
+        
+        restoreMeshFade(mesh);
+        
+        if (glow) {
+            // Remember material to restore when glow is off
+            if (!mesh.userData.behaviorBaseMaterial) {
+                mesh.userData.behaviorBaseMaterial = mesh.material;
+            }
+            
+            // Glow material is kept per mesh and reused while glow action is the same, replaced one is disposed
+            const cached = mesh.userData.behaviorGlow;
+            if (cached && cached.glow === glow) {
+                mesh.material = cached.material;
+                setBloomLayer(mesh, true);
+                return;
+            }
+            if (cached) {
+                cached.material.dispose();
+            }
+            mesh.userData.behaviorGlow = {
+                glow: glow,
+                material: makeEmissiveGlow(mesh, {
+                    color: glow.color !== undefined ? glow.color : 0xffffff,
+                    emissive: glow.emissive !== undefined ? glow.emissive : glow.color,
+                    emissiveIntensity: glow.intensity !== undefined && !Number.isNaN(glow.intensity) ? glow.intensity : 1.5,
+                    map: mesh.userData.behaviorBaseMaterial.map
+                })
+            };
+        } else if (mesh.userData.behaviorBaseMaterial) {
+            mesh.material = mesh.userData.behaviorBaseMaterial;
+            delete mesh.userData.behaviorBaseMaterial;
+            
+            if (!keepBloom) {
+                setBloomLayer(mesh, false);
+            }
+        }
+    });
+}
+
+// Function to add lighting from portal
+function addPortalLighting(position) {
+    // Create main light source from portal - point light
+    portalSpotLight = new THREE.PointLight(0x4df3ff, 350, 20);
+    portalSpotLight.position.copy(position);
+    
+    // Set up shadows for point light
+    portalSpotLight.castShadow = true;
+    portalSpotLight.shadow.mapSize.width = 1024;
+    portalSpotLight.shadow.mapSize.height = 1024;
+    portalSpotLight.shadow.camera.near = 0.5;
+    portalSpotLight.shadow.camera.far = 20; // Уменьшаем радиус теней для соответствия настройкам камеры
+    portalSpotLight.shadow.bias = -0.001;
+    
+    // Set up radius and blur for shadows (VSM specific)
+    portalSpotLight.shadow.radius = 8;
+    portalSpotLight.shadow.blurSamples = 12;
+    
+    scene.add(portalSpotLight);
+    
+    // Add additional point light with smaller radius for enhancing near glow
+    portalPointLight = new THREE.PointLight(0x4df3ff, 3, 5);
+    portalPointLight.position.copy(position);
+    scene.add(portalPointLight);
+    
+    // Add very weak global ambient light for visibility in darkness
+    const ambientLight = new THREE.AmbientLight(0x111111, 0.1);
+    scene.add(ambientLight);
+    
+    // Create daytime lighting and apply active profile to all lights at once
+    createDayLighting();
+    lightingTarget = lightingTarget || createLightingState(LIGHTING_PROFILES[lightingProfile]);
+    finishLightingCrossfade();
+}
+
+// Function to create daytime lighting
+function createDayLighting() {
+    // Create directional light for simulating sunlight
+    dayLight = {
+        // Main directional light (sunset)
+        directional: new THREE.DirectionalLight(0xff9a3c, 1.3), // Bright orange sunset light
+        // Ambient lighting for filling shadows
+        ambient: new THREE.AmbientLight(0xfffaf0, 0.3), // Very weak ambient lighting for contrast
+        // Hemispherical lighting for more realistic sky/ground lighting
+        hemisphere: new THREE.HemisphereLight(0xffd6aa, 0x586778, 0.2), // Minimal fill
+        // Light with slight green tinge for simulating opposite side of sky
+        fill: new THREE.DirectionalLight(0xb4c8dd, 0.15) // Weak green light
+    };
+    
+    // Set up main directional light - sharply from side and low (like sunset)
+    dayLight.directional.position.set(50, 15, 0); // Strong side light for long shadows
+    dayLight.directional.castShadow = true;
+    
+    // Set up additional light from opposite side
+    dayLight.fill.position.set(-30, 8, 0);
+    dayLight.fill.castShadow = false; // Doesn't cast shadows
+    
+    // Оптимизируем настройки теней для соответствия новому frustum
+    dayLight.directional.shadow.mapSize.width = 2048;
+    dayLight.directional.shadow.mapSize.height = 2048;
+    dayLight.directional.shadow.camera.near = 0.5;
+    dayLight.directional.shadow.camera.far = 120; // Уменьшаем, чтобы не выходить за пределы frustum камеры
+    
+    // Very wide area for capturing long shadows
+    const shadowSize = 50;
+    dayLight.directional.shadow.camera.left = -shadowSize;
+    dayLight.directional.shadow.camera.right = shadowSize;
+    dayLight.directional.shadow.camera.top = shadowSize;
+    dayLight.directional.shadow.camera.bottom = -shadowSize;
+    
+    // Sharp shadows for emphasized sunset effect
+    dayLight.directional.shadow.radius = 1.5; // Sharper shadows
+    dayLight.directional.shadow.bias = -0.0005;
+    
+    // Add light sources to scene, their colors and intensities come from lighting profile
+    scene.add(dayLight.directional);
+    scene.add(dayLight.ambient);
+    scene.add(dayLight.hemisphere);
+    scene.add(dayLight.fill);
+}
+
+// Function to update switch appearance
+function updateSwitchAppearance() {
+    if (!switchObject || !switchObject.isMesh) return;
+    
+    if (isNightMode) {
+        // Make switch glow in night mode
+        makeSwichGlow(switchObject);
+        
+        // Turn on switch light
+        if (switchLight) {
+            switchLight.visible = true;
+            
+            // Animate light pulse
+            animateSwitchLight();
+        }
+    } else {
+        // Return to original material in day mode
+        if (switchObject.userData.originalMaterial) {
+            // Use brighter material for day mode
+            restoreMeshFade(switchObject);
+            const dayMaterial = switchObject.userData.originalMaterial.clone();
+            // Increase brightness for day mode
+            if (dayMaterial.color) {
+                dayMaterial.color.multiplyScalar(1.2);
+            }
+            switchObject.material = dayMaterial;
+            
+            // Disable layer for switch
+            setBloomLayer(switchObject, false);
+        }
+        
+        // Turn off switch light
+        if (switchLight) {
+            switchLight.visible = false;
+        }
+    }
+}
+
+// Function to animate light pulse
+function animateSwitchLight() {
+    if (!switchLight) return;
+    
+    // Only one pulse runs at a time
+    if (switchLight.userData.pulseTicker) {
+        switchLight.userData.pulseTicker.cancel();
+    }
+    
+    // Pulse light until it's turned off
+    switchLight.userData.pulseTicker = startTicker(() => {
+        if (!switchLight.visible) {
+            switchLight.userData.pulseTicker = null;
+            return false;
+        }
+        
+        // More gradual and pronounced light pulse intensity
+        switchLight.intensity = 15 + Math.sin(simulationTime * 1.5) * 8;
+    });
+}
+
+// Lighting profiles: everything a lighting mood sets, switching between them crossfades all values
+// dark: night-like profile (switch and torches glow, whileNight behaviors run)
+// cycle: profile is reached with the Switch and L key (event themes are set from code or settings)
+// indicator: material of mode icon shown for this profile (night or day icon if profile has no own icon)
+const LIGHTING_PROFILES = {
+    night: {
+        label: 'Night', icon: '☾', dark: true, cycle: true,
+        portal: { intensity: 300, pulse: 100 }, // Pulse is added by updatePortalEffect
+        portalGlow: { intensity: 3, pulse: 1.5 },
+        sun: { color: 0xff9a3c, intensity: 0, position: [50, 15, 0] },
+        ambient: { color: 0xfffaf0, intensity: 0.05 }, // Very weak ambient lighting to make objects visible as shadows
+        hemisphere: { sky: 0xffd6aa, ground: 0x586778, intensity: 0 },
+        fill: { color: 0xb4c8dd, intensity: 0 },
+        torches: 1, // Part of full torch brightness
+        sky: 0x000000, // Zenith of sky dome
+        weather: 'clear', // Weather shown while weather setting is auto
+        horizon: 0x0b1430,
+        stars: 1, moon: 1, sunDisc: 0, clouds: 0.2, // Visibility of sky parts, clouds also cover part of sky
+        exposure: Math.pow(bloomParams.exposure, 4.0),
+        fog: null,
+        warmth: { color: 0xffd6aa, amount: 0 }, // Tint of floor materials on sunlit side
+        roughness: null, // Roughness of scene materials, null keeps roughness they were loaded with
+        bloom: 0.8,
+        indicator: { color: 0xa8c6ff, emissive: 0x3b5fd9, emissiveIntensity: 1.2, metalness: 0.3, roughness: 0.2, bloom: true }
+    },
+    dawn: {
+        label: 'Dawn', icon: '🌅', dark: false, cycle: true,
+        portal: { intensity: 120, pulse: 50 },
+        portalGlow: { intensity: 1.5, pulse: 0.7 },
+        sun: { color: 0xffc4a0, intensity: 1.0, position: [-50, 12, 10] },
+        ambient: { color: 0xe8eeff, intensity: 0.35 },
+        hemisphere: { sky: 0xffc9d9, ground: 0x4a5a70, intensity: 0.3 },
+        fill: { color: 0xb4c8dd, intensity: 0.2 },
+        torches: 0.5,
+        sky: 0x6a7fa8,
+        weather: 'clear',
+        horizon: 0xffb38a,
+        stars: 0.15, moon: 0.3, sunDisc: 1, clouds: 0.35,
+        exposure: 0.9,
+        fog: { color: 0xb8a8b0, near: 20, far: 120 },
+        warmth: { color: 0xffc9d9, amount: 0.1 },
+        roughness: null,
+        bloom: 0.6,
+        indicator: { color: 0xffc9d9, emissive: 0xff8866, emissiveIntensity: 0.5, metalness: 0.6, roughness: 0.2, bloom: false }
+    },
+    sunset: {
+        label: 'Sunset', icon: '🌇', dark: false, cycle: true,
+        portal: { intensity: 80, pulse: 40 },
+        portalGlow: { intensity: 1, pulse: 0.5 },
+        sun: { color: 0xff9a3c, intensity: 1.3, position: [50, 15, 0] }, // Strong side light for long shadows
+        ambient: { color: 0xfffaf0, intensity: 0.3 },
+        hemisphere: { sky: 0xffd6aa, ground: 0x586778, intensity: 0.2 },
+        fill: { color: 0xb4c8dd, intensity: 0.15 },
+        torches: 0.33,
+        sky: 0x2a3c5a, // Dark blue sky at sunset
+        weather: 'clear',
+        horizon: 0xff8a4c,
+        stars: 0, moon: 0, sunDisc: 1, clouds: 0.3,
+        exposure: 1.0,
+        fog: null,
+        warmth: { color: 0xffd6aa, amount: 0.15 },
+        roughness: 0.7, // Rougher materials for better directional light rendering
+        bloom: 0.8,
+        indicator: { color: 0xffd700, emissive: 0xff7700, emissiveIntensity: 0.6, metalness: 0.8, roughness: 0.1, bloom: false }
+    },
+    overcast: {
+        label: 'Overcast', icon: '☁', dark: false, cycle: true,
+        portal: { intensity: 100, pulse: 30 },
+        portalGlow: { intensity: 1, pulse: 0.3 },
+        sun: { color: 0xdde4ee, intensity: 0.4, position: [10, 60, 10] },
+        ambient: { color: 0xdfe6ef, intensity: 0.6 },
+        hemisphere: { sky: 0xcfd8e3, ground: 0x4f5660, intensity: 0.5 },
+        fill: { color: 0xb4c8dd, intensity: 0.1 },
+        torches: 0.4,
+        sky: 0x7d8794,
+        weather: 'rain',
+        horizon: 0x9aa3ae,
+        stars: 0, moon: 0, sunDisc: 0, clouds: 0.9,
+        exposure: 0.85,
+        fog: { color: 0x8d96a2, near: 15, far: 90 },
+        warmth: { color: 0xffd6aa, amount: 0 },
+        roughness: null,
+        bloom: 0.5,
+        indicator: { color: 0xcfd8e3, emissive: 0x556677, emissiveIntensity: 0.3, metalness: 0.5, roughness: 0.4, bloom: false }
+    },
+    festival: {
+        label: 'Succinct festival', icon: '🎉', dark: true, cycle: false,
+        portal: { intensity: 400, pulse: 150 },
+        portalGlow: { intensity: 4, pulse: 2 },
+        sun: { color: 0xff80bf, intensity: 0, position: [50, 15, 0] },
+        ambient: { color: 0xff80bf, intensity: 0.1 },
+        hemisphere: { sky: 0xeb06a6, ground: 0x1a0a2a, intensity: 0.25 },
+        fill: { color: 0xb4c8dd, intensity: 0 },
+        torches: 1.2,
+        sky: 0x1a0520,
+        weather: 'clear',
+        horizon: 0x5a1048,
+        stars: 0.6, moon: 0, sunDisc: 0, clouds: 0.3,
+        exposure: 0.5,
+        fog: { color: 0x2a0830, near: 25, far: 110 },
+        warmth: { color: 0xff80bf, amount: 0.2 },
+        roughness: null,
+        bloom: 1.2,
+        indicator: { color: 0xff80bf, emissive: 0xeb06a6, emissiveIntensity: 1.5, metalness: 0.3, roughness: 0.2, bloom: true }
+    },
+    spooky: {
+        label: 'Spooky night', icon: '🎃', dark: true, cycle: false,
+        portal: { intensity: 250, pulse: 150 },
+        portalGlow: { intensity: 3, pulse: 2 },
+        sun: { color: 0x66ff99, intensity: 0, position: [50, 15, 0] },
+        ambient: { color: 0x66ff99, intensity: 0.06 },
+        hemisphere: { sky: 0x1f3f1f, ground: 0x000000, intensity: 0.15 },
+        fill: { color: 0xb4c8dd, intensity: 0 },
+        torches: 0.6,
+        sky: 0x050a05,
+        weather: 'clear',
+        horizon: 0x1a2a10,
+        stars: 0.3, moon: 1, sunDisc: 0, clouds: 0.5,
+        exposure: 0.45,
+        fog: { color: 0x0a1a0a, near: 8, far: 60 },
+        warmth: { color: 0x66ff66, amount: 0.1 },
+        roughness: null,
+        bloom: 1.0,
+        indicator: { color: 0xa8ffb0, emissive: 0x22aa44, emissiveIntensity: 1.2, metalness: 0.3, roughness: 0.2, bloom: true }
+    }
+};
+const LIGHTING_CROSSFADE_TIME = 1.5; // Default crossfade between profiles, seconds
+const NO_FOG = { near: 200, far: 400 }; // Fog of profiles without fog, past camera far plane
+let lightingProfile = 'night'; // Active profile (crossfade may still be heading to it)
+let lightingState = null; // Values applied to scene now, see createLightingState
+let lightingTarget = null; // Values of active profile
+let lightingTween = null; // Running crossfade
+let lightingIndicators = {}; // Profile name -> mode icon node
+let warmthMeshes = []; // Floor meshes tinted by profile warmth
+
+// Function to get profiles reached with the Switch, in order (config may add event themes)
+function getLightingCycle() {
+    const config = window.succinctVillageConfig || {};
+    const cycle = Array.isArray(config.lightingCycle) ? config.lightingCycle.filter(name => {
+        if (!LIGHTING_PROFILES[name]) {
+            console.warn(`succinctVillageConfig.lightingCycle: unknown lighting profile "${name}"`);
+            return false;
+        }
+        return true;
+    }) : [];
+    
+    return cycle.length > 0 ? cycle : Object.keys(LIGHTING_PROFILES).filter(name => LIGHTING_PROFILES[name].cycle);
+}
+
+// Function to get profile after the active one in the cycle (event profile goes back to start of cycle)
+function getNextLightingProfile() {
+    const cycle = getLightingCycle();
+    return cycle[(cycle.indexOf(lightingProfile) + 1) % cycle.length];
+}
+
+// Function to turn profile data into flat values that can be interpolated
+function createLightingState(profile) {
+    const fog = profile.fog || { color: profile.sky, near: NO_FOG.near, far: NO_FOG.far };
+    return {
+        portalIntensity: profile.portal.intensity,
+        portalPulse: profile.portal.pulse,
+        portalGlowIntensity: profile.portalGlow.intensity,
+        portalGlowPulse: profile.portalGlow.pulse,
+        sunColor: new THREE.Color(profile.sun.color),
+        sunIntensity: profile.sun.intensity,
+        sunPosition: new THREE.Vector3().fromArray(profile.sun.position),
+        ambientColor: new THREE.Color(profile.ambient.color),
+        ambientIntensity: profile.ambient.intensity,
+        hemisphereSky: new THREE.Color(profile.hemisphere.sky),
+        hemisphereGround: new THREE.Color(profile.hemisphere.ground),
+        hemisphereIntensity: profile.hemisphere.intensity,
+        fillColor: new THREE.Color(profile.fill.color),
+        fillIntensity: profile.fill.intensity,
+        torches: profile.torches,
+        sky: new THREE.Color(profile.sky),
+        horizon: new THREE.Color(profile.horizon),
+        stars: profile.stars,
+        moon: profile.moon,
+        sunDisc: profile.sunDisc,
+        clouds: profile.clouds,
+        exposure: profile.exposure,
+        fogColor: new THREE.Color(fog.color),
+        fogNear: fog.near,
+        fogFar: fog.far,
+        warmthColor: new THREE.Color(profile.warmth.color),
+        warmth: profile.warmth.amount,
+        bloom: profile.bloom
+    };
+}
+
+// Function to copy lighting state (crossfade starts from values on screen)
+function cloneLightingState(state) {
+    const copy = {};
+    Object.keys(state).forEach(key => {
+        copy[key] = typeof state[key] === 'number' ? state[key] : state[key].clone();
+    });
+    return copy;
+}
+
+// Function to interpolate between two lighting states into target
+function lerpLightingState(from, to, t, target) {
+    Object.keys(from).forEach(key => {
+        if (typeof from[key] === 'number') {
+            target[key] = from[key] + (to[key] - from[key]) * t;
+        } else if (from[key].isColor) {
+            target[key].lerpColors(from[key], to[key], t);
+        } else {
+            target[key].lerpVectors(from[key], to[key], t);
+        }
+    });
+    return target;
+}
+
+// Function to switch to lighting profile, crossfading over duration (seconds, 0 switches at once)
+function setLightingProfile(name, duration = LIGHTING_CROSSFADE_TIME) {
+    const profile = LIGHTING_PROFILES[name];
+    if (!profile) {
+        console.warn(`Unknown lighting profile "${name}", expected one of: ${Object.keys(LIGHTING_PROFILES).join(', ')}`);
+        return false;
+    }
+    
+    lightingProfile = name;
+    isNightMode = profile.dark;
+    console.log(`Lighting profile: ${profile.label}`);
+    
+    lightingTarget = createLightingState(profile);
+    if (!lightingState || duration <= 0) {
+        finishLightingCrossfade();
+    } else {
+        // Crossfade from what is on screen now, even if previous crossfade is unfinished
+        const from = cloneLightingState(lightingState);
+        const target = lightingTarget;
+        lightingTween = startTween({
+            channel: 'lighting',
+            duration: duration,
+            easing: Easing.easeInOutCubic,
+            onUpdate: (easedProgress) => {
+                lerpLightingState(from, target, easedProgress, lightingState);
+                applyLightingState();
+            },
+            onComplete: () => {
+                lightingTween = null;
+            }
+        });
+    }
+    
+    // Switch, icons, material roughness and behaviors change at once
+    updateSwitchAppearance();
+    updateLightingIndicators();
+    applyProfileRoughness();
+    applyLightingBehaviors();
+    renderSettingsPanel();
+    
+    emitVillageEvent('modeChanged', { mode: isNightMode ? 'night' : 'day', profile: name });
+    return true;
+}
+
+// Function to jump to end of running crossfade (photo mode keeps exposure and glow it starts with)
+function finishLightingCrossfade() {
+    if (lightingTween) {
+        lightingTween.cancel();
+        lightingTween = null;
+    }
+    if (!lightingTarget) return;
+    
+    lightingState = cloneLightingState(lightingTarget);
+    applyLightingState();
+}
+
+// Function to go to next profile of the cycle (Switch, L key, toggleLighting behavior)
+function cycleLightingProfile() {
+    setLightingProfile(getNextLightingProfile());
+}
+
+// Function to apply current lighting state to lights, sky, fog, exposure, glow and materials
+function applyLightingState() {
+    const state = lightingState;
+    
+    if (dayLight) {
+        dayLight.directional.color.copy(state.sunColor);
+        dayLight.directional.intensity = state.sunIntensity;
+        dayLight.directional.position.copy(state.sunPosition);
+        dayLight.ambient.color.copy(state.ambientColor);
+        dayLight.ambient.intensity = state.ambientIntensity;
+        dayLight.hemisphere.color.copy(state.hemisphereSky);
+        dayLight.hemisphere.groundColor.copy(state.hemisphereGround);
+        dayLight.hemisphere.intensity = state.hemisphereIntensity;
+        dayLight.fill.color.copy(state.fillColor);
+        dayLight.fill.intensity = state.fillIntensity;
+    }
+    
+    // Portal lights pulse in updatePortalEffect and torches flicker in their tickers, both read state there
+    
+    if (scene.background && scene.background.isColor) {
+        scene.background.copy(state.sky);
+    }
+    if (!scene.fog) {
+        scene.fog = new THREE.Fog(state.fogColor.getHex(), state.fogNear, state.fogFar);
+    }
+    scene.fog.color.copy(state.fogColor);
+    scene.fog.near = state.fogNear;
+    scene.fog.far = state.fogFar;
+    
+    renderer.toneMappingExposure = state.exposure;
+    bloomParams.strength = state.bloom;
+    if (bloomPass) bloomPass.strength = state.bloom;
+    
+    // Objects on sunlit side get slight warm tone, so main effect still comes from light
+    warmthMeshes.forEach(applyWarmth);
+}
+
+// Function to tint mesh from its original color by profile warmth (objects with positive X are lit by sun)
+function applyWarmth(mesh) {
+    // Faded mesh is tinted on both its copy and the material it gets back
+    const fade = fadedMeshes.get(mesh);
+    const materials = fade ? [mesh.material, fade.originalMaterial] : [mesh.material];
+    
+    materials.forEach(material => {
+        material.color.copy(mesh.userData.nightColor);
+        if (lightingState && mesh.position.x > 0) {
+            material.color.lerp(lightingState.warmthColor, lightingState.warmth);
+        }
+    });
+}
+
+// Function to set roughness of scene materials from profile (glowing objects and mode icons keep their own)
+function applyProfileRoughness() {
+    if (!scene) return;
+    const roughness = LIGHTING_PROFILES[lightingProfile].roughness;
+    
+    scene.traverse((object) => {
+        if (!object.isMesh || object.layers.test(bloomLayer) || object.userData.indicatorMaterials) return;
+        
+        // Faded mesh also changes material it gets back
+        const fade = fadedMeshes.get(object);
+        const materials = fade ? [object.material, fade.originalMaterial] : [object.material];
+        
+        materials.forEach(material => {
+            if (!material || !material.isMeshStandardMaterial) return;
+            
+            if (material.userData.baseRoughness === undefined) {
+                material.userData.baseRoughness = material.roughness;
+            }
+            material.roughness = roughness !== null ? roughness : material.userData.baseRoughness;
+        });
+    });
+}
+
+// Function to remember floor mesh that profile warmth tints
+function addWarmthMesh(mesh) {
+    warmthMeshes.push(mesh);
+    applyWarmth(mesh);
+}
+
+// Function to remember mode icon of profile
+function registerLightingIndicator(name, node) {
+    if (!LIGHTING_PROFILES[name]) {
+        console.warn(`Mode icon "${node.name}": unknown lighting profile "${name}"`);
+        return;
+    }
+    lightingIndicators[name] = node;
+    updateLightingIndicators();
+}
+
+// Function to show icon of active profile (night or day icon stands in for profiles without own icon)
+function updateLightingIndicators() {
+    const profile = LIGHTING_PROFILES[lightingProfile];
+    const shown = lightingIndicators[lightingProfile] || lightingIndicators[profile.dark ? 'night' : 'sunset'];
+    
+    Object.values(lightingIndicators).forEach(node => {
+        node.visible = node === shown;
+    });
+    if (!shown || !shown.isMesh) return;
+    
+    // Each icon keeps one material per profile
+    const materials = shown.userData.indicatorMaterials = shown.userData.indicatorMaterials || {};
+    if (!materials[lightingProfile]) {
+        const style = profile.indicator;
+        materials[lightingProfile] = new THREE.MeshStandardMaterial({
+            color: style.color,
+            emissive: style.emissive,
+            emissiveIntensity: style.emissiveIntensity,
+            metalness: style.metalness,
+            roughness: style.roughness
+        });
+    }
+    shown.material = materials[lightingProfile];
+    
+    if (profile.indicator.bloom) {
+        setBloomLayer(shown, true);
+    } else {
+        setBloomLayer(shown, false);
+    }
+}
+
+// Sky dome: gradient atmosphere, sun glow, stars and clouds drawn by shader on sphere around camera,
+// sun and moon discs are sprites on glow layer. Colors and visibility come from lighting profile
+const SKY_RADIUS = 130; // Stays inside camera far plane (150) in every direction
+const SKY_DISC_DISTANCE = 120; // Sun and moon are drawn in front of dome
+const SKY_SUN_SIZE = 12;
+const SKY_MOON_SIZE = 8;
+const SKY_MOON_DIRECTION = new THREE.Vector3(-0.5, 0.6, -0.6).normalize();
+const SKY_MOON_COLOR = 0xdde6ff;
+let sky = null; // { group, dome, sun, moon }
+
+const skyVertexShader = `
+varying vec3 vDirection;
+void main() {
+    vDirection = position;
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+}
+`;
+
+const skyFragmentShader = `
+uniform vec3 zenithColor;
+uniform vec3 horizonColor;
+uniform vec3 sunColor;
+uniform vec3 sunDirection;
+uniform float sunDisc;
+uniform float stars;
+uniform float clouds;
+uniform float time;
+varying vec3 vDirection;
+
+float hash(vec3 p) {
+    p = fract(p * 0.3183099 + 0.1);
+    p *= 17.0;
+    return fract(p.x * p.y * p.z * (p.x + p.y + p.z));
+}
+
+float noise(vec2 p) {
+    vec2 i = floor(p);
+    vec2 f = fract(p);
+    f = f * f * (3.0 - 2.0 * f);
+    float a = hash(vec3(i, 0.0));
+    float b = hash(vec3(i + vec2(1.0, 0.0), 0.0));
+    float c = hash(vec3(i + vec2(0.0, 1.0), 0.0));
+    float d = hash(vec3(i + vec2(1.0, 1.0), 0.0));
+    return mix(mix(a, b, f.x), mix(c, d, f.x), f.y);
+}
+
+float fbm(vec2 p) {
+    float value = 0.0;
+    float amplitude = 0.5;
+    for (int i = 0; i < 4; i++) {
+        value += amplitude * noise(p);
+        p *= 2.03;
+        amplitude *= 0.5;
+    }
+    return value;
+}
+
+void main() {
+    vec3 direction = normalize(vDirection);
+    float height = direction.y;
+    
+    // Atmosphere: horizon color fades into zenith, below horizon it darkens
+    vec3 color = mix(horizonColor, zenithColor, pow(clamp(height, 0.0, 1.0), 0.5));
+    color = mix(color, horizonColor * 0.4, clamp(-height * 4.0, 0.0, 1.0));
+    
+    // Glow around sun
+    float sunAmount = max(dot(direction, normalize(sunDirection)), 0.0);
+    color += sunColor * (pow(sunAmount, 8.0) * 0.4 + pow(sunAmount, 64.0) * 0.6) * sunDisc;
+    
+    // Stars: one possible star per cell of direction grid, each twinkles at own rate
+    if (stars > 0.0) {
+        vec3 cell = floor(direction * 220.0);
+        float seed = hash(cell);
+        float star = step(0.996, seed) * (1.0 - smoothstep(0.1, 0.45, length(fract(direction * 220.0) - 0.5)));
+        float twinkle = 0.6 + 0.4 * sin(time * (1.5 + seed * 3.0) + seed * 100.0);
+        color += vec3(star * twinkle * stars * smoothstep(0.0, 0.15, height));
+    }
+    
+    // Clouds on flat layer above village, drifting with time
+    if (clouds > 0.0 && height > 0.0) {
+        vec2 uv = direction.xz / (height + 0.15) * 1.5 + vec2(time * 0.02, time * 0.008);
+        float threshold = 0.75 - clouds * 0.6;
+        float cover = smoothstep(threshold, threshold + 0.25, fbm(uv)) * smoothstep(0.0, 0.2, height);
+        vec3 cloudColor = mix(zenithColor, horizonColor, 0.6) * 1.3 + sunColor * sunDisc * 0.2;
+        color = mix(color, cloudColor, cover * 0.85);
+    }
+    
+    gl_FragColor = vec4(color, 1.0);
+    
+    #include <tonemapping_fragment>
+    #include <colorspace_fragment>
+}
+`;
+
+// Function to create sky dome, sun and moon (shown once lighting profile is applied)
+function createSky() {
+    const dome = new THREE.Mesh(
+        new THREE.SphereGeometry(SKY_RADIUS, 32, 16),
+        new THREE.ShaderMaterial({
+            uniforms: {
+                zenithColor: { value: new THREE.Color() },
+                horizonColor: { value: new THREE.Color() },
+                sunColor: { value: new THREE.Color() },
+                sunDirection: { value: new THREE.Vector3(0, 1, 0) },
+                sunDisc: { value: 0 },
+                stars: { value: 0 },
+                clouds: { value: 0 },
+                time: { value: 0 }
+            },
+            vertexShader: skyVertexShader,
+            fragmentShader: skyFragmentShader,
+            side: THREE.BackSide,
+            depthWrite: false,
+            fog: false
+        })
+    );
+    // Drawn first, everything in village covers it
+    dome.renderOrder = -1;
+    
+    const sun = createSkyDisc(SKY_SUN_SIZE, 0.15);
+    const moon = createSkyDisc(SKY_MOON_SIZE, 0.7);
+    moon.material.color.set(SKY_MOON_COLOR);
+    moon.position.copy(SKY_MOON_DIRECTION).multiplyScalar(SKY_DISC_DISTANCE);
+    
+    const group = new THREE.Group();
+    group.name = 'Sky';
+    group.add(dome, sun, moon);
+    group.visible = false;
+    
+    // Sky is never clicked or hovered
+    [dome, sun, moon].forEach(object => {
+        object.raycast = () => {};
+        object.frustumCulled = false;
+    });
+    
+    scene.add(group);
+    sky = { group, dome, sun, moon };
+    
+    // Dome covers whole view, so flat background color is not needed (and glow starts from black)
+    scene.background = null;
+}
+
+// Function to create glowing sky disc sprite; core is part of radius that is fully bright
+function createSkyDisc(size, core) {
+    const canvas = document.createElement('canvas');
+    canvas.width = canvas.height = 64;
+    const context = canvas.getContext('2d');
+    const gradient = context.createRadialGradient(32, 32, 0, 32, 32, 32);
+    gradient.addColorStop(0, 'rgba(255, 255, 255, 1)');
+    gradient.addColorStop(core, 'rgba(255, 255, 255, 1)');
+    gradient.addColorStop(Math.min(core + 0.1, 1), 'rgba(255, 255, 255, 0.35)');
+    gradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
+    context.fillStyle = gradient;
+    context.fillRect(0, 0, 64, 64);
+    
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    
+    const disc = new THREE.Sprite(new THREE.SpriteMaterial({
+        map: texture,
+        transparent: true,
+        depthWrite: false,
+        fog: false
+    }));
+    disc.scale.set(size, size, 1);
+    
+    // Sun and moon glow; depth prepass of glow render must not hide them behind themselves
+    setBloomLayer(disc, true);
+    excludeFromBloomPrepass(disc);
+    
+    return disc;
+}
+
+// Function to keep sky around camera and apply current lighting state to it, every frame
+function updateSky(deltaTime) {
+    if (!sky || !lightingState || !dayLight) return;
+    
+    const state = lightingState;
+    const uniforms = sky.dome.material.uniforms;
+    
+    sky.group.visible = true;
+    sky.group.position.copy(camera.position);
+    
+    // Sun disc follows sun light of profile
+    uniforms.sunDirection.value.copy(dayLight.directional.position).normalize();
+    sky.sun.position.copy(uniforms.sunDirection.value).multiplyScalar(SKY_DISC_DISTANCE);
+    
+    uniforms.zenithColor.value.copy(state.sky);
+    uniforms.horizonColor.value.copy(state.horizon);
+    uniforms.sunColor.value.copy(state.sunColor);
+    uniforms.sunDisc.value = state.sunDisc;
+    uniforms.stars.value = state.stars;
+    uniforms.clouds.value = QUALITY_PRESETS[qualitySetting.level].skyClouds ? state.clouds : 0;
+    uniforms.time.value += deltaTime;
+    
+    // Discs set below horizon fade out instead of showing under village
+    updateSkyDisc(sky.sun, state.sunDisc, state.sunColor);
+    updateSkyDisc(sky.moon, state.moon, null);
+}
+
+// Function to set sky disc brightness, fading it near horizon
+function updateSkyDisc(disc, amount, color) {
+    const horizonFade = THREE.MathUtils.smoothstep(disc.position.y / SKY_DISC_DISTANCE, -0.05, 0.05);
+    disc.material.opacity = amount * horizonFade;
+    disc.visible = disc.material.opacity > 0.01;
+    if (color) {
+        disc.material.color.set(0xffffff).lerp(color, 0.5);
+    }
+}
+
+// Particles: each effect is one instanced quad drawn many times, its motion is computed in vertex shader from time
+// motion: fall (box around character, standing on its floor), wander (around home points), rise (from home points), splash (rings on floor)
+// count: instances at full budget, fewer are drawn when quality preset's particleBudget is exceeded
+const PARTICLE_EFFECTS = {
+    rain: { motion: 'fall', shape: 'streak', count: 3000, size: 0.025, stretch: 14, speed: 14, sway: 0, extent: [40, 24, 40], color: 0xa8b8cc, opacity: 0.35 },
+    splash: { motion: 'splash', shape: 'flat', count: 400, size: 0.3, speed: 1.8, color: 0xc8d4e0, opacity: 0.45 },
+    snow: { motion: 'fall', shape: 'point', count: 2500, size: 0.08, speed: 1.2, sway: 0.6, extent: [40, 24, 40], color: 0xffffff, opacity: 0.9 },
+    fireflies: { motion: 'wander', shape: 'point', count: 120, size: 0.1, speed: 0.5, extent: [0.8, 0.5, 0.8], color: 0xd4ff5a, opacity: 1, glow: true },
+    dust: { motion: 'wander', shape: 'point', count: 300, size: 0.04, speed: 0.15, extent: [0.4, 0.3, 0.4], color: 0xffffff, opacity: 0.3, portalColor: true },
+    sparks: { motion: 'rise', shape: 'point', count: 150, size: 0.07, speed: 0.3, sway: 0.3, extent: [0, 3, 0], color: 0xffffff, opacity: 1, glow: true, portalColor: true }
+};
+// Weather types, each shows its particle effects
+const WEATHER_TYPES = {
+    clear: { label: 'Clear', effects: [] },
+    rain: { label: 'Rain', effects: ['rain', 'splash'] },
+    snow: { label: 'Snow', effects: ['snow'] }
+};
+const WEATHER_STORAGE_KEY = 'succinctVillage.weather';
+const WEATHER_FADE_TIME = 2; // Effects fade in and out over this many seconds
+const SPLASH_RADIUS = 12; // Splashes are placed on floor this far around character, units
+const SPLASH_RESAMPLE_DISTANCE = 6; // Character moved this far gets new splash places
+const FIREFLY_RADIUS = 2.5; // Fireflies hover this far around torches
+let weatherSetting = loadWeatherSetting(); // 'auto' (weather of lighting profile) or weather type
+let particleEffects = {}; // Effect name -> { mesh, config, amount, homes }
+const splashCenter = new THREE.Vector3(Infinity, 0, 0); // Where splash places were chosen around
+
+const particleVertexShader = `
+uniform float time;
+uniform vec3 origin;
+uniform vec3 extent;
+uniform float speed;
+uniform float sway;
+uniform float particleSize;
+uniform float stretch;
+attribute vec3 offset;
+attribute float seed;
+varying vec2 vUv;
+varying float vFade;
+
+void main() {
+    vUv = uv;
+    vFade = 1.0;
+    float size = particleSize;
+    vec3 center;
+    
+#if defined(MOTION_FALL)
+    // Box is fixed in world and wrapped around origin, so moving origin doesn't drag particles along
+    center = offset * extent;
+    center.y -= time * speed * (0.8 + seed * 0.4);
+    center.x += sin(time * (0.5 + seed) + seed * 6.28) * sway;
+    center.z += cos(time * (0.4 + seed) + seed * 3.14) * sway;
+    vec3 boxMin = origin - extent * 0.5;
+    center = boxMin + mod(center - boxMin, extent);
+    
+    // Fade at top and bottom of box so wrapping isn't seen
+    float heightPart = (center.y - boxMin.y) / extent.y;
+    vFade = smoothstep(0.0, 0.1, heightPart) * (1.0 - smoothstep(0.9, 1.0, heightPart));
+#elif defined(MOTION_WANDER)
+    // Hover around home point and blink
+    float phase = time * speed * (0.6 + seed * 0.8);
+    center = offset + vec3(sin(phase + seed * 20.0), sin(phase * 1.3 + seed * 13.0), cos(phase * 0.8 + seed * 7.0)) * extent;
+    vFade = 0.55 + 0.45 * sin(time * (1.0 + seed * 2.0) + seed * 40.0);
+#elif defined(MOTION_RISE)
+    // Rise from home point, fading in and out over life
+    float life = fract(time * speed * (0.6 + seed * 0.4) + seed);
+    center = offset + vec3(sin(life * 6.0 + seed * 30.0) * sway, life * extent.y, cos(life * 5.0 + seed * 17.0) * sway);
+    vFade = sin(life * 3.14159);
+    size *= 1.0 - life * 0.5;
+#elif defined(MOTION_SPLASH)
+    // Ring grows on floor and fades
+    float life = fract(time * speed * (0.8 + seed * 0.4) + seed);
+    center = offset + vec3(0.0, 0.02, 0.0);
+    vFade = 1.0 - life;
+    size *= 0.2 + life;
+#endif
+    
+#if defined(SHAPE_STREAK)
+    // Streak stays vertical, turning around its axis to face camera
+    vec3 right = normalize(cross(vec3(0.0, 1.0, 0.0), cameraPosition - center));
+    vec3 worldPosition = center + right * position.x * size + vec3(0.0, position.y * size * stretch, 0.0);
+    gl_Position = projectionMatrix * viewMatrix * vec4(worldPosition, 1.0);
+#elif defined(SHAPE_FLAT)
+    vec3 worldPosition = center + vec3(position.x, 0.0, position.y) * size;
+    gl_Position = projectionMatrix * viewMatrix * vec4(worldPosition, 1.0);
+#else
+    vec4 viewPosition = viewMatrix * vec4(center, 1.0);
+    viewPosition.xy += position.xy * size;
+    gl_Position = projectionMatrix * viewPosition;
+#endif
+}
+`;
+
+const particleFragmentShader = `
+uniform vec3 color;
+uniform float opacity;
+varying vec2 vUv;
+varying float vFade;
+
+void main() {
+    vec2 point = vUv - 0.5;
+#if defined(SHAPE_STREAK)
+    float alpha = (1.0 - smoothstep(0.1, 0.5, abs(point.x))) * (1.0 - vUv.y * 0.8);
+#elif defined(SHAPE_FLAT)
+    float radius = length(point);
+    float alpha = smoothstep(0.3, 0.42, radius) * (1.0 - smoothstep(0.42, 0.5, radius));
+#else
+    float alpha = 1.0 - smoothstep(0.0, 0.5, length(point));
+#endif
+    gl_FragColor = vec4(color, alpha * opacity * vFade);
+    
+    #include <tonemapping_fragment>
+    #include <colorspace_fragment>
+}
+`;
+
+// Function to load saved weather choice
+function loadWeatherSetting() {
+    try {
+        const saved = localStorage.getItem(WEATHER_STORAGE_KEY);
+        if (saved === 'auto' || WEATHER_TYPES[saved]) {
+            return saved;
+        }
+    } catch (e) {
+        console.error('Error loading weather setting:', e);
+    }
+    return 'auto';
+}
+
+// Function to choose weather: 'auto' (follows lighting profile) or weather type
+function setWeather(mode) {
+    if (mode !== 'auto' && !WEATHER_TYPES[mode]) {
+        console.warn(`Unknown weather "${mode}", expected auto or one of: ${Object.keys(WEATHER_TYPES).join(', ')}`);
+        return false;
+    }
+    
+    weatherSetting = mode;
+    try {
+        localStorage.setItem(WEATHER_STORAGE_KEY, mode);
+    } catch (e) {
+        console.error('Error saving weather setting:', e);
+    }
+    
+    console.log(`Weather: ${WEATHER_TYPES[getActiveWeather()].label}${mode === 'auto' ? ' (auto)' : ''}`);
+    renderSettingsPanel();
+    return true;
+}
+
+// Function to get weather shown now
+function getActiveWeather() {
+    return weatherSetting === 'auto' ? LIGHTING_PROFILES[lightingProfile].weather : weatherSetting;
+}
+
+// Function to create particle effects of loaded world (fireflies need torches, dust and sparks need portal)
+function createParticles() {
+    const portalBox = portalLight ? new THREE.Box3().setFromObject(portalLight) : null;
+    
+    Object.keys(PARTICLE_EFFECTS).forEach(name => {
+        const config = PARTICLE_EFFECTS[name];
+        const homes = [];
+        
+        for (let i = 0; i < config.count; i++) {
+            const home = createParticleHome(name, portalBox);
+            if (!home) break;
+            homes.push(home);
+        }
+        particleEffects[name] = createParticleEffect(config, homes);
+    });
+    
+    // Splash places are chosen around character once it is known
+    particleEffects.splash.homes = 0;
+}
+
+// Function to pick home point of one particle; fall effects get point in unit box, null if effect has no place
+function createParticleHome(name, portalBox) {
+    const home = new THREE.Vector3();
+    
+    switch (name) {
+        case 'rain':
+        case 'snow':
+            return home.set(Math.random(), Math.random(), Math.random());
+        case 'splash':
+            // Placed on floor around character in updateSplashes
+            return home;
+        case 'fireflies': {
+            if (torchLights.length === 0) return null;
+            const torch = torchLights[Math.floor(Math.random() * torchLights.length)];
+            home.randomDirection().multiplyScalar(Math.random() * FIREFLY_RADIUS).add(torch.position);
+            home.y = torch.position.y - 0.5 + Math.random() * 1.5;
+            return home;
+        }
+        case 'dust': {
+            // Motes float in light in and around portal
+            if (!portalBox) return null;
+            const box = portalBox.clone().expandByScalar(1);
+            return home.set(
+                THREE.MathUtils.lerp(box.min.x, box.max.x, Math.random()),
+                THREE.MathUtils.lerp(portalBox.min.y, box.max.y, Math.random()),
+                THREE.MathUtils.lerp(box.min.z, box.max.z, Math.random())
+            );
+        }
+        case 'sparks':
+            // Sparks start in lower part of portal
+            if (!portalBox) return null;
+            return home.set(
+                THREE.MathUtils.lerp(portalBox.min.x, portalBox.max.x, Math.random()),
+                THREE.MathUtils.lerp(portalBox.min.y, portalBox.max.y, Math.random() * 0.3),
+                THREE.MathUtils.lerp(portalBox.min.z, portalBox.max.z, Math.random())
+            );
+    }
+    return null;
+}
+
+// Function to create one particle effect: quad geometry instanced once per home point
+function createParticleEffect(config, homes) {
+    const geometry = new THREE.InstancedBufferGeometry();
+    const quad = new THREE.PlaneGeometry(1, 1);
+    geometry.index = quad.index;
+    geometry.setAttribute('position', quad.getAttribute('position'));
+    geometry.setAttribute('uv', quad.getAttribute('uv'));
+    
+    const offsets = new Float32Array(Math.max(homes.length, 1) * 3);
+    const seeds = new Float32Array(Math.max(homes.length, 1));
+    homes.forEach((home, i) => {
+        home.toArray(offsets, i * 3);
+        seeds[i] = Math.random();
+    });
+    geometry.setAttribute('offset', new THREE.InstancedBufferAttribute(offsets, 3));
+    geometry.setAttribute('seed', new THREE.InstancedBufferAttribute(seeds, 1));
+    geometry.instanceCount = 0;
+    
+    const extent = config.extent || [0, 0, 0];
+    const material = new THREE.ShaderMaterial({
+        uniforms: {
+            time: { value: 0 },
+            origin: { value: new THREE.Vector3() },
+            extent: { value: new THREE.Vector3().fromArray(extent) },
+            speed: { value: config.speed },
+            sway: { value: config.sway || 0 },
+            particleSize: { value: config.size },
+            stretch: { value: config.stretch || 1 },
+            color: { value: new THREE.Color(config.color) },
+            opacity: { value: 0 }
+        },
+        defines: {
+            [`MOTION_${config.motion.toUpperCase()}`]: '',
+            [`SHAPE_${config.shape.toUpperCase()}`]: ''
+        },
+        vertexShader: particleVertexShader,
+        fragmentShader: particleFragmentShader,
+        transparent: true,
+        depthWrite: false,
+        side: THREE.DoubleSide,
+        blending: config.glow || config.portalColor ? THREE.AdditiveBlending : THREE.NormalBlending
+    });
+    
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.frustumCulled = false; // Particles are placed by shader, bounding sphere of quad means nothing
+    mesh.raycast = () => {};
+    mesh.visible = false;
+    
+    // Glowing particles are on glow layer; no particle may hide glow in depth prepass
+    if (config.glow) {
+        setBloomLayer(mesh, true);
+    }
+    excludeFromBloomPrepass(mesh);
+    
+    scene.add(mesh);
+    return { mesh, config, amount: 0, homes: homes.length };
+}
+
+// Function to fade effects toward what should be shown, share particle budget and move them, every frame
+function updateParticles(deltaTime) {
+    if (Object.keys(particleEffects).length === 0) return;
+    
+    // Weather effects, fireflies only on dark profiles, portal effects always
+    const weatherEffects = WEATHER_TYPES[getActiveWeather()].effects;
+    const targets = {
+        fireflies: isNightMode ? 1 : 0,
+        dust: 1,
+        sparks: 1
+    };
+    Object.keys(WEATHER_TYPES).forEach(type => {
+        WEATHER_TYPES[type].effects.forEach(name => {
+            targets[name] = weatherEffects.includes(name) ? 1 : 0;
+        });
+    });
+    
+    // Effects that are shown share budget in proportion to their full counts
+    const fadeStep = deltaTime / WEATHER_FADE_TIME;
+    let wanted = 0;
+    Object.keys(particleEffects).forEach(name => {
+        const effect = particleEffects[name];
+        const target = targets[name] || 0;
+        effect.amount = target > effect.amount ? Math.min(target, effect.amount + fadeStep) : Math.max(target, effect.amount - fadeStep);
+        if (effect.amount > 0) {
+            wanted += effect.homes;
+        }
+    });
+    const budgetScale = Math.min(1, QUALITY_PRESETS[qualitySetting.level].particleBudget / Math.max(wanted, 1));
+    
+    // Particles stand still while simulation is paused (frozen rain in photo mode)
+    const time = isSimulationPaused ? 0 : deltaTime;
+    const center = character ? character.position : camera.position;
+    
+    Object.keys(particleEffects).forEach(name => {
+        const effect = particleEffects[name];
+        const uniforms = effect.mesh.material.uniforms;
+        
+        if (name === 'splash' && effect.amount > 0) {
+            updateSplashes(effect, center);
+        }
+        
+        effect.mesh.visible = effect.amount > 0 && effect.homes > 0;
+        if (!effect.mesh.visible) return;
+        
+        effect.mesh.geometry.instanceCount = Math.floor(effect.homes * budgetScale);
+        uniforms.time.value += time;
+        uniforms.opacity.value = effect.config.opacity * effect.amount;
+        
+        if (effect.config.motion === 'fall') {
+            setFallVolumeOrigin(uniforms.origin.value, uniforms.extent.value);
+        }
+        if (effect.config.portalColor && portalLight) {
+            uniforms.color.value.copy(portalLight.material.color);
+        }
+    });
+}
+
+// Function to center rain and snow box on point camera looks at, bottom fade part below character's floor
+// (camera is far above and behind character, box around it wouldn't reach floor where splashes are)
+function setFallVolumeOrigin(origin, extent) {
+    if (!character) {
+        origin.copy(camera.position);
+        return;
+    }
+    origin.set(cameraFollowTarget.x, character.position.y + extent.y * 0.4, cameraFollowTarget.z);
+}
+
+// Function to place splashes on walkable floor around character, again when character walks away from them
+function updateSplashes(effect, center) {
+    if (!navMesh || center.distanceTo(splashCenter) < SPLASH_RESAMPLE_DISTANCE) return;
+    splashCenter.copy(center);
+    
+    const offsets = effect.mesh.geometry.getAttribute('offset');
+    const point = new THREE.Vector3();
+    let placed = 0;
+    
+    for (let attempt = 0; attempt < offsets.count * 4 && placed < offsets.count; attempt++) {
+        const angle = Math.random() * Math.PI * 2;
+        const distance = Math.sqrt(Math.random()) * SPLASH_RADIUS;
+        const cell = getNavCell(navMesh, center.x + Math.cos(angle) * distance, center.z + Math.sin(angle) * distance);
+        if (!isNavCellWalkable(navMesh, cell)) continue;
+        
+        // Random spot inside cell, not only its center
+        getNavCellCenter(navMesh, cell, point);
+        point.x += (Math.random() - 0.5) * navMesh.cellSize;
+        point.z += (Math.random() - 0.5) * navMesh.cellSize;
+        point.toArray(offsets.array, placed * 3);
+        placed++;
+    }
+    
+    offsets.needsUpdate = true;
+    effect.homes = placed;
 }
 
 // Function to display camera helper (useful for debugging)
@@ -948,685 +3431,2273 @@ function updateShadowCameraHelper() {
         // scene.add(lightHelper);
     }
     
-    if (dayLight && dayLight.directional) {
-        // Debugging helpers - uncomment if needed
-        // const dirLightHelper = new THREE.DirectionalLightHelper(dayLight.directional, 10);
-        // scene.add(dirLightHelper);
-        // const dirShadowHelper = new THREE.CameraHelper(dayLight.directional.shadow.camera);
-        // scene.add(dirShadowHelper);
+    if (dayLight && dayLight.directional) {
+        // Debugging helpers - uncomment if needed
+        // const dirLightHelper = new THREE.DirectionalLightHelper(dayLight.directional, 10);
+        // scene.add(dirLightHelper);
+        // const dirShadowHelper = new THREE.CameraHelper(dayLight.directional.shadow.camera);
+        // scene.add(dirShadowHelper);
+    }
+}
+
+// Create basic world if model from Blender didn't load
+function createBasicWorld() {
+    // Create floor
+    const floorGeometry = new THREE.PlaneGeometry(50, 50);
+    const floorMaterial = new THREE.MeshStandardMaterial({ 
+        color: 0x111111,
+        roughness: 0.9,
+        metalness: 0.1
+    });
+    floor = new THREE.Mesh(floorGeometry, floorMaterial);
+    floor.rotation.x = -Math.PI / 2;
+    floor.receiveShadow = true; // Floor accepts shadows
+    floor.userData.villageTags = { role: null, collidable: false, walkable: 'floor' };
+    scene.add(floor);
+    walkableObjects.push(floor);
+    
+    // Create simple portal
+    createBasicPortal();
+}
+
+// Create simple portal if model didn't load
+function createBasicPortal() {
+    // Group for portal
+    const portalGroup = new THREE.Group();
+    portalGroup.position.set(0, 1.5, -5);
+    scene.add(portalGroup);
+    
+    // Outer portal frame
+    const portalFrameGeometry = new THREE.TorusGeometry(1, 0.1, 16, 100);
+    const portalFrameMaterial = new THREE.MeshStandardMaterial({ 
+        color: 0x222222, 
+        side: THREE.DoubleSide,
+        roughness: 0.5,
+        metalness: 0.7
+    });
+    const portalFrameMesh = new THREE.Mesh(portalFrameGeometry, portalFrameMaterial);
+    portalFrameMesh.castShadow = true;
+    portalGroup.add(portalFrameMesh);
+    
+    // Glowing part of portal
+    const portalLightGeometry = new THREE.CircleGeometry(0.9, 32);
+    const portalLightMaterial = new THREE.MeshBasicMaterial({ 
+        color: 0x4df3ff, 
+        side: THREE.DoubleSide,
+        transparent: true,
+        opacity: 0.8
+    });
+    portalLight = new THREE.Mesh(portalLightGeometry, portalLightMaterial);
+    portalLight.userData.glowMaterial = portalLightMaterial;
+    portalLight.rotation.y = Math.PI;
+    // Enable layer for Bloom effect
+    setBloomLayer(portalLight, true);
+    portalGroup.add(portalLight);
+    
+    // Base for portal
+    const baseGeometry = new THREE.BoxGeometry(2, 0.1, 0.5);
+    const baseMaterial = new THREE.MeshStandardMaterial({ 
+        color: 0x222222,
+        roughness: 0.5,
+        metalness: 0.7
+    });
+    const base = new THREE.Mesh(baseGeometry, baseMaterial);
+    base.position.y = -1.05;
+    base.castShadow = true;
+    portalGroup.add(base);
+    
+    // Pillar of portal
+    const pillarGeometry = new THREE.BoxGeometry(0.1, 2, 0.1);
+    const pillarMaterial = new THREE.MeshStandardMaterial({ 
+        color: 0x333333,
+        roughness: 0.5,
+        metalness: 0.7
+    });
+    
+    const leftPillar = new THREE.Mesh(pillarGeometry, pillarMaterial);
+    leftPillar.position.set(-1, -0.05, 0);
+    leftPillar.castShadow = true;
+    portalGroup.add(leftPillar);
+    
+    const rightPillar = new THREE.Mesh(pillarGeometry, pillarMaterial);
+    rightPillar.position.set(1, -0.05, 0);
+    rightPillar.castShadow = true;
+    portalGroup.add(rightPillar);
+    
+    // Add lighting from portal
+    addPortalLighting(portalGroup.position);
+    
+    // Add several objects around portal for shadow demonstration
+    addSurroundingObjects(portalGroup.position);
+}
+
+// Adding objects around portal for shadow demonstration
+function addSurroundingObjects(portalPosition) {
+    // Create several pillars around portal
+    const pillarGeometry = new THREE.CylinderGeometry(0.3, 0.3, 3, 16);
+    const pillarMaterial = new THREE.MeshStandardMaterial({
+        color: 0x666666,
+        roughness: 0.7,
+        metalness: 0.3
+    });
+    
+    // Positions for pillars (radially around portal)
+    const positions = [
+        new THREE.Vector3(3, 0, -2),
+        new THREE.Vector3(-3, 0, -2),
+        new THREE.Vector3(0, 0, -8),
+        new THREE.Vector3(5, 0, -5),
+        new THREE.Vector3(-5, 0, -5)
+    ];
+    
+    // Create pillars
+    positions.forEach(pos => {
+        const pillar = new THREE.Mesh(pillarGeometry, pillarMaterial);
+        // Используем _tempVector для предотвращения создания нового объекта
+        _tempVector.set(
+            portalPosition.x + pos.x,
+            1.5,
+            portalPosition.z + pos.z
+        );
+        pillar.position.copy(_tempVector);
+        pillar.castShadow = true;
+        pillar.receiveShadow = true;
+        scene.add(pillar);
+    });
+    
+    // Add several cubes of different sizes
+    const boxGeometry1 = new THREE.BoxGeometry(1, 1, 1);
+    const boxGeometry2 = new THREE.BoxGeometry(1.5, 0.5, 1.5);
+    const boxMaterial = new THREE.MeshStandardMaterial({
+        color: 0x888888,
+        roughness: 0.6,
+        metalness: 0.4
+    });
+    
+    const box1 = new THREE.Mesh(boxGeometry1, boxMaterial);
+    _tempVector.set(portalPosition.x + 2, 0.5, portalPosition.z + 3);
+    box1.position.copy(_tempVector);
+    box1.castShadow = true;
+    box1.receiveShadow = true;
+    scene.add(box1);
+    
+    const box2 = new THREE.Mesh(boxGeometry2, boxMaterial);
+    _tempVector.set(portalPosition.x - 2, 0.25, portalPosition.z + 3);
+    box2.position.copy(_tempVector);
+    box2.castShadow = true;
+    box2.receiveShadow = true;
+    scene.add(box2);
+}
+
+// Avatars: model visitors walk as, crab color and accessories (hat, community role badge)
+// The choice is saved in localStorage; models without a file are built in code (cube if they have no builder),
+// models failing to load are shown as a cube
+const AVATAR_MODELS = {
+    crab: { label: 'Crab', icon: '🦀', url: 'crab.glb', scale: 0.5 },
+    robot: { label: 'Robot', icon: '🤖', url: null, createBody: createRobotBody },
+    cube: { label: 'Cube', icon: '🟧', url: null }
+};
+const AVATAR_TINTS = {
+    original: { label: 'Original', color: null },
+    orange: { label: 'Orange', color: 0xCC5500 },
+    pink: { label: 'Pink', color: 0xff80bf },
+    blue: { label: 'Blue', color: 0x3d7eff },
+    green: { label: 'Green', color: 0x3fbf5f },
+    gold: { label: 'Gold', color: 0xffc400 }
+};
+const AVATAR_HATS = {
+    none: { label: 'No hat' },
+    cap: { label: 'Cap' },
+    party: { label: 'Party hat' },
+    crown: { label: 'Crown' }
+};
+// Accessories are attached to model nodes with these names; models without them get sockets
+// on top (hat) and in front (badge) of their bounding box
+const AVATAR_SOCKET_NAMES = { hat: /^socket[_-]?(hat|head)$/i, badge: /^socket[_-]?badge$/i };
+const AVATAR_STORAGE_KEY = 'succinctVillage.avatar';
+let avatarChoice = loadAvatarChoice(); // { model, tint, hat, badge }, badge is a role (portal title) or null
+let avatarBody = null; // Model or cube inside character, tint is applied to it
+let avatarLoadId = 0; // Increases with every model load, results of older loads are dropped
+let avatarPicker = null; // Avatar picker element
+let avatarLabel = null; // Button with current avatar on screen
+
+// Function to load saved avatar, falling back to defaults for missing or unknown options
+function loadAvatarChoice() {
+    const choice = getDefaultAvatarChoice();
+    
+    try {
+        const saved = JSON.parse(localStorage.getItem(AVATAR_STORAGE_KEY) || 'null');
+        if (saved && typeof saved === 'object') {
+            Object.assign(choice, validateAvatarChoice(saved, 'Saved avatar'));
+        }
+    } catch (e) {
+        console.error('Error loading avatar, using default crab:', e);
+    }
+    
+    return choice;
+}
+
+// Function to get default avatar
+function getDefaultAvatarChoice() {
+    return { model: 'crab', tint: 'original', hat: 'none', badge: null };
+}
+
+// Function to keep only known avatar options, warning about the others
+function validateAvatarChoice(options, where) {
+    const valid = {};
+    const lists = { model: AVATAR_MODELS, tint: AVATAR_TINTS, hat: AVATAR_HATS };
+    
+    Object.keys(options).forEach(key => {
+        const value = options[key];
+        if (lists[key]) {
+            if (lists[key][value]) {
+                valid[key] = value;
+            } else {
+                console.warn(`${where}: unknown ${key} "${value}", expected one of: ${Object.keys(lists[key]).join(', ')}`);
+            }
+        } else if (key === 'badge') {
+            // Roles come from manifest, which may not be loaded yet - unknown roles are checked when badge is made
+            if (value === null || typeof value === 'string') {
+                valid.badge = value || null;
+            } else {
+                console.warn(`${where}: badge should be a role title or null, got ${JSON.stringify(value)}`);
+            }
+        } else {
+            console.warn(`${where}: unknown avatar option "${key}"`);
+        }
+    });
+    
+    return valid;
+}
+
+// Function to save avatar
+function saveAvatarChoice() {
+    try {
+        localStorage.setItem(AVATAR_STORAGE_KEY, JSON.stringify(avatarChoice));
+    } catch (e) {
+        console.error('Error saving avatar:', e);
+    }
+}
+
+// Function to change avatar options; model change loads new model, other options are applied at once
+function setAvatar(options) {
+    if (!options || typeof options !== 'object') {
+        console.warn('setAvatar expects an object like { model, tint, hat, badge }');
+        return false;
+    }
+    
+    const valid = validateAvatarChoice(options, 'setAvatar');
+    const modelChanged = valid.model !== undefined && valid.model !== avatarChoice.model;
+    Object.assign(avatarChoice, valid);
+    saveAvatarChoice();
+    
+    // Before start the choice is only saved, init() loads it
+    if (modelChanged && character && !isVillageDestroyed) {
+        loadCharacter();
+    } else if (!modelChanged) {
+        applyAvatarLook();
+    }
+    
+    updateAvatarLabel();
+    if (avatarPicker) renderAvatarPicker();
+    emitVillageEvent('avatarChanged', Object.assign({}, avatarChoice));
+    return true;
+}
+
+// Function to get role titles that can be shown on badge
+function getAvatarBadgeRoles() {
+    return Object.values(villageManifest.portals).map(entry => entry.title).filter(Boolean);
+}
+
+// Load character
+function loadCharacter() {
+    const avatar = AVATAR_MODELS[avatarChoice.model];
+    const loadId = ++avatarLoadId;
+    console.log(`Loading avatar "${avatar.label}"...`);
+    
+    // Temporarily create invisible cube-placeholder while first model loads;
+    // when avatar is changed during play, old model stays until new one is ready
+    if (!character) {
+        const tempGeometry = new THREE.BoxGeometry(characterSize, characterHeight, characterSize);
+        const tempMaterial = new THREE.MeshStandardMaterial({ 
+            color: 0x3333ff,
+            transparent: true,
+            opacity: 0
+        });
+        character = new THREE.Mesh(tempGeometry, tempMaterial);
+        character.position.set(0, characterHeight / 2, 0);
+        scene.add(character);
+    }
+    
+    // Avatar without model file is built in code
+    if (!avatar.url) {
+        setCharacterBody((avatar.createBody || createCubeBody)(), null);
+        return;
+    }
+    
+    // Use GLTFLoader to load model
+    const loader = new GLTFLoader();
+    loader.load(
+        avatar.url, // Path to model file
+        (gltf) => {
+            // Another avatar was picked while this one loaded
+            if (loadId !== avatarLoadId) return;
+            
+            console.log('Loaded avatar model:', gltf);
+            
+            // Get crab model
+            const crabModel = gltf.scene;
+            
+            // Scale model if needed
+            crabModel.scale.setScalar(avatar.scale || 1);
+            
+            // Rotate model 180 degrees on Y axis, so it looks in the correct direction
+            crabModel.rotation.y = Math.PI;
+            
+            // Center model in container space
+            // To do this, we'll create a temporary box to get model dimensions
+            _tempBox.setFromObject(crabModel);
+            _tempVector.set(0, 0, 0); // Reuse temp vector
+            _tempBox.getCenter(_tempVector);
+            
+            // Move model so its center is in the center of the container
+            crabModel.position.sub(_tempVector);
+            
+            // Raise model so it stands on the ground
+            crabModel.position.y = -_tempBox.min.y + (characterHeight / 4);
+            
+            // Enable shadows
+            crabModel.traverse((node) => {
+                if (node.isMesh) {
+                    node.castShadow = true;
+                    node.receiveShadow = true;
+                }
+            });
+            
+            setCharacterBody(crabModel, gltf.animations);
+        },
+        (xhr) => {
+            console.log('Loading model: ' + (xhr.loaded / xhr.total * 100) + '%');
+        },
+        (error) => {
+            if (loadId !== avatarLoadId) return;
+            
+            console.error('Error loading avatar model:', error);
+            
+            // In case of error, use simple cube instead
+            console.log('Using simple cube instead of crab');
+            setCharacterBody(createCubeBody(), null);
+        }
+    );
+}
+
+// Function to create simple cube character (as it was originally)
+function createCubeBody() {
+    const size = Math.max(characterHeight, characterSize);
+    const geometry = new THREE.BoxGeometry(characterSize, size, characterSize);
+    const material = new THREE.MeshStandardMaterial({ 
+        color: 0xCC5500, // Orange color for crab
+        roughness: 0.7,
+        metalness: 0.3
+    });
+    const cube = new THREE.Mesh(geometry, material);
+    cube.position.y = size / 2; // Stands on the ground
+    cube.castShadow = true;
+    return cube;
+}
+
+// Function to create robot character from simple shapes, with its own hat and badge sockets
+function createRobotBody() {
+    const robot = new THREE.Group();
+    const metal = new THREE.MeshStandardMaterial({ color: 0x9aa4b1, roughness: 0.4, metalness: 0.7 });
+    const eyeMaterial = new THREE.MeshStandardMaterial({ color: 0x4df3ff, emissive: 0x4df3ff, emissiveIntensity: 0.8 });
+    
+    const addPart = (geometry, material, x, y, z) => {
+        const part = new THREE.Mesh(geometry, material);
+        part.position.set(x, y, z);
+        part.castShadow = true;
+        robot.add(part);
+        return part;
+    };
+    
+    // Legs, body, head and antenna; robot looks towards +Z like other models
+    addPart(new THREE.BoxGeometry(0.1, 0.15, 0.12), metal, -0.1, 0.075, 0);
+    addPart(new THREE.BoxGeometry(0.1, 0.15, 0.12), metal, 0.1, 0.075, 0);
+    addPart(new THREE.BoxGeometry(0.4, 0.3, 0.28), metal, 0, 0.3, 0);
+    addPart(new THREE.BoxGeometry(0.28, 0.22, 0.24), metal, 0, 0.56, 0);
+    addPart(new THREE.SphereGeometry(0.035, 12, 8), eyeMaterial, -0.065, 0.58, 0.12);
+    addPart(new THREE.SphereGeometry(0.035, 12, 8), eyeMaterial, 0.065, 0.58, 0.12);
+    addPart(new THREE.CylinderGeometry(0.01, 0.01, 0.12, 6), metal, 0.08, 0.73, 0);
+    addPart(new THREE.SphereGeometry(0.025, 12, 8), eyeMaterial, 0.08, 0.8, 0);
+    
+    // Hat sits on head next to antenna, badge on chest
+    const hatSocket = new THREE.Object3D();
+    hatSocket.name = 'socket_hat';
+    hatSocket.position.set(0, 0.67, 0);
+    const badgeSocket = new THREE.Object3D();
+    badgeSocket.name = 'socket_badge';
+    badgeSocket.position.set(0, 0.32, 0.15);
+    robot.add(hatSocket, badgeSocket);
+    
+    return robot;
+}
+
+// Function to put avatar body into new character container, replacing previous character in place
+function setCharacterBody(body, clips) {
+    const previous = character;
+    
+    // Create container for model (easier to control position)
+    character = new THREE.Group();
+    character.add(body);
+    avatarBody = body;
+    
+    // Sockets are placed from bounding box before character is turned
+    createAvatarSockets();
+    
+    // Keep position and direction of previous character (placeholder or old avatar)
+    if (previous) {
+        character.position.copy(previous.position);
+        character.rotation.y = previous.rotation.y;
+        scene.remove(previous);
+        disposeObject(previous);
+    }
+    scene.add(character);
+    
+    // Play model clips, or animate legs procedurally if there are none
+    if (characterAnimation && characterAnimation.mixer) {
+        characterAnimation.mixer.stopAllAction();
+    }
+    characterAnimation = null;
+    if (clips) {
+        setupCharacterAnimation(body, clips);
+    }
+    
+    applyAvatarLook();
+    
+    // Update bounding box
+    characterBoundingBox = new THREE.Box3().setFromObject(character);
+    
+    console.log('Avatar set as character, position:', character.position);
+    
+    // Update camera position
+    updateCameraPosition();
+    
+    onAssetLoaded('character');
+}
+
+// Function to free geometries and materials of removed object
+function disposeObject(object) {
+    object.traverse((node) => {
+        if (node.geometry) {
+            node.geometry.dispose();
+        }
+        if (node.material) {
+            (Array.isArray(node.material) ? node.material : [node.material]).forEach(material => {
+                if (material.map) material.map.dispose();
+                material.dispose();
+            });
+        }
+    });
+}
+
+// Function to find accessory sockets in model, adding missing ones around its bounding box
+function createAvatarSockets() {
+    _tempBox.setFromObject(character);
+    const size = _tempBox.getSize(new THREE.Vector3());
+    
+    Object.keys(AVATAR_SOCKET_NAMES).forEach(name => {
+        let socket = null;
+        character.traverse((node) => {
+            if (!socket && AVATAR_SOCKET_NAMES[name].test(node.name)) socket = node;
+        });
+        
+        if (!socket) {
+            socket = new THREE.Object3D();
+            socket.name = 'socket_' + name;
+            if (name === 'hat') {
+                socket.position.set(0, _tempBox.max.y, 0);
+            } else {
+                // Character walks towards +Z
+                socket.position.set(0, _tempBox.min.y + size.y * 0.5, _tempBox.max.z + 0.01);
+            }
+            character.add(socket);
+        }
+        
+        socket.userData.avatarSocket = name;
+        socket.userData.accessorySize = Math.max(size.x, size.z);
+    });
+}
+
+// Function to apply tint and accessories of current avatar choice
+function applyAvatarLook() {
+    if (!avatarBody) return;
+    
+    applyAvatarTint();
+    
+    character.traverse((node) => {
+        if (node.userData.avatarSocket) {
+            attachAccessory(node, node.userData.avatarSocket === 'hat' ? createHat(avatarChoice.hat, node.userData.accessorySize)
+                                                                       : createBadge(avatarChoice.badge, node.userData.accessorySize));
+        }
+    });
+}
+
+// Function to color avatar materials; original colors are kept to return to them
+function applyAvatarTint() {
+    const tint = AVATAR_TINTS[avatarChoice.tint].color;
+    
+    avatarBody.traverse((node) => {
+        if (!node.isMesh) return;
+        
+        // Materials of loaded model may be shared between meshes - each mesh gets own copy once
+        if (!node.userData.avatarMaterial) {
+            node.material = node.material.clone();
+            node.userData.avatarMaterial = true;
+            node.userData.originalColor = node.material.color ? node.material.color.clone() : null;
+        }
+        
+        if (node.material.color && node.userData.originalColor) {
+            if (tint === null) {
+                node.material.color.copy(node.userData.originalColor);
+            } else {
+                node.material.color.setHex(tint);
+            }
+        }
+    });
+}
+
+// Function to replace accessory on socket
+function attachAccessory(socket, accessory) {
+    socket.children.filter(child => child.userData.isAccessory).forEach(child => {
+        socket.remove(child);
+        disposeObject(child);
+    });
+    
+    if (accessory) {
+        accessory.userData.isAccessory = true;
+        accessory.traverse((node) => {
+            if (node.isMesh) node.castShadow = true;
+        });
+        socket.add(accessory);
+    }
+}
+
+// Function to build hat sized to character width
+function createHat(type, size) {
+    const radius = size * 0.18;
+    const hat = new THREE.Group();
+    
+    switch (type) {
+        case 'cap': {
+            const material = new THREE.MeshStandardMaterial({ color: 0xeb06a6, roughness: 0.6 });
+            const top = new THREE.Mesh(new THREE.SphereGeometry(radius, 16, 8, 0, Math.PI * 2, 0, Math.PI / 2), material);
+            const visor = new THREE.Mesh(new THREE.CylinderGeometry(radius * 0.9, radius * 0.9, radius * 0.08, 16, 1, false, -Math.PI / 2, Math.PI), material);
+            visor.position.set(0, radius * 0.04, radius * 0.4);
+            hat.add(top, visor);
+            break;
+        }
+        case 'party': {
+            const cone = new THREE.Mesh(new THREE.ConeGeometry(radius * 0.8, radius * 2.5, 16),
+                                        new THREE.MeshStandardMaterial({ color: 0xff80bf, roughness: 0.5 }));
+            cone.position.y = radius * 1.25;
+            const pompom = new THREE.Mesh(new THREE.SphereGeometry(radius * 0.25, 8, 8),
+                                          new THREE.MeshStandardMaterial({ color: 0xffffff }));
+            pompom.position.y = radius * 2.5;
+            hat.add(cone, pompom);
+            break;
+        }
+        case 'crown': {
+            const crown = new THREE.Mesh(new THREE.CylinderGeometry(radius, radius * 0.85, radius * 0.8, 8, 1, true),
+                                         new THREE.MeshStandardMaterial({ color: 0xffc400, metalness: 0.8, roughness: 0.3, side: THREE.DoubleSide }));
+            crown.position.y = radius * 0.4;
+            hat.add(crown);
+            break;
+        }
+        default:
+            return null;
+    }
+    
+    return hat;
+}
+
+// Function to build round badge with initials of community role
+function createBadge(role, size) {
+    if (!role) return null;
+    
+    // Manifest may have been changed since role was saved
+    const roles = getAvatarBadgeRoles();
+    if (roles.length > 0 && !roles.includes(role)) {
+        console.warn(`Avatar badge: no role "${role}" in manifest, badge hidden`);
+        return null;
+    }
+    
+    const canvas = document.createElement('canvas');
+    canvas.width = canvas.height = 128;
+    const context = canvas.getContext('2d');
+    context.fillStyle = '#eb06a6';
+    context.beginPath();
+    context.arc(64, 64, 60, 0, Math.PI * 2);
+    context.fill();
+    context.lineWidth = 8;
+    context.strokeStyle = '#ffffff';
+    context.stroke();
+    
+    // Initials: "Super Prover" -> SP
+    const initials = role.split(/\s+/).map(word => word[0]).join('').substring(0, 3).toUpperCase();
+    context.fillStyle = '#ffffff';
+    context.font = `bold ${initials.length > 2 ? 36 : 48}px Arial`;
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillText(initials, 64, 66);
+    
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    const badge = new THREE.Mesh(new THREE.CircleGeometry(size * 0.15, 24),
+                                 new THREE.MeshStandardMaterial({ map: texture, roughness: 0.4 }));
+    badge.name = 'Badge ' + role;
+    return badge;
+}
+
+// Function to show avatar picker
+function openAvatarPicker() {
+    if (avatarPicker || isInterfaceHidden()) return;
+    
+    releaseAllKeys();
+    
+    avatarPicker = document.createElement('div');
+    avatarPicker.className = 'controls-panel avatar-panel';
+    avatarPicker.innerHTML = `
+        <div class="info-header">
+            <h2>Avatar</h2>
+            <button class="close-btn">×</button>
+        </div>
+        <div class="avatar-sections"></div>
+    `;
+    document.body.appendChild(avatarPicker);
+    
+    avatarPicker.querySelector('.close-btn').addEventListener('click', closeAvatarPicker);
+    renderAvatarPicker();
+}
+
+// Function to close avatar picker
+function closeAvatarPicker() {
+    if (!avatarPicker) return;
+    
+    avatarPicker.remove();
+    avatarPicker = null;
+}
+
+// Function to fill avatar picker: one row of buttons per option
+function renderAvatarPicker() {
+    const sections = avatarPicker.querySelector('.avatar-sections');
+    sections.innerHTML = '';
+    
+    const badges = { none: { label: 'No badge', value: null } };
+    getAvatarBadgeRoles().forEach(role => {
+        badges[role] = { label: role, value: role };
+    });
+    
+    const rows = [
+        { title: 'Model', key: 'model', options: AVATAR_MODELS },
+        { title: 'Color', key: 'tint', options: AVATAR_TINTS },
+        { title: 'Hat', key: 'hat', options: AVATAR_HATS },
+        { title: 'Role badge', key: 'badge', options: badges }
+    ];
+    
+    rows.forEach(row => {
+        const title = document.createElement('h3');
+        title.textContent = row.title;
+        sections.appendChild(title);
+        
+        const options = document.createElement('div');
+        options.className = 'avatar-options';
+        
+        Object.keys(row.options).forEach(name => {
+            const option = row.options[name];
+            const value = 'value' in option ? option.value : name;
+            const button = document.createElement('button');
+            button.className = 'controls-key avatar-option';
+            button.textContent = option.icon ? `${option.icon} ${option.label}` : option.label;
+            if (avatarChoice[row.key] === value) {
+                button.classList.add('selected');
+            }
+            if (row.key === 'tint' && option.color !== null) {
+                button.style.borderLeft = `12px solid #${option.color.toString(16).padStart(6, '0')}`;
+            }
+            button.addEventListener('click', () => setAvatar({ [row.key]: value }));
+            options.appendChild(button);
+        });
+        
+        sections.appendChild(options);
+    });
+}
+
+// Function to handle key press while avatar picker is open
+function onAvatarPickerKeyDown(event) {
+    if (event.code === 'Escape' || inputBindings.openAvatar.includes(event.code)) {
+        event.preventDefault();
+        closeAvatarPicker();
+    }
+}
+
+// Function to add button with current avatar, it opens avatar picker
+function createAvatarLabel() {
+    avatarLabel = document.createElement('button');
+    avatarLabel.className = 'avatar-label';
+    avatarLabel.title = 'Change avatar';
+    avatarLabel.addEventListener('click', openAvatarPicker);
+    document.body.appendChild(avatarLabel);
+    updateAvatarLabel();
+}
+
+// Function to show current avatar and role on screen
+function updateAvatarLabel() {
+    if (!avatarLabel) return;
+    
+    const parts = [AVATAR_MODELS[avatarChoice.model].label];
+    if (avatarChoice.badge) {
+        parts.push(avatarChoice.badge);
+    }
+    avatarLabel.textContent = AVATAR_MODELS[avatarChoice.model].icon + ' ' + parts.join(' · ');
+}
+
+// Character collision handling
+function onClick(event) {
+    if (isIgnoredClick(event)) return;
+    
+    // Normalize mouse coordinates (-1 to +1)
+    mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
+    mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
+    
+    // Set raycaster
+    raycaster.setFromCamera(mouse, camera);
+    
+    // Check for intersection with objects
+    const intersects = raycaster.intersectObjects(scene.children, true);
+    
+    // Check if we clicked on the switch
+    for (let i = 0; i < intersects.length; i++) {
+        const object = intersects[i].object;
+        
+        // If this is switch light
+        if (object.name === 'Switch' || object.parent && object.parent.name === 'Switch') {
+            if (!isSwitchAnimating) {
+                // Animate switch and change lighting mode
+                animateLightSwitch();
+            }
+            return;
+        }
+    }
+}
+
+// Function to animate switch light, then go to given profile (next profile of cycle by default)
+function animateLightSwitch(profileName, duration) {
+    if (!switchObject || isSwitchAnimating) return;
+    
+    isSwitchAnimating = true;
+    
+    // Initial and final positions of switch
+    const startPosition = switchObject.position.clone();
+    const endPosition = switchObject.position.clone();
+    
+    // Move to other side on every switch (profiles are cycled, so switch just flips)
+    endPosition.x += switchObject.userData.isFlipped ? -1.6 : 1.6;
+    switchObject.userData.isFlipped = !switchObject.userData.isFlipped;
+    
+    // Create animation
+    startTween({
+        channel: 'switch',
+        duration: 0.5,
+        easing: Easing.easeInOutCubic,
+        onUpdate: (easedProgress) => {
+            // Update switch position
+            switchObject.position.lerpVectors(startPosition, endPosition, easedProgress);
+            
+            // If we have light from switch, update its position
+            if (switchLight) {
+                switchLight.position.copy(switchObject.position);
+                // Add slight upward offset
+                switchLight.position.y += 0.2;
+            }
+        },
+        onComplete: () => {
+            // Animation completed, switch collides where it stopped and lighting profile changes
+            isSwitchAnimating = false;
+            updateDynamicColliders();
+            setLightingProfile(profileName || getNextLightingProfile(), duration);
+        },
+        onCancel: () => {
+            isSwitchAnimating = false;
+            switchObject.userData.isFlipped = !switchObject.userData.isFlipped;
+            updateDynamicColliders();
+        }
+    });
+}
+
+// Handle window resize
+function onWindowResize() {
+    // Update camera aspect ratio
+    camera.aspect = window.innerWidth / window.innerHeight;
+    camera.updateProjectionMatrix();
+    
+    // Resize renderer
+    renderer.setSize(window.innerWidth, window.innerHeight);
+    
+    // Update post-processing composers
+    if (bloomComposer) {
+        bloomComposer.setSize(window.innerWidth, window.innerHeight);
+    }
+    if (finalComposer) {
+        finalComposer.setSize(window.innerWidth, window.innerHeight);
+    }
+    if (bokehPass) {
+        bokehPass.uniforms.aspect.value = camera.aspect;
+    }
+    drawPhotoOverlayPreview();
+}
+
+// Render quality presets; "auto" steps between them by measured frame rate
+// Choice is saved in localStorage, so every device keeps its own
+const QUALITY_PRESETS = {
+    low: {
+        label: 'Low',
+        pixelRatio: 0.75, // Highest pixel ratio, lower device ratio is kept
+        shadowType: THREE.BasicShadowMap,
+        shadowMapScale: 0.5, // Part of each light's own shadow map size
+        shadowLights: [], // Lights casting shadows: sun, portal, torches, switch
+        bloom: false,
+        bloomScale: 0.25, // Glow is rendered at this part of screen resolution
+        skyClouds: false, // Clouds of sky dome (noise on every sky pixel)
+        particleBudget: 600 // Most particles drawn at once, shared by weather and ambient effects
+    },
+    medium: {
+        label: 'Medium',
+        pixelRatio: 1,
+        shadowType: THREE.PCFShadowMap,
+        shadowMapScale: 0.5,
+        shadowLights: ['sun'],
+        bloom: true,
+        bloomScale: 0.5,
+        skyClouds: true,
+        particleBudget: 1500
+    },
+    high: {
+        label: 'High',
+        pixelRatio: 1.5,
+        shadowType: THREE.PCFSoftShadowMap,
+        shadowMapScale: 1,
+        shadowLights: ['sun', 'portal'],
+        bloom: true,
+        bloomScale: 0.75,
+        skyClouds: true,
+        particleBudget: 3000
+    },
+    ultra: {
+        label: 'Ultra',
+        pixelRatio: 2,
+        shadowType: THREE.VSMShadowMap,
+        shadowMapScale: 1,
+        shadowLights: ['sun', 'portal', 'torches', 'switch'],
+        bloom: true,
+        bloomScale: 1,
+        skyClouds: true,
+        particleBudget: 6000
+    }
+};
+const QUALITY_LEVELS = ['low', 'medium', 'high', 'ultra'];
+const QUALITY_STORAGE_KEY = 'succinctVillage.quality';
+const QUALITY_SAMPLE_TIME = 2; // Frame rate is averaged over this many seconds
+const QUALITY_DOWN_FPS = 40; // Auto mode lowers quality below this frame rate...
+const QUALITY_DOWN_SAMPLES = 2; // ...measured this many times in a row
+const QUALITY_UP_FPS = 55; // And raises it above this one...
+const QUALITY_UP_SAMPLES = 5; // ...measured this many times in a row
+const QUALITY_UP_DELAY = 30; // After lowering, quality isn't raised for this many seconds (doubles every time)
+const QUALITY_MAX_UP_DELAY = 480;
+const QUALITY_MAX_FRAME_TIME = 0.2; // Longer frames (loading, photo capture) are not measured
+let qualitySetting = loadQualitySetting(); // { mode: 'auto' or preset name, level: preset in use }
+let mixPass; // Adds glow to scene, off when preset has no bloom
+let settingsPanel = null; // Settings panel element
+const qualityMonitor = { time: 0, frames: 0, slowSamples: 0, fastSamples: 0, upDelay: 0, nextUpDelay: QUALITY_UP_DELAY, fps: 0 };
+
+// Function to load saved quality, or guess it on first visit (phones start lower)
+function loadQualitySetting() {
+    const setting = { mode: 'auto', level: isTouchDevice ? 'medium' : 'high' };
+    
+    try {
+        const saved = JSON.parse(localStorage.getItem(QUALITY_STORAGE_KEY) || 'null');
+        if (saved && typeof saved === 'object') {
+            if (saved.mode === 'auto' || QUALITY_PRESETS[saved.mode]) {
+                setting.mode = saved.mode;
+            }
+            if (QUALITY_PRESETS[saved.level]) {
+                setting.level = saved.level;
+            }
+        }
+    } catch (e) {
+        console.error('Error loading quality setting:', e);
+    }
+    
+    // Fixed preset is always the one in use
+    if (setting.mode !== 'auto') {
+        setting.level = setting.mode;
     }
+    return setting;
 }
 
-// Create basic world if model from Blender didn't load
-function createBasicWorld() {
-    // Create floor
-    const floorGeometry = new THREE.PlaneGeometry(50, 50);
-    const floorMaterial = new THREE.MeshStandardMaterial({ 
-        color: 0x111111,
-        roughness: 0.9,
-        metalness: 0.1
+// Function to save quality (auto mode also saves level it reached, next visit starts there)
+function saveQualitySetting() {
+    try {
+        localStorage.setItem(QUALITY_STORAGE_KEY, JSON.stringify(qualitySetting));
+    } catch (e) {
+        console.error('Error saving quality setting:', e);
+    }
+}
+
+// Function to choose quality: 'auto' or preset name
+function setQuality(mode) {
+    if (mode !== 'auto' && !QUALITY_PRESETS[mode]) {
+        console.warn(`Unknown quality "${mode}", expected auto or one of: ${QUALITY_LEVELS.join(', ')}`);
+        return false;
+    }
+    
+    qualitySetting.mode = mode;
+    resetQualityMonitor();
+    if (mode === 'auto') {
+        saveQualitySetting();
+        renderSettingsPanel();
+    } else {
+        setQualityLevel(mode);
+    }
+    return true;
+}
+
+// Function to switch preset in use
+function setQualityLevel(level) {
+    qualitySetting.level = level;
+    saveQualitySetting();
+    
+    if (renderer) {
+        applyQualityPreset();
+    }
+    renderSettingsPanel();
+}
+
+// Function to apply preset in use: resolution, shadows and glow
+function applyQualityPreset() {
+    const preset = QUALITY_PRESETS[qualitySetting.level];
+    
+    setRenderPixelRatio(Math.min(window.devicePixelRatio, preset.pixelRatio));
+    mixPass.enabled = preset.bloom;
+    applyShadowQuality();
+    
+    console.log(`Quality: ${preset.label}${qualitySetting.mode === 'auto' ? ' (auto)' : ''}`);
+}
+
+// Function to set shadow type and which lights cast shadows; lights of loaded world are included
+function applyShadowQuality() {
+    const preset = QUALITY_PRESETS[qualitySetting.level];
+    
+    renderer.shadowMap.enabled = preset.shadowLights.length > 0;
+    renderer.shadowMap.type = preset.shadowType;
+    renderer.shadowMap.needsUpdate = true;
+    
+    const groups = {
+        sun: dayLight ? [dayLight.directional] : [],
+        portal: portalSpotLight ? [portalSpotLight] : [],
+        torches: torchLights.map(torch => torch.mainLight),
+        switch: switchLight ? [switchLight] : []
+    };
+    
+    Object.keys(groups).forEach(group => {
+        groups[group].forEach(light => {
+            light.castShadow = preset.shadowLights.includes(group);
+            
+            // Size is scaled from light's own size, shadow map is made again at new size
+            if (light.userData.baseShadowMapSize === undefined) {
+                light.userData.baseShadowMapSize = light.shadow.mapSize.x;
+            }
+            const size = Math.max(256, light.userData.baseShadowMapSize * preset.shadowMapScale);
+            if (light.shadow.mapSize.x !== size) {
+                light.shadow.mapSize.set(size, size);
+                if (light.shadow.map) {
+                    light.shadow.map.dispose();
+                    light.shadow.map = null;
+                }
+            }
+        });
     });
-    floor = new THREE.Mesh(floorGeometry, floorMaterial);
-    floor.rotation.x = -Math.PI / 2;
-    floor.receiveShadow = true; // Floor accepts shadows
-    scene.add(floor);
+}
+
+// Function to start measuring frame rate from scratch
+function resetQualityMonitor() {
+    qualityMonitor.time = 0;
+    qualityMonitor.frames = 0;
+    qualityMonitor.slowSamples = 0;
+    qualityMonitor.fastSamples = 0;
+}
+
+// Function to measure frame rate and step quality down or up in auto mode
+function updateAutoQuality(frameTime) {
+    if (frameTime <= 0 || frameTime > QUALITY_MAX_FRAME_TIME) return;
+    
+    qualityMonitor.upDelay = Math.max(0, qualityMonitor.upDelay - frameTime);
+    qualityMonitor.time += frameTime;
+    qualityMonitor.frames++;
+    if (qualityMonitor.time < QUALITY_SAMPLE_TIME) return;
+    
+    qualityMonitor.fps = qualityMonitor.frames / qualityMonitor.time;
+    qualityMonitor.time = 0;
+    qualityMonitor.frames = 0;
+    updateSettingsFps();
+    
+    // Fixed preset or photo mode (frame is being composed) - only measure
+    if (qualitySetting.mode !== 'auto' || viewState.name === 'photoMode') return;
+    
+    // Slow and fast samples must come in a row, one hitch doesn't change quality
+    if (qualityMonitor.fps < QUALITY_DOWN_FPS) {
+        qualityMonitor.slowSamples++;
+        qualityMonitor.fastSamples = 0;
+    } else if (qualityMonitor.fps > QUALITY_UP_FPS) {
+        qualityMonitor.fastSamples++;
+        qualityMonitor.slowSamples = 0;
+    } else {
+        qualityMonitor.slowSamples = 0;
+        qualityMonitor.fastSamples = 0;
+    }
     
-    // Create simple portal
-    createBasicPortal();
+    const index = QUALITY_LEVELS.indexOf(qualitySetting.level);
+    if (qualityMonitor.slowSamples >= QUALITY_DOWN_SAMPLES && index > 0) {
+        console.log(`Auto quality: ${qualityMonitor.fps.toFixed(0)} FPS, lowering`);
+        // Device that can't keep raised quality waits longer before next try
+        qualityMonitor.upDelay = qualityMonitor.nextUpDelay;
+        qualityMonitor.nextUpDelay = Math.min(qualityMonitor.nextUpDelay * 2, QUALITY_MAX_UP_DELAY);
+        resetQualityMonitor();
+        setQualityLevel(QUALITY_LEVELS[index - 1]);
+    } else if (qualityMonitor.fastSamples >= QUALITY_UP_SAMPLES && qualityMonitor.upDelay === 0 &&
+               index < QUALITY_LEVELS.length - 1) {
+        console.log(`Auto quality: ${qualityMonitor.fps.toFixed(0)} FPS, raising`);
+        resetQualityMonitor();
+        setQualityLevel(QUALITY_LEVELS[index + 1]);
+    }
 }
 
-// Create simple portal if model didn't load
-function createBasicPortal() {
-    // Group for portal
-    const portalGroup = new THREE.Group();
-    portalGroup.position.set(0, 1.5, -5);
-    scene.add(portalGroup);
+// Function to add button that opens settings
+function createSettingsButton() {
+    const button = document.createElement('button');
+    button.className = 'controls-button settings-button';
+    button.title = 'Settings';
+    button.textContent = '⚙';
+    button.addEventListener('click', openSettingsPanel);
+    document.body.appendChild(button);
+}
+
+// Function to show settings panel
+function openSettingsPanel() {
+    if (settingsPanel || isInterfaceHidden()) return;
     
-    // Outer portal frame
-    const portalFrameGeometry = new THREE.TorusGeometry(1, 0.1, 16, 100);
-    const portalFrameMaterial = new THREE.MeshStandardMaterial({ 
-        color: 0x222222, 
-        side: THREE.DoubleSide,
-        roughness: 0.5,
-        metalness: 0.7
+    settingsPanel = document.createElement('div');
+    settingsPanel.className = 'controls-panel settings-panel';
+    settingsPanel.innerHTML = `
+        <div class="info-header">
+            <h2>Settings</h2>
+            <button class="close-btn">×</button>
+        </div>
+        <div class="settings-sections"></div>
+        <div class="controls-message settings-fps"></div>
+    `;
+    document.body.appendChild(settingsPanel);
+    
+    settingsPanel.querySelector('.close-btn').addEventListener('click', closeSettingsPanel);
+    renderSettingsPanel();
+    updateSettingsFps();
+}
+
+// Function to close settings panel
+function closeSettingsPanel() {
+    if (!settingsPanel) return;
+    
+    settingsPanel.remove();
+    settingsPanel = null;
+}
+
+// Function to fill settings panel: one row of buttons per setting
+function renderSettingsPanel() {
+    if (!settingsPanel) return;
+    
+    const sections = settingsPanel.querySelector('.settings-sections');
+    sections.innerHTML = '';
+    
+    const quality = { auto: `Auto (${QUALITY_PRESETS[qualitySetting.level].label})` };
+    QUALITY_LEVELS.forEach(level => {
+        quality[level] = QUALITY_PRESETS[level].label;
     });
-    const portalFrameMesh = new THREE.Mesh(portalFrameGeometry, portalFrameMaterial);
-    portalFrameMesh.castShadow = true;
-    portalGroup.add(portalFrameMesh);
     
-    // Glowing part of portal
-    const portalLightGeometry = new THREE.CircleGeometry(0.9, 32);
-    const portalLightMaterial = new THREE.MeshBasicMaterial({ 
-        color: 0x4df3ff, 
-        side: THREE.DoubleSide,
-        transparent: true,
-        opacity: 0.8
+    const weather = { auto: `Auto (${WEATHER_TYPES[LIGHTING_PROFILES[lightingProfile].weather].label})` };
+    Object.keys(WEATHER_TYPES).forEach(type => {
+        weather[type] = WEATHER_TYPES[type].label;
     });
-    portalLight = new THREE.Mesh(portalLightGeometry, portalLightMaterial);
-    portalLight.userData.glowMaterial = portalLightMaterial;
-    portalLight.rotation.y = Math.PI;
-    // Enable layer for Bloom effect
-    portalLight.layers.enable(BLOOM_SCENE);
-    portalGroup.add(portalLight);
     
-    // Base for portal
-    const baseGeometry = new THREE.BoxGeometry(2, 0.1, 0.5);
-    const baseMaterial = new THREE.MeshStandardMaterial({ 
-        color: 0x222222,
-        roughness: 0.5,
-        metalness: 0.7
+    const lighting = {};
+    Object.keys(LIGHTING_PROFILES).forEach(name => {
+        lighting[name] = `${LIGHTING_PROFILES[name].icon} ${LIGHTING_PROFILES[name].label}`;
     });
-    const base = new THREE.Mesh(baseGeometry, baseMaterial);
-    base.position.y = -1.05;
-    base.castShadow = true;
-    portalGroup.add(base);
     
-    // Pillar of portal
-    const pillarGeometry = new THREE.BoxGeometry(0.1, 2, 0.1);
-    const pillarMaterial = new THREE.MeshStandardMaterial({ 
-        color: 0x333333,
-        roughness: 0.5,
-        metalness: 0.7
+    const rows = [
+        { title: 'Quality', value: qualitySetting.mode, options: quality, onSelect: setQuality },
+        { title: 'Lighting', value: lightingProfile, options: lighting, onSelect: (name) => setLightingMode(name) },
+        { title: 'Weather', value: weatherSetting, options: weather, onSelect: setWeather }
+    ];
+    
+    rows.forEach(row => {
+        const title = document.createElement('h3');
+        title.textContent = row.title;
+        sections.appendChild(title);
+        
+        const options = document.createElement('div');
+        options.className = 'avatar-options';
+        
+        Object.keys(row.options).forEach(value => {
+            const button = document.createElement('button');
+            button.className = 'controls-key avatar-option';
+            button.textContent = row.options[value];
+            if (row.value === value) {
+                button.classList.add('selected');
+            }
+            button.addEventListener('click', () => row.onSelect(value));
+            options.appendChild(button);
+        });
+        
+        sections.appendChild(options);
+    });
+}
+
+// Function to show measured frame rate in settings panel
+function updateSettingsFps() {
+    if (!settingsPanel || !qualityMonitor.fps) return;
+    settingsPanel.querySelector('.settings-fps').textContent = `${qualityMonitor.fps.toFixed(0)} FPS`;
+}
+
+// Function to prepare glow rendering for loaded world: lights are put on glow layer too
+// (camera that sees only glow layer would render glowing objects unlit) and see-through meshes are collected
+function cacheBloomObjects() {
+    // Objects excluded with excludeFromBloomPrepass stay excluded, see-through meshes are collected again
+    bloomPrepassHidden = bloomPrepassHidden.filter(object => object.userData.isBloomPrepassExcluded);
+    
+    isBloomCacheDirty = true;
+    
+    scene.traverse((node) => {
+        if (node.isLight) {
+            node.layers.enable(BLOOM_SCENE);
+        } else if (node.isMesh && isSeeThroughMaterial(node.material) && !bloomPrepassHidden.includes(node)) {
+            bloomPrepassHidden.push(node);
+        }
+    });
+}
+
+// Function to put object on glow layer or take it off
+function setBloomLayer(object, enabled) {
+    if (enabled) {
+        object.layers.enable(BLOOM_SCENE);
+    } else {
+        object.layers.disable(BLOOM_SCENE);
+    }
+    isBloomCacheDirty = true;
+}
+
+// Function to collect largest subtrees without glowing objects and lights, returns whether node has any
+function collectBloomSkippedNodes(node) {
+    const childHasGlow = node.children.map(collectBloomSkippedNodes);
+    const hasGlow = node.isLight || bloomLayer.test(node.layers) || childHasGlow.includes(true);
+    
+    if (hasGlow) {
+        node.children.forEach((child, i) => {
+            if (!childHasGlow[i]) bloomSkippedNodes.push(child);
+        });
+    }
+    return hasGlow;
+}
+
+// Function to check if material lets objects behind it be seen
+function isSeeThroughMaterial(material) {
+    return (Array.isArray(material) ? material : [material]).some(item => item.transparent || item.visible === false);
+}
+
+// Function to add object that shouldn't hide glow (e.g. particles), kept when world is loaded later
+function excludeFromBloomPrepass(object) {
+    object.userData.isBloomPrepassExcluded = true;
+    if (!bloomPrepassHidden.includes(object)) {
+        bloomPrepassHidden.push(object);
+    }
+}
+
+// Update character position based on WASD
+function updateCharacterMovement(deltaTime) {
+    if (!character) return;
+    
+    // Reuse vector for movement direction
+    const moveVector = new THREE.Vector3(0, 0, 0);
+    
+    // Determine movement vector based on pressed keys
+    if (isActionHeld('moveForward')) moveVector.z -= 1;
+    if (isActionHeld('moveBackward')) moveVector.z += 1;
+    if (isActionHeld('moveLeft')) moveVector.x -= 1;
+    if (isActionHeld('moveRight')) moveVector.x += 1;
+    
+    // Part of full speed: keys and path walking go full speed, gamepad stick sets it
+    let speedFactor = 1;
+    
+    // Without keys touch joystick or gamepad left stick walks
+    const stick = touchMove.lengthSq() > 0 ? touchMove : gamepadMove;
+    if (moveVector.lengthSq() === 0 && stick.lengthSq() > 0) {
+        moveVector.set(stick.x, 0, stick.y);
+        speedFactor = stick.length();
+    }
+    
+    // Keys and stick take over from click-to-move
+    if (moveVector.lengthSq() > 0) {
+        if (navPath) cancelNavPath();
+        
+        // Forward goes where camera looks
+        moveVector.applyAxisAngle(_yAxis, cameraYaw);
+    } else {
+        getNavPathDirection(moveVector);
+    }
+    
+    const isMoving = moveVector.lengthSq() > 0;
+    
+    // If there's movement
+    if (isMoving) {
+        // Normalize vector for consistent speed
+        moveVector.normalize();
+        
+        // Multiply by distance covered in this step
+        moveVector.multiplyScalar(moveSpeed * speedFactor * deltaTime);
+        
+        // Save old position
+        const oldPosition = character.position.clone();
+        
+        // Calculate new position
+        const newPosition = oldPosition.clone().add(moveVector);
+        
+        // Check world boundaries
+        newPosition.x = Math.max(movementBounds.minX, Math.min(movementBounds.maxX, newPosition.x));
+        newPosition.z = Math.max(movementBounds.minZ, Math.min(movementBounds.maxZ, newPosition.z));
+        
+        // Ground too high or too steep ahead stops character like a wall
+        const ground = probeGround(newPosition);
+        if (ground && !canStepOnto(ground, oldPosition.y)) {
+            newPosition.x = oldPosition.x;
+            newPosition.z = oldPosition.z;
+        }
+        
+        // Move character capsule, it slides along walls it touches
+        character.position.copy(sweepCharacter(oldPosition, newPosition).position);
+        
+        // Path walking gives up when walls stop character
+        updateNavStuck(moveVector.length(), Math.hypot(character.position.x - oldPosition.x, character.position.z - oldPosition.z), deltaTime);
+        
+        // Rotate character towards movement direction
+        const targetRotation = Math.atan2(moveVector.x, moveVector.z);
+        const rotationSpeed = 1 - Math.exp(-10 * deltaTime); // Part of remaining angle turned per step
+        
+        // Smooth rotation towards target angle
+        let currentRotation = character.rotation.y;
+        
+        // Calculate shortest path to rotation
+        let rotationDiff = targetRotation - currentRotation;
+        if (rotationDiff > Math.PI) rotationDiff -= 2 * Math.PI;
+        if (rotationDiff < -Math.PI) rotationDiff += 2 * Math.PI;
+        
+        // Apply partial rotation
+        character.rotation.y += rotationDiff * rotationSpeed;
+    }
+    
+    // Follow ground, fall and jump (footsteps are played by walk cycle in updateCharacterAnimation)
+    updateCharacterVertical(deltaTime);
+}
+
+// Function to set up crab animation: clips from model through AnimationMixer, or procedural legs and bobbing
+function setupCharacterAnimation(model, clips) {
+    const animation = {
+        model: model,
+        mixer: null,
+        actions: {}, // idle, walk, turn
+        current: null, // Playing state: 'idle', 'walk' or 'turn'
+        legs: [], // Procedural fallback: { node, rest } of leg nodes
+        restY: model.position.y,
+        speed: 0, // Smoothed walking speed, units per second
+        turnRate: 0, // Smoothed turning speed, radians per second
+        phase: 0, // Walk cycle position, 0..1
+        time: 0
+    };
+    
+    if (clips && clips.length > 0) {
+        animation.mixer = new THREE.AnimationMixer(model);
+        
+        Object.keys(CHARACTER_CLIP_NAMES).forEach(state => {
+            const clip = clips.find(item => CHARACTER_CLIP_NAMES[state].test(item.name));
+            if (clip) {
+                animation.actions[state] = animation.mixer.clipAction(clip);
+            }
+        });
+        
+        // Model with clips under other names - first clip is used for walking
+        if (!animation.actions.walk && !animation.actions.idle) {
+            animation.actions.walk = animation.mixer.clipAction(clips[0]);
+        }
+        
+        console.log('Crab animation clips:', clips.map(clip => clip.name).join(', '),
+                    '- used for', Object.keys(animation.actions).join(', '));
+    } else {
+        model.traverse(node => {
+            if (node !== model && /leg/i.test(node.name)) {
+                animation.legs.push({ node: node, rest: node.rotation.clone() });
+            }
+        });
+        console.log(`Crab has no animation clips, procedural animation with ${animation.legs.length} legs`);
+    }
+    
+    characterAnimation = animation;
+    playCharacterState('idle');
+}
+
+// Function to crossfade to animation clip of state; states without clip fall back to idle, then to none
+function playCharacterState(state) {
+    const animation = characterAnimation;
+    if (!animation.mixer || animation.current === state) return;
+    
+    const next = animation.actions[state] || animation.actions.idle;
+    const previous = animation.current && (animation.actions[animation.current] || animation.actions.idle);
+    animation.current = state;
+    
+    if (!next) {
+        // No idle clip - walk clip fades out, model stays in rest pose
+        if (previous) previous.fadeOut(CHARACTER_CROSSFADE_TIME);
+        return;
+    }
+    if (next === previous) return;
+    
+    next.reset();
+    next.setEffectiveWeight(1);
+    next.play();
+    if (previous) {
+        previous.crossFadeTo(next, CHARACTER_CROSSFADE_TIME, false);
+    } else {
+        next.fadeIn(CHARACTER_CROSSFADE_TIME);
+    }
+}
+
+// Function to animate crab for rendered frame from its simulated walking and turning speed
+function updateCharacterAnimation(deltaTime) {
+    const animation = characterAnimation;
+    if (!animation) return;
+    
+    // Smooth speeds, single simulation steps would make animation twitch
+    const smoothing = 1 - Math.exp(-10 * deltaTime);
+    animation.speed += (characterMotion.speed - animation.speed) * smoothing;
+    animation.turnRate += (characterMotion.turnRate - animation.turnRate) * smoothing;
+    animation.time += deltaTime;
+    
+    const isWalking = animation.speed > 0.3 && isCharacterGrounded;
+    const isTurning = !isWalking && Math.abs(animation.turnRate) > 1;
+    const previousPhase = animation.phase;
+    
+    if (animation.mixer) {
+        playCharacterState(isWalking ? 'walk' : isTurning ? 'turn' : 'idle');
+        
+        // Walk clip plays faster or slower with speed (stick, path walking)
+        const walk = animation.actions.walk;
+        if (walk) {
+            walk.setEffectiveTimeScale(Math.max(0.3, animation.speed / moveSpeed));
+        }
+        animation.mixer.update(deltaTime);
+        
+        if (walk && walk.isRunning()) {
+            animation.phase = (walk.time / walk.getClip().duration) % 1;
+        }
+    } else {
+        // Legs move while walking or turning on the spot
+        const cycleSpeed = isWalking ? animation.speed : isTurning ? Math.abs(animation.turnRate) : 0;
+        animation.phase = (animation.phase + cycleSpeed * WALK_CYCLES_PER_UNIT * deltaTime) % 1;
+        animateCharacterProcedurally(animation, isWalking || isTurning ? 1 : 0, deltaTime);
+    }
+    
+    // Footstep twice per walk cycle
+    if (isWalking && stepCrossed(previousPhase, animation.phase)) {
+        playFootstep();
+    }
+}
+
+// Function to check if walk cycle passed a footstep point (start or middle of cycle)
+function stepCrossed(previousPhase, phase) {
+    if (phase < previousPhase) return true; // Wrapped past start
+    return previousPhase < 0.5 && phase >= 0.5;
+}
+
+// Function to wiggle legs and bob body when model has no clips
+function animateCharacterProcedurally(animation, walkAmount, deltaTime) {
+    animation.walkBlend = animation.walkBlend === undefined ? 0 : animation.walkBlend;
+    animation.walkBlend += (walkAmount - animation.walkBlend) * (1 - Math.exp(-8 * deltaTime));
+    
+    const angle = animation.phase * Math.PI * 2;
+    
+    // Neighbouring legs move in opposite phase
+    animation.legs.forEach((leg, i) => {
+        const swing = Math.sin(angle + (i % 2) * Math.PI) * 0.35 * animation.walkBlend;
+        leg.node.rotation.x = leg.rest.x + swing;
+        leg.node.rotation.z = leg.rest.z + Math.max(0, -swing) * 0.5;
     });
     
-    const leftPillar = new THREE.Mesh(pillarGeometry, pillarMaterial);
-    leftPillar.position.set(-1, -0.05, 0);
-    leftPillar.castShadow = true;
-    portalGroup.add(leftPillar);
-    
-    const rightPillar = new THREE.Mesh(pillarGeometry, pillarMaterial);
-    rightPillar.position.set(1, -0.05, 0);
-    rightPillar.castShadow = true;
-    portalGroup.add(rightPillar);
+    // Body rises with every step, slowly breathes when idle
+    const bob = Math.abs(Math.sin(angle)) * 0.04 * animation.walkBlend;
+    const breath = Math.sin(animation.time * 2) * 0.005 * (1 - animation.walkBlend);
+    animation.model.position.y = animation.restY + bob + breath;
+    animation.model.rotation.z = Math.sin(angle) * 0.04 * animation.walkBlend;
+}
+
+// Function to play one footstep: start of walking sound, with slightly varied pitch
+function playFootstep() {
+    // Sound not loaded yet
+    if (!walkSound || (walkSound.setBuffer && !walkSound.buffer)) return;
     
-    // Add lighting from portal
-    addPortalLighting(portalGroup.position);
+    if (walkSound.isPlaying) {
+        walkSound.stop();
+    }
+    if (walkSound.setBuffer) {
+        walkSound.duration = FOOTSTEP_SOUND_LENGTH;
+        walkSound.setPlaybackRate(0.9 + Math.random() * 0.2);
+    }
+    walkSound.play();
+}
+
+// Function to move character up and down: follow ground and steps, fall with gravity, jump
+function updateCharacterVertical(deltaTime) {
+    const jump = isJumpRequested;
+    isJumpRequested = false;
+    
+    // No walkable surfaces (world not loaded) - height stays as it is
+    if (!groundOctree) return;
+    
+    const ground = probeGround(character.position);
+    const groundHeight = ground ? ground.height : -Infinity;
+    
+    if (isCharacterGrounded) {
+        if (jump) {
+            verticalVelocity = JUMP_SPEED;
+            isCharacterGrounded = false;
+        } else if (character.position.y - groundHeight <= GROUND_SNAP_DISTANCE) {
+            // Climb onto higher ground gradually, go down at once
+            const rise = groundHeight - character.position.y;
+            if (rise > 0) {
+                const climb = Math.max(stepClimbSpeed, rise * 18) * deltaTime;
+                character.position.y += Math.min(rise, climb);
+            } else {
+                character.position.y = groundHeight;
+            }
+            verticalVelocity = 0;
+            lastGroundedPosition.copy(character.position);
+            return;
+        } else {
+            // Ground fell away under character
+            isCharacterGrounded = false;
+            verticalVelocity = 0;
+        }
+    }
     
-    // Add several objects around portal for shadow demonstration
-    addSurroundingObjects(portalGroup.position);
+    verticalVelocity = Math.max(verticalVelocity - GRAVITY * deltaTime, -MAX_FALL_SPEED);
+    character.position.y += verticalVelocity * deltaTime;
+    
+    if (verticalVelocity <= 0 && character.position.y <= groundHeight) {
+        const landingSpeed = -verticalVelocity;
+        character.position.y = groundHeight;
+        verticalVelocity = 0;
+        isCharacterGrounded = true;
+        onCharacterLanded(landingSpeed);
+    } else if (character.position.y < FALL_RESET_HEIGHT) {
+        console.log('Character fell out of world, returning to last ground');
+        character.position.copy(lastGroundedPosition);
+        verticalVelocity = 0;
+        isCharacterGrounded = true;
+    }
 }
 
-// Adding objects around portal for shadow demonstration
-function addSurroundingObjects(portalPosition) {
-    // Create several pillars around portal
-    const pillarGeometry = new THREE.CylinderGeometry(0.3, 0.3, 3, 16);
-    const pillarMaterial = new THREE.MeshStandardMaterial({
-        color: 0x666666,
-        roughness: 0.7,
-        metalness: 0.3
+// Function to react to landing after jump or fall
+function onCharacterLanded(landingSpeed) {
+    console.log(`Character landed, speed ${landingSpeed.toFixed(1)}`);
+    
+    // Short squash, stronger for harder landing
+    const squash = Math.min(0.3, landingSpeed * 0.02);
+    if (squash < 0.02) return;
+    
+    startTween({
+        channel: 'landing',
+        duration: 0.25,
+        easing: Easing.easeOutCubic,
+        onUpdate: (easedProgress) => {
+            const scaleY = 1 - squash * (1 - easedProgress);
+            character.scale.set(1 + squash * 0.5 * (1 - easedProgress), scaleY, 1 + squash * 0.5 * (1 - easedProgress));
+        },
+        onCancel: () => {
+            character.scale.set(1, 1, 1);
+        }
     });
+}
+
+// Function to find ground under position: highest walkable surface at most MAX_STEP_HEIGHT above feet
+// Returns { height, normal } or null when there is no ground below
+function probeGround(position, fromHeight = position.y + MAX_STEP_HEIGHT) {
+    if (!groundOctree) return null;
     
-    // Positions for pillars (radially around portal)
-    const positions = [
-        new THREE.Vector3(3, 0, -2),
-        new THREE.Vector3(-3, 0, -2),
-        new THREE.Vector3(0, 0, -8),
-        new THREE.Vector3(5, 0, -5),
-        new THREE.Vector3(-5, 0, -5)
-    ];
+    let best = null;
     
-    // Create pillars
-    positions.forEach(pos => {
-        const pillar = new THREE.Mesh(pillarGeometry, pillarMaterial);
-        // Используем _tempVector для предотвращения создания нового объекта
-        _tempVector.set(
-            portalPosition.x + pos.x,
-            1.5,
-            portalPosition.z + pos.z
-        );
-        pillar.position.copy(_tempVector);
-        pillar.castShadow = true;
-        pillar.receiveShadow = true;
-        scene.add(pillar);
-    });
+    // Center and four points around it, so character doesn't sink at edges of steps
+    for (const [offsetX, offsetZ] of GROUND_PROBE_OFFSETS) {
+        groundRay.origin.set(position.x + offsetX * CHARACTER_RADIUS, fromHeight + 0.01, position.z + offsetZ * CHARACTER_RADIUS);
+        
+        const hit = castGroundRay(groundRay);
+        if (hit && (!best || hit.height > best.height)) {
+            best = hit;
+        }
+    }
+    return best;
+}
+
+// Function to cast ray down against walkable triangles, returns nearest hit as { height, normal }
+function castGroundRay(ray) {
+    const triangles = groundOctree.getRayTriangles(ray, []);
+    let nearest = null;
+    let nearestDistance = Infinity;
     
-    // Add several cubes of different sizes
-    const boxGeometry1 = new THREE.BoxGeometry(1, 1, 1);
-    const boxGeometry2 = new THREE.BoxGeometry(1.5, 0.5, 1.5);
-    const boxMaterial = new THREE.MeshStandardMaterial({
-        color: 0x888888,
-        roughness: 0.6,
-        metalness: 0.4
-    });
+    for (const triangle of triangles) {
+        // Both sides count, some exported meshes have flipped faces
+        const point = ray.intersectTriangle(triangle.a, triangle.b, triangle.c, false, _tempVector3);
+        if (!point) continue;
+        
+        const distance = ray.origin.y - point.y;
+        if (distance < nearestDistance) {
+            nearestDistance = distance;
+            nearest = triangle;
+        }
+    }
     
-    const box1 = new THREE.Mesh(boxGeometry1, boxMaterial);
-    _tempVector.set(portalPosition.x + 2, 0.5, portalPosition.z + 3);
-    box1.position.copy(_tempVector);
-    box1.castShadow = true;
-    box1.receiveShadow = true;
-    scene.add(box1);
+    if (!nearest) return null;
     
-    const box2 = new THREE.Mesh(boxGeometry2, boxMaterial);
-    _tempVector.set(portalPosition.x - 2, 0.25, portalPosition.z + 3);
-    box2.position.copy(_tempVector);
-    box2.castShadow = true;
-    box2.receiveShadow = true;
-    scene.add(box2);
+    const normal = nearest.getNormal(new THREE.Vector3());
+    if (normal.y < 0) normal.negate();
+    return { height: ray.origin.y - nearestDistance, normal: normal };
 }
 
-// Load character
-function loadCharacter() {
-    console.log('Loading crab model...');
+// Function to check if character standing at given height can walk onto ground
+function canStepOnto(ground, feetHeight) {
+    const rise = ground.height - feetHeight;
+    if (rise > MAX_STEP_HEIGHT) return false;
     
-    // Get position for character (save for later use)
-    _tempVector.set(0, characterHeight / 2, 0);
-    const characterStartPosition = _tempVector.clone();
+    // Going up slopes steeper than limit is not possible, going down is
+    return rise <= 0.01 || ground.normal.y >= MAX_SLOPE_COS;
+}
+
+// Function to place character on ground below given height (after teleport)
+function placeCharacterOnGround(fromHeight) {
+    const ground = probeGround(character.position, fromHeight);
+    if (ground) {
+        character.position.y = ground.height;
+    }
+    verticalVelocity = 0;
+    isCharacterGrounded = true;
+    lastGroundedPosition.copy(character.position);
+}
+
+// Function to call callback for each triangle of mesh in world space (triangle object is reused)
+function forEachWorldTriangle(mesh, callback) {
+    const geometry = mesh.geometry;
+    const positions = geometry && geometry.attributes.position;
+    if (!positions) return;
+    
+    const triangle = new THREE.Triangle();
+    const index = geometry.index;
+    const count = index ? index.count : positions.count;
+    
+    for (let i = 0; i + 2 < count; i += 3) {
+        triangle.a.fromBufferAttribute(positions, index ? index.getX(i) : i).applyMatrix4(mesh.matrixWorld);
+        triangle.b.fromBufferAttribute(positions, index ? index.getX(i + 1) : i + 1).applyMatrix4(mesh.matrixWorld);
+        triangle.c.fromBufferAttribute(positions, index ? index.getX(i + 2) : i + 2).applyMatrix4(mesh.matrixWorld);
+        callback(triangle);
+    }
+}
+
+// Function to build octree of walkable triangles for ground probing
+function buildGroundOctree() {
+    const octree = new Octree();
+    let triangleCount = 0;
     
-    // Use GLTFLoader to load model
-    const loader = new GLTFLoader();
+    scene.updateMatrixWorld(true);
     
-    // Temporarily create invisible cube-placeholder while model loads
-    const tempGeometry = new THREE.BoxGeometry(characterSize, characterHeight, characterSize);
-    const tempMaterial = new THREE.MeshStandardMaterial({ 
-        color: 0x3333ff,
-        transparent: true,
-        opacity: 0
-    });
-    character = new THREE.Mesh(tempGeometry, tempMaterial);
-    character.position.copy(characterStartPosition);
-    scene.add(character);
+    for (const mesh of walkableObjects) {
+        forEachWorldTriangle(mesh, (triangle) => {
+            octree.addTriangle(triangle.clone());
+            triangleCount++;
+        });
+    }
     
-    // Find crab in main scene
-    let crabFound = false;
+    // Tops of untagged colliders (ramps, platforms) can be stood on too; moving switch is left out
+    for (const mesh of collisionObjects) {
+        if (walkableObjects.includes(mesh) || isMovingCollider(mesh)) continue;
+        
+        forEachWorldTriangle(mesh, (triangle) => {
+            if (triangle.getNormal(_tempVector).y < MAX_SLOPE_COS) return;
+            
+            octree.addTriangle(triangle.clone());
+            triangleCount++;
+        });
+    }
     
-    // If crab not found in scene, load separate model
-    if (!crabFound) {
-        loader.load(
-            'crab.glb', // Path to model file
-            (gltf) => {
-                console.log('Loaded crab model:', gltf);
-                
-                // Remove temporary character
-                scene.remove(character);
-                
-                // Create container for model (easier to control position)
-                character = new THREE.Group();
-                
-                // Set position for group container
-                character.position.copy(characterStartPosition);
-                
-                // Get crab model
-                const crabModel = gltf.scene;
-                
-                // Scale model if needed
-                crabModel.scale.set(0.5, 0.5, 0.5);
-                
-                // Rotate model 180 degrees on Y axis, so it looks in the correct direction
-                crabModel.rotation.y = Math.PI;
-                
-                // Center model in container space
-                // To do this, we'll create a temporary box to get model dimensions
-                _tempBox.setFromObject(crabModel);
-                _tempVector.set(0, 0, 0); // Reuse temp vector
-                _tempBox.getCenter(_tempVector);
-                
-                // Move model so its center is in the center of the container
-                crabModel.position.sub(_tempVector);
-                
-                // Raise model so it stands on the ground
-                crabModel.position.y = -_tempBox.min.y + (characterHeight / 4);
-                
-                // Enable shadows
-                crabModel.traverse((node) => {
-                    if (node.isMesh) {
-                        node.castShadow = true;
-                        node.receiveShadow = true;
-                    }
-                });
-                
-                // Add model to container
-                character.add(crabModel);
-                
-                // Add container to scene
-                scene.add(character);
-                
-                // Update bounding box
-                characterBoundingBox = new THREE.Box3().setFromObject(character);
-                
-                console.log('Crab model loaded and set as character, position:', character.position);
-                console.log('Crab center:', _tempVector);
-                
-                // Update camera position
-                updateCameraPosition();
-            },
-            (xhr) => {
-                console.log('Loading model: ' + (xhr.loaded / xhr.total * 100) + '%');
-            },
-            (error) => {
-                console.error('Error loading crab model:', error);
-                
-                // In case of error, use simple cube instead
-                console.log('Using simple cube instead of crab');
-                
-                // Create simple character (as it was originally)
-                const geometry = new THREE.BoxGeometry(characterSize, characterHeight, characterSize);
-                const material = new THREE.MeshStandardMaterial({ 
-                    color: 0xCC5500, // Orange color for crab
-                    roughness: 0.7,
-                    metalness: 0.3
-                });
-                character = new THREE.Mesh(geometry, material);
-                character.position.copy(characterStartPosition);
-                character.castShadow = true;
-                scene.add(character);
-                
-                // Update bounding box
-                characterBoundingBox = new THREE.Box3().setFromObject(character);
-            }
-        );
+    if (triangleCount === 0) {
+        console.log('No walkable triangles, ground following disabled');
+        groundOctree = null;
+        return;
     }
+    
+    octree.build();
+    groundOctree = octree;
+    console.log(`Ground octree built: ${triangleCount} triangles from walkable objects and collider tops`);
 }
 
-// Character collision handling
-function onClick(event) {
-    // Normalize mouse coordinates (-1 to +1)
-    mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
-    mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
+// Function to build collision octree from world-space triangles of collidable meshes
+function buildCollisionOctree() {
+    const octree = new Octree();
+    let triangleCount = 0;
     
-    // Set raycaster
-    raycaster.setFromCamera(mouse, camera);
-    
-    // Check for intersection with objects
-    const intersects = raycaster.intersectObjects(scene.children, true);
+    scene.updateMatrixWorld(true);
+    dynamicColliders = [];
     
-    // Check if we clicked on the switch
-    for (let i = 0; i < intersects.length; i++) {
-        const object = intersects[i].object;
-        
-        // If this is switch light
-        if (object.name === 'Switch' || object.parent && object.parent.name === 'Switch') {
-            if (!isSwitchAnimating) {
-                // Animate switch and change lighting mode
-                animateLightSwitch();
-            }
-            return;
+    for (const mesh of collisionObjects) {
+        // Moving meshes get own small octree, static one would keep them where they were
+        if (isMovingCollider(mesh)) {
+            dynamicColliders.push({ mesh: mesh, octree: null });
+            continue;
         }
         
-        // If this is portal
-        if (object.userData && object.userData.isPortal) {
-            const portalId = object.userData.portalId;
-            portals[portalId].activate();
-            return;
-        }
+        // Walkable surfaces are stood on, only their steep sides (stair ends, walls) block
+        const walkable = Boolean(mesh.userData.villageTags && mesh.userData.villageTags.walkable);
+        
+        forEachWorldTriangle(mesh, (triangle) => {
+            if (walkable && Math.abs(triangle.getNormal(_tempVector).y) >= MAX_SLOPE_COS) return;
+            
+            octree.addTriangle(triangle.clone());
+            triangleCount++;
+        });
+    }
+    
+    updateDynamicColliders();
+    
+    if (triangleCount === 0) {
+        console.log('No static collider triangles');
+        collisionOctree = null;
+        return;
     }
+    
+    octree.build();
+    collisionOctree = octree;
+    console.log(`Collision octree built: ${triangleCount} triangles from ${collisionObjects.length - dynamicColliders.length} objects, ${dynamicColliders.length} moving`);
 }
 
-// Function to animate switch light
-function animateLightSwitch() {
-    if (!switchObject || isSwitchAnimating) return;
+// Function to check if collidable mesh is moved by animations (switch and its parts)
+function isMovingCollider(mesh) {
+    for (let node = mesh; node; node = node.parent) {
+        if (node === switchObject) return true;
+    }
+    return false;
+}
+
+// Function to rebuild octrees of moving colliders at their current place
+function updateDynamicColliders() {
+    dynamicColliders.forEach(collider => {
+        const octree = new Octree();
+        let triangleCount = 0;
+        
+        collider.mesh.updateWorldMatrix(true, false);
+        forEachWorldTriangle(collider.mesh, (triangle) => {
+            octree.addTriangle(triangle.clone());
+            triangleCount++;
+        });
+        collider.octree = triangleCount > 0 ? octree.build() : null;
+    });
+}
+
+// Function to find deepest hit of capsule with static and moving colliders, false if none
+function intersectColliders(capsule) {
+    let deepest = collisionOctree ? collisionOctree.capsuleIntersect(capsule) : false;
     
-    isSwitchAnimating = true;
+    for (const collider of dynamicColliders) {
+        const hit = collider.octree && collider.octree.capsuleIntersect(capsule);
+        if (hit && (!deepest || hit.depth > deepest.depth)) {
+            deepest = hit;
+        }
+    }
+    return deepest;
+}
+
+// Function to place character capsule at feet position
+function setCharacterCapsule(position) {
+    characterCapsule.start.set(position.x, position.y + MAX_STEP_HEIGHT + CHARACTER_RADIUS, position.z);
+    characterCapsule.end.set(position.x, position.y + CHARACTER_CAPSULE_HEIGHT - CHARACTER_RADIUS, position.z);
+    characterCapsule.radius = CHARACTER_RADIUS;
+}
+
+// Function to move character capsule between positions, pushing it out of walls along contact normals
+// Returns final position and normals of walls touched on the way
+function sweepCharacter(fromPosition, toPosition) {
+    const result = { position: toPosition.clone(), normals: [] };
+    if (!collisionOctree && dynamicColliders.length === 0) return result;
     
-    // Initial and final positions of switch
-    const startPosition = switchObject.position.clone();
-    const endPosition = switchObject.position.clone();
+    // Height belongs to ground following, capsule only moves horizontally
+    const movement = new THREE.Vector3(toPosition.x - fromPosition.x, 0, toPosition.z - fromPosition.z);
     
-    // Move right or left based on current mode
-    endPosition.x += isNightMode ? 1.6 : -1.6;
+    // Steps no longer than half radius, so thin walls are not skipped
+    const steps = Math.max(1, Math.ceil(movement.length() / (CHARACTER_RADIUS * 0.5)));
+    movement.divideScalar(steps);
     
-    // Create animation
-    const duration = 500; // Animation duration in ms
-    const startTime = Date.now();
+    setCharacterCapsule(_tempVector.set(fromPosition.x, toPosition.y, fromPosition.z));
     
-    // Function to update switch position
-    function updateSwitchPosition() {
-        const elapsed = Date.now() - startTime;
-        const progress = Math.min(elapsed / duration, 1);
+    for (let i = 0; i < steps; i++) {
+        characterCapsule.translate(movement);
         
-        // Smooth transition using easing function
-        const easedProgress = easeInOutCubic(progress);
+        const hit = intersectColliders(characterCapsule);
+        if (!hit) continue;
         
-        // Update switch position
-        switchObject.position.lerpVectors(startPosition, endPosition, easedProgress);
+        const push = hit.normal.multiplyScalar(hit.depth);
+        push.y = 0;
+        if (push.lengthSq() < 1e-10) continue;
         
-        // If we have light from switch, update its position
-        if (switchLight) {
-            switchLight.position.copy(switchObject.position);
-            // Add slight upward offset
-            switchLight.position.y += 0.2;
-        }
+        characterCapsule.translate(push);
         
-        if (progress < 1) {
-            // Continue animation
-            requestAnimationFrame(updateSwitchPosition);
-        } else {
-            // Animation completed, switch lighting mode
-            toggleLightingMode();
-            isSwitchAnimating = false;
+        // Rest of movement slides along wall instead of going into it
+        const normal = push.normalize();
+        const intoWall = movement.dot(normal);
+        if (intoWall < 0) {
+            movement.addScaledVector(normal, -intoWall);
         }
+        result.normals.push(normal.clone());
     }
     
-    // Start animation
-    updateSwitchPosition();
+    result.position.x = characterCapsule.start.x;
+    result.position.z = characterCapsule.start.z;
+    return result;
 }
 
-// Handle window resize
-function onWindowResize() {
-    // Update camera aspect ratio
-    camera.aspect = window.innerWidth / window.innerHeight;
-    camera.updateProjectionMatrix();
+// Function to build navigation grid over walkable surfaces, without cells where character capsule hits colliders
+function buildNavMesh() {
+    const bounds = new THREE.Box3();
     
-    // Resize renderer
-    renderer.setSize(window.innerWidth, window.innerHeight);
+    scene.updateMatrixWorld(true);
+    walkableObjects.forEach(mesh => bounds.expandByObject(mesh));
+    if (bounds.isEmpty()) {
+        console.log('No walkable surfaces, click-to-move disabled');
+        navMesh = null;
+        return;
+    }
     
-    // Update post-processing composers
-    if (bloomComposer) {
-        bloomComposer.setSize(window.innerWidth, window.innerHeight);
+    // Cells are made larger on big scenes to stay within cell limit
+    const area = (bounds.max.x - bounds.min.x) * (bounds.max.z - bounds.min.z);
+    const cellSize = Math.max(NAV_CELL_SIZE, Math.sqrt(area / NAV_MAX_CELLS));
+    const width = Math.max(1, Math.ceil((bounds.max.x - bounds.min.x) / cellSize));
+    const depth = Math.max(1, Math.ceil((bounds.max.z - bounds.min.z) / cellSize));
+    
+    const grid = {
+        minX: bounds.min.x,
+        minZ: bounds.min.z,
+        cellSize: cellSize,
+        width: width,
+        depth: depth,
+        heights: new Float32Array(width * depth).fill(NaN) // Surface height of each cell, NaN - not walkable
+    };
+    
+    // Rasterize walkable triangles that are not too steep, highest surface wins
+    const point = new THREE.Vector3();
+    const barycoord = new THREE.Vector3();
+    for (const mesh of walkableObjects) {
+        forEachWorldTriangle(mesh, (triangle) => {
+            const normalY = Math.abs(triangle.getNormal(_tempVector).y);
+            if (normalY < MAX_SLOPE_COS) return;
+            
+            const minCellX = Math.max(0, Math.floor((Math.min(triangle.a.x, triangle.b.x, triangle.c.x) - grid.minX) / cellSize));
+            const maxCellX = Math.min(width - 1, Math.floor((Math.max(triangle.a.x, triangle.b.x, triangle.c.x) - grid.minX) / cellSize));
+            const minCellZ = Math.max(0, Math.floor((Math.min(triangle.a.z, triangle.b.z, triangle.c.z) - grid.minZ) / cellSize));
+            const maxCellZ = Math.min(depth - 1, Math.floor((Math.max(triangle.a.z, triangle.b.z, triangle.c.z) - grid.minZ) / cellSize));
+            
+            for (let cz = minCellZ; cz <= maxCellZ; cz++) {
+                for (let cx = minCellX; cx <= maxCellX; cx++) {
+                    // Height of triangle plane under cell center
+                    point.set(grid.minX + (cx + 0.5) * cellSize, 0, grid.minZ + (cz + 0.5) * cellSize);
+                    if (!getTriangleBarycoordXZ(triangle, point, barycoord)) continue;
+                    
+                    const height = barycoord.x * triangle.a.y + barycoord.y * triangle.b.y + barycoord.z * triangle.c.y;
+                    const cell = cz * width + cx;
+                    if (Number.isNaN(grid.heights[cell]) || height > grid.heights[cell]) {
+                        grid.heights[cell] = height;
+                    }
+                }
+            }
+        });
     }
-    if (finalComposer) {
-        finalComposer.setSize(window.innerWidth, window.innerHeight);
+    
+    // Remove cells where character would stand inside a collider
+    let walkableCells = 0;
+    if (collisionOctree) {
+        for (let cell = 0; cell < grid.heights.length; cell++) {
+            if (Number.isNaN(grid.heights[cell])) continue;
+            
+            getNavCellCenter(grid, cell, point);
+            setCharacterCapsule(point);
+            if (collisionOctree.capsuleIntersect(characterCapsule)) {
+                grid.heights[cell] = NaN;
+            } else {
+                walkableCells++;
+            }
+        }
+    } else {
+        walkableCells = grid.heights.filter(height => !Number.isNaN(height)).length;
     }
+    
+    navMesh = grid;
+    console.log(`Navigation grid built: ${width}x${depth} cells of ${cellSize.toFixed(2)}, ${walkableCells} walkable`);
 }
 
-// Function to darken objects that shouldn't glow
-function darkenNonBloomed(obj) {
-    if (obj.isMesh && bloomLayer.test(obj.layers) === false) {
-        materials[obj.uuid] = obj.material;
-        obj.material = darkMaterial;
-    }
+// Function to get barycentric coordinates of point inside triangle, ignoring height; false if point is outside
+function getTriangleBarycoordXZ(triangle, point, target) {
+    const { a, b, c } = triangle;
+    const denominator = (b.z - c.z) * (a.x - c.x) + (c.x - b.x) * (a.z - c.z);
+    if (Math.abs(denominator) < 1e-10) return false;
+    
+    const u = ((b.z - c.z) * (point.x - c.x) + (c.x - b.x) * (point.z - c.z)) / denominator;
+    const v = ((c.z - a.z) * (point.x - c.x) + (a.x - c.x) * (point.z - c.z)) / denominator;
+    const w = 1 - u - v;
+    if (u < -1e-6 || v < -1e-6 || w < -1e-6) return false;
+    
+    target.set(u, v, w);
+    return true;
+}
+
+// Function to get cell index of world position, -1 outside grid
+function getNavCell(grid, x, z) {
+    const cx = Math.floor((x - grid.minX) / grid.cellSize);
+    const cz = Math.floor((z - grid.minZ) / grid.cellSize);
+    if (cx < 0 || cz < 0 || cx >= grid.width || cz >= grid.depth) return -1;
+    return cz * grid.width + cx;
+}
+
+// Function to get world position of cell center on its surface
+function getNavCellCenter(grid, cell, target) {
+    const cx = cell % grid.width;
+    const cz = Math.floor(cell / grid.width);
+    return target.set(
+        grid.minX + (cx + 0.5) * grid.cellSize,
+        grid.heights[cell],
+        grid.minZ + (cz + 0.5) * grid.cellSize
+    );
+}
+
+// Function to check if cell can be walked on
+function isNavCellWalkable(grid, cell) {
+    return cell !== -1 && !Number.isNaN(grid.heights[cell]);
+}
+
+// Function to check if character can step from one cell to neighbouring one
+function canStepBetweenNavCells(grid, from, to) {
+    return isNavCellWalkable(grid, to) && Math.abs(grid.heights[to] - grid.heights[from]) <= MAX_STEP_HEIGHT;
 }
 
-// Function to restore original materials
-function restoreMaterial(obj) {
-    if (materials[obj.uuid]) {
-        obj.material = materials[obj.uuid];
-        delete materials[obj.uuid];
+// Function to find walkable cell nearest to position, searching rings of cells up to maxDistance
+function findNearestNavCell(grid, x, z, maxDistance) {
+    const cell = getNavCell(grid, x, z);
+    if (isNavCellWalkable(grid, cell)) return cell;
+    
+    const cx = Math.floor((x - grid.minX) / grid.cellSize);
+    const cz = Math.floor((z - grid.minZ) / grid.cellSize);
+    const maxRing = Math.ceil(maxDistance / grid.cellSize);
+    
+    let best = -1;
+    let bestDistance = Infinity;
+    for (let ring = 1; ring <= maxRing && best === -1; ring++) {
+        for (let dz = -ring; dz <= ring; dz++) {
+            for (let dx = -ring; dx <= ring; dx++) {
+                if (Math.abs(dx) !== ring && Math.abs(dz) !== ring) continue;
+                
+                const nx = cx + dx;
+                const nz = cz + dz;
+                if (nx < 0 || nz < 0 || nx >= grid.width || nz >= grid.depth) continue;
+                
+                const candidate = nz * grid.width + nx;
+                const distance = dx * dx + dz * dz;
+                if (isNavCellWalkable(grid, candidate) && distance < bestDistance) {
+                    best = candidate;
+                    bestDistance = distance;
+                }
+            }
+        }
     }
+    return best;
 }
 
-// Update character position based on WASD
-function updateCharacterMovement() {
-    if (!character) return;
+// Function to find path between world positions: A* over grid, then smoothed by line of sight
+// Returns array of waypoints (without start) or null if there is no path
+function findNavPath(from, to) {
+    const grid = navMesh;
+    if (!grid) return null;
     
-    // Reuse vector for movement direction
-    const moveVector = new THREE.Vector3(0, 0, 0);
+    const start = findNearestNavCell(grid, from.x, from.z, NAV_SNAP_DISTANCE);
+    const goal = findNearestNavCell(grid, to.x, to.z, NAV_SNAP_DISTANCE);
+    if (start === -1 || goal === -1) return null;
     
-    // Determine movement vector based on pressed keys
-    if (keys.w) moveVector.z = -1;
-    if (keys.s) moveVector.z = 1;
-    if (keys.a) moveVector.x = -1;
-    if (keys.d) moveVector.x = 1;
+    const cells = findNavCellPath(grid, start, goal);
+    if (!cells) return null;
+    
+    return smoothNavPath(grid, cells).map(cell => getNavCellCenter(grid, cell, new THREE.Vector3()));
+}
+
+// Function to run A* from start cell to goal cell (8 neighbours, corners are not cut)
+function findNavCellPath(grid, start, goal) {
+    const cellCount = grid.heights.length;
+    const costs = new Float32Array(cellCount).fill(Infinity);
+    const cameFrom = new Int32Array(cellCount).fill(-1);
+    const closed = new Uint8Array(cellCount);
+    const open = createNavHeap();
+    
+    const goalX = goal % grid.width;
+    const goalZ = Math.floor(goal / grid.width);
+    const heuristic = (cell) => {
+        // Octile distance
+        const dx = Math.abs(cell % grid.width - goalX);
+        const dz = Math.abs(Math.floor(cell / grid.width) - goalZ);
+        return Math.max(dx, dz) + (Math.SQRT2 - 1) * Math.min(dx, dz);
+    };
+    
+    costs[start] = 0;
+    open.push(start, heuristic(start));
     
-    // If there's movement
-    if (moveVector.length() > 0) {
-        // Normalize vector for consistent speed
-        moveVector.normalize();
-        
-        // Multiply by movement speed
-        moveVector.multiplyScalar(moveSpeed);
-        
-        // Save old position
-        const oldPosition = character.position.clone();
-        
-        // Calculate new position
-        const newPosition = oldPosition.clone().add(moveVector);
-        
-        // Check world boundaries
-        newPosition.x = Math.max(movementBounds.minX, Math.min(movementBounds.maxX, newPosition.x));
-        newPosition.z = Math.max(movementBounds.minZ, Math.min(movementBounds.maxZ, newPosition.z));
+    while (open.size > 0) {
+        const cell = open.pop();
+        if (cell === goal) break;
+        if (closed[cell]) continue;
+        closed[cell] = 1;
         
-        // Check if character is on stairs or moving towards them
-        const stairInfo = checkStairCollision(newPosition);
-        
-        // If character is on stairs, adjust their position on Y axis
-        if (stairInfo.onStair) {
-            // Determine new character height
-            newPosition.y = stairInfo.height;
-        }
+        const cx = cell % grid.width;
+        const cz = Math.floor(cell / grid.width);
         
-        // Check for collisions
-        if (checkCollisions(oldPosition, newPosition)) {
-            // Try sliding along obstacle
-            const slideOptions = [
-                // Try moving only on X
-                new THREE.Vector3(moveVector.x, 0, 0),
-                // Try moving only on Z
-                new THREE.Vector3(0, 0, moveVector.z)
-            ];
+        for (const [dx, dz] of NAV_NEIGHBOURS) {
+            const nx = cx + dx;
+            const nz = cz + dz;
+            if (nx < 0 || nz < 0 || nx >= grid.width || nz >= grid.depth) continue;
             
-            let slidingSuccessful = false;
+            const neighbour = nz * grid.width + nx;
+            if (closed[neighbour] || !canStepBetweenNavCells(grid, cell, neighbour)) continue;
             
-            // Loop through sliding options
-            for (let slideVector of slideOptions) {
-                if (slideVector.length() === 0) continue; // Skip zero vector
-                
-                // Normalize and multiply by speed
-                slideVector.normalize().multiplyScalar(moveSpeed);
-                
-                // Calculate new position while sliding
-                const slidePosition = oldPosition.clone().add(slideVector);
-                
-                // Check world boundaries
-                slidePosition.x = Math.max(movementBounds.minX, Math.min(movementBounds.maxX, slidePosition.x));
-                slidePosition.z = Math.max(movementBounds.minZ, Math.min(movementBounds.maxZ, slidePosition.z));
-                
-                // Check if character is on stairs while sliding
-                const slideStairInfo = checkStairCollision(slidePosition);
-                if (slideStairInfo.onStair) {
-                    slidePosition.y = slideStairInfo.height;
-                }
-                
-                // Check for collisions while sliding
-                if (!checkCollisions(oldPosition, slidePosition)) {
-                    // Update character position with sliding
-                    character.position.copy(slidePosition);
-                    slidingSuccessful = true;
-                    break;
-                }
+            // Diagonal step needs both side cells, so path doesn't cut wall corners
+            if (dx !== 0 && dz !== 0 &&
+                (!canStepBetweenNavCells(grid, cell, cz * grid.width + nx) ||
+                 !canStepBetweenNavCells(grid, cell, nz * grid.width + cx))) {
+                continue;
             }
             
-            // If sliding failed, stay in old position
-            if (!slidingSuccessful) {
-                character.position.copy(oldPosition);
+            const cost = costs[cell] + (dx !== 0 && dz !== 0 ? Math.SQRT2 : 1);
+            if (cost < costs[neighbour]) {
+                costs[neighbour] = cost;
+                cameFrom[neighbour] = cell;
+                open.push(neighbour, cost + heuristic(neighbour));
             }
-        } else {
-            // If no collisions, update position
-            character.position.copy(newPosition);
         }
-        
-        // Rotate character towards movement direction
-        if (moveVector.x !== 0 || moveVector.z !== 0) {
-            const targetRotation = Math.atan2(moveVector.x, moveVector.z);
-            const rotationSpeed = 0.15; // Rotation speed
-            
-            // Smooth rotation towards target angle
-            let currentRotation = character.rotation.y;
+    }
+    
+    if (start !== goal && cameFrom[goal] === -1) return null;
+    
+    const path = [goal];
+    for (let cell = goal; cell !== start; cell = cameFrom[cell]) {
+        path.push(cameFrom[cell]);
+    }
+    return path.reverse();
+}
+
+// Function to create binary heap of cells ordered by priority, used as A* open list
+function createNavHeap() {
+    const cells = [];
+    const priorities = [];
+    
+    return {
+        get size() {
+            return cells.length;
+        },
+        push(cell, priority) {
+            let i = cells.length;
+            cells.push(cell);
+            priorities.push(priority);
             
-            // Calculate shortest path to rotation
-            let rotationDiff = targetRotation - currentRotation;
-            if (rotationDiff > Math.PI) rotationDiff -= 2 * Math.PI;
-            if (rotationDiff < -Math.PI) rotationDiff += 2 * Math.PI;
+            // Move up while parent has higher priority
+            while (i > 0) {
+                const parent = (i - 1) >> 1;
+                if (priorities[parent] <= priority) break;
+                cells[i] = cells[parent];
+                priorities[i] = priorities[parent];
+                i = parent;
+            }
+            cells[i] = cell;
+            priorities[i] = priority;
+        },
+        pop() {
+            const top = cells[0];
+            const lastCell = cells.pop();
+            const lastPriority = priorities.pop();
+            if (cells.length === 0) return top;
             
-            // Apply partial rotation
-            character.rotation.y += rotationDiff * rotationSpeed;
+            // Move last cell down from root while a child has lower priority
+            let i = 0;
+            while (true) {
+                let child = 2 * i + 1;
+                if (child >= cells.length) break;
+                if (child + 1 < cells.length && priorities[child + 1] < priorities[child]) child++;
+                if (priorities[child] >= lastPriority) break;
+                cells[i] = cells[child];
+                priorities[i] = priorities[child];
+                i = child;
+            }
+            cells[i] = lastCell;
+            priorities[i] = lastPriority;
+            return top;
         }
-        
-        // Check proximity to portals
-        checkPortalsProximity();
-        
-        // Play walking sound
-        if (!walkSound.isPlaying) {
-            walkSound.play();
+    };
+}
+
+// Function to drop path cells that can be skipped walking in a straight line
+function smoothNavPath(grid, cells) {
+    const smoothed = [];
+    let anchor = 0;
+    
+    while (anchor < cells.length - 1) {
+        let next = anchor + 1;
+        for (let i = cells.length - 1; i > next; i--) {
+            if (hasNavLineOfSight(grid, cells[anchor], cells[i])) {
+                next = i;
+                break;
+            }
         }
-    } else {
-        // Stop walking sound if character isn't moving
-        if (walkSound.isPlaying) {
-            walkSound.stop();
+        smoothed.push(cells[next]);
+        anchor = next;
+    }
+    
+    return smoothed.length > 0 ? smoothed : [cells[cells.length - 1]];
+}
+
+// Function to check that straight walk between two cells stays on walkable cells with low steps
+function hasNavLineOfSight(grid, from, to) {
+    const start = getNavCellCenter(grid, from, new THREE.Vector3());
+    const end = getNavCellCenter(grid, to, new THREE.Vector3());
+    const distance = Math.hypot(end.x - start.x, end.z - start.z);
+    const samples = Math.ceil(distance / (grid.cellSize * 0.25));
+    
+    // Samples also run along both sides, so straight lines keep capsule radius away from walls
+    const sideX = (start.z - end.z) / (distance || 1) * CHARACTER_RADIUS;
+    const sideZ = (end.x - start.x) / (distance || 1) * CHARACTER_RADIUS;
+    
+    let previous = from;
+    for (let i = 1; i <= samples; i++) {
+        const t = i / samples;
+        const x = start.x + (end.x - start.x) * t;
+        const z = start.z + (end.z - start.z) * t;
+        
+        const cell = getNavCell(grid, x, z);
+        if (cell !== previous && !canStepBetweenNavCells(grid, previous, cell)) return false;
+        if (!isNavCellWalkable(grid, getNavCell(grid, x + sideX, z + sideZ)) ||
+            !isNavCellWalkable(grid, getNavCell(grid, x - sideX, z - sideZ))) {
+            return false;
         }
+        previous = cell;
     }
+    return true;
 }
 
-// Function to check for collisions
-function checkCollisions(oldPosition, newPosition) {
-    // Update bounding box of character with new position
-    const tempCharacter = character.clone();
-    tempCharacter.position.copy(newPosition);
-    const tempBox = new THREE.Box3().setFromObject(tempCharacter);
-    
-    // Calculate movement vector and its length
-    const moveDirection = newPosition.clone().sub(oldPosition).normalize();
+// Function to walk character to world position; onArrive runs when path ends there
+function walkCharacterTo(point, options = {}) {
+    if (!character || !navMesh) return false;
     
-    // Character radius for collision detection
-    const collisionRadius = characterSize * 0.6;
-    
-    // Adjust raycaster settings
-    collisionRaycaster.far = collisionRadius * 1.2; // Slightly larger than radius for buffer
+    const path = findNavPath(character.position, point);
+    if (!path) {
+        console.log('No path to', point);
+        return false;
+    }
     
-    // Directions for rays (8 directions around circle)
-    const directions = [
-        new THREE.Vector3(1, 0, 0),   // right
-        new THREE.Vector3(-1, 0, 0),  // left
-        new THREE.Vector3(0, 0, 1),   // forward
-        new THREE.Vector3(0, 0, -1),  // backward
-        new THREE.Vector3(1, 0, 1).normalize(),   // right-forward
-        new THREE.Vector3(-1, 0, 1).normalize(),  // left-forward
-        new THREE.Vector3(1, 0, -1).normalize(),  // right-backward
-        new THREE.Vector3(-1, 0, -1).normalize()  // left-backward
-    ];
+    navPath = path;
+    navPathIndex = 0;
+    navStuckTime = 0;
+    navTarget = options.interactable || null;
     
-    // Add movement vector to list of directions to check for more accurate detection
-    if (moveDirection.length() > 0) {
-        directions.push(moveDirection);
+    showDestinationMarker(path[path.length - 1]);
+    return true;
+}
+
+// Function to walk character to interactable object and interact with it once in range
+function walkToInteractable(interactable) {
+    // Already in range - interact at once
+    if (getInteractableDistance(interactable) < interactable.radius * NAV_INTERACT_RANGE) {
+        cancelNavPath();
+        interactable.onInteract(interactable);
+        return true;
     }
+    return walkCharacterTo(interactable.position, { interactable: interactable });
+}
+
+// Function to stop walking along path and hide destination marker
+function cancelNavPath() {
+    navPath = null;
+    navTarget = null;
+    hideDestinationMarker();
+}
+
+// Function to get direction of path walking for this simulation step (zero vector when not walking)
+function getNavPathDirection(target) {
+    target.set(0, 0, 0);
+    if (!navPath || !character) return target;
     
-    // Create starting points for rays at different heights of character for better coverage
-    const rayOrigins = [
-        new THREE.Vector3(newPosition.x, characterHeight * 0.2, newPosition.z), // Legs
-        new THREE.Vector3(newPosition.x, characterHeight * 0.5, newPosition.z), // Midpoint
-        new THREE.Vector3(newPosition.x, characterHeight * 0.8, newPosition.z)  // Top
-    ];
-    
-    // Check for collisions using rays from multiple points of character
-    for (let origin of rayOrigins) {
-        for (let direction of directions) {
-            collisionRaycaster.set(origin, direction);
-            const intersects = collisionRaycaster.intersectObjects(collisionObjects, true);
-            
-            // If ray intersects with any object closer than character radius
-            if (intersects.length > 0 && intersects[0].distance < collisionRadius) {
-                console.log(`Collision detected: object ${intersects[0].object.name}, distance ${intersects[0].distance}`);
-                return true; // Collision exists
-            }
-        }
+    // Interactable target is reached as soon as it is in range
+    if (navTarget && getInteractableDistance(navTarget) < navTarget.radius * NAV_INTERACT_RANGE) {
+        finishNavPath();
+        return target;
     }
     
-    // Check for intersection with bounding boxes of nearby objects
-    // for optimization purposes
-    for (let obj of collisionObjects) {
-        // Skip objects far away
-        if (newPosition.distanceTo(obj.position) > characterHeight + 2) continue;
-        
-        // Get bounding box of object
-        const objBox = new THREE.Box3().setFromObject(obj);
-        
-        // Check for intersection
-        if (tempBox.intersectsBox(objBox)) {
-            console.log(`Collision with box detected: object ${obj.name}`);
-            return true; // Collision exists
+    let waypoint = navPath[navPathIndex];
+    let dx = waypoint.x - character.position.x;
+    let dz = waypoint.z - character.position.z;
+    
+    while (dx * dx + dz * dz < NAV_WAYPOINT_RADIUS * NAV_WAYPOINT_RADIUS) {
+        navPathIndex++;
+        if (navPathIndex >= navPath.length) {
+            finishNavPath();
+            return target;
         }
+        waypoint = navPath[navPathIndex];
+        dx = waypoint.x - character.position.x;
+        dz = waypoint.z - character.position.z;
     }
     
-    return false; // No collisions
+    return target.set(dx, 0, dz).normalize();
 }
 
-// Function to check if character is on stairs
-function checkStairCollision(position) {
-    let result = {
-        onStair: false,
-        height: character.position.y
-    };
+// Function to end path walking, interacting with target if it is in range
+function finishNavPath() {
+    const interactable = navTarget;
+    cancelNavPath();
     
-    // If there are no stairs or character, return default result
-    if (!character || stairObjects.length === 0) {
-        return result;
+    if (interactable && interactable.isEligible(interactable) &&
+        getInteractableDistance(interactable) < interactable.radius) {
+        interactable.onInteract(interactable);
     }
+}
+
+// Function to cancel path walking when character stops moving forward (blocked by collider)
+function updateNavStuck(expectedDistance, movedDistance, deltaTime) {
+    if (!navPath) return;
     
-    console.log("Checking stairs. Number of stairs:", stairObjects.length);
-    for (let stair of stairObjects) {
-        console.log("Stair name:", stair.name, "Position:", stair.position.x, stair.position.y, stair.position.z);
+    if (movedDistance < expectedDistance * 0.2) {
+        navStuckTime += deltaTime;
+        if (navStuckTime > NAV_STUCK_TIME) {
+            console.log('Path walking stopped: character is stuck');
+            cancelNavPath();
+        }
+    } else {
+        navStuckTime = 0;
+    }
+}
+
+// Function to show pulsing ring at path destination
+function showDestinationMarker(position) {
+    if (!destinationMarker) {
+        destinationMarker = new THREE.Mesh(
+            new THREE.RingGeometry(0.25, 0.4, 32),
+            new THREE.MeshBasicMaterial({ color: 0xff80bf, transparent: true, opacity: 0.8, depthWrite: false })
+        );
+        destinationMarker.rotation.x = -Math.PI / 2;
+        destinationMarker.renderOrder = 1;
+        setBloomLayer(destinationMarker, true);
+        scene.add(destinationMarker);
     }
     
-    // Create several points for checking (under different parts of character)
-    const checkPoints = [
-        new THREE.Vector3(position.x, position.y + characterHeight * 0.1, position.z), // center
-        new THREE.Vector3(position.x + characterSize * 0.3, position.y + characterHeight * 0.1, position.z + characterSize * 0.3), // right front corner
-        new THREE.Vector3(position.x - characterSize * 0.3, position.y + characterHeight * 0.1, position.z + characterSize * 0.3), // left front corner
-        new THREE.Vector3(position.x + characterSize * 0.3, position.y + characterHeight * 0.1, position.z - characterSize * 0.3), // right back corner
-        new THREE.Vector3(position.x - characterSize * 0.3, position.y + characterHeight * 0.1, position.z - characterSize * 0.3), // left back corner
-    ];
+    destinationMarker.position.copy(position);
+    destinationMarker.position.y += 0.05;
+    destinationMarker.visible = !(recording && recording.hideHud);
     
-    const rayDirection = new THREE.Vector3(0, -1, 0);
+    if (!destinationMarker.userData.pulseTicker) {
+        destinationMarker.userData.pulseTicker = startTicker(() => {
+            const scale = 1 + 0.2 * Math.sin(simulationTime * 6);
+            destinationMarker.scale.set(scale, scale, scale);
+        });
+    }
+}
+
+// Function to hide destination marker
+function hideDestinationMarker() {
+    if (!destinationMarker) return;
     
-    // Maximum distance for checking stairs (increase for tall stairs)
-    const maxDistance = characterHeight * 5;
+    destinationMarker.visible = false;
+    if (destinationMarker.userData.pulseTicker) {
+        destinationMarker.userData.pulseTicker.cancel();
+        destinationMarker.userData.pulseTicker = null;
+    }
+}
+
+// Function to handle click in world: walk to clicked interactable or ground point
+// Returns true if click was used
+function handleClickToMove(intersects) {
+    if (!getViewStateConfig().movement || !navMesh) return false;
     
-    // Check all points
-    for (let i = 0; i < checkPoints.length; i++) {
-        const rayStart = checkPoints[i];
+    for (const intersect of intersects) {
+        const object = intersect.object;
         
-        // Create ray from current point downwards
-        const rayDown = new THREE.Raycaster(rayStart, rayDirection, 0, maxDistance);
+        // Character and hidden helpers don't stop the ray
+        if (!object.visible || object === destinationMarker || isDescendantOf(object, character)) continue;
         
-        console.log(`Ray ${i} starts at:`, rayStart.x, rayStart.y, rayStart.z);
-        
-        // Check for intersection only with stair objects
-        const intersects = rayDown.intersectObjects(stairObjects, true);
+        const interactable = findInteractableOfObject(object);
+        if (interactable) {
+            if (!interactable.isEligible(interactable)) return false;
+            return walkToInteractable(interactable);
+        }
         
-        if (intersects.length > 0) {
-            // Found stairs under character
-            const stairHit = intersects[0];
-            
-            console.log(`Ray ${i} hit stairs:`, stairHit.object.name, 'distance:', stairHit.distance, 'point:', stairHit.point.x, stairHit.point.y, stairHit.point.z);
-            
-            // Height of stairs at intersection point
-            const stairHeightAtPoint = stairHit.point.y;
-            
-            // Current height of character (bottom of his body)
-            const characterBase = character.position.y - characterHeight / 2;
-            
-            // Determine if we need to climb or descend
-            const heightDifference = stairHeightAtPoint - characterBase;
-            
-            console.log('Current character height (base):', characterBase);
-            console.log('Stair height at intersection:', stairHeightAtPoint);
-            console.log('Height difference:', heightDifference);
-            
-            // Check if height difference is too large
-            // Increase maximum allowable height difference
-            if (Math.abs(heightDifference) < characterHeight * 2.0) {
-                // For steeper stairs, increase climbing speed
-                const adjustedSpeed = Math.max(stairClimbSpeed, Math.abs(heightDifference) * 0.3);
-                
-                // Gradually change character height to stair height
-                const newHeight = characterBase + Math.sign(heightDifference) * Math.min(Math.abs(heightDifference), adjustedSpeed);
-                
-                console.log('New base height of character:', newHeight);
-                
-                result.onStair = true;
-                // Set character's center position to desired height
-                result.height = newHeight + characterHeight / 2;
-                
-                console.log('Total character height (center):', result.height);
-                
-                // If we found stairs, stop checking other points
-                return result;
-            } else {
-                console.log('Height difference too large, skipping adjustment.');
-            }
-        } else {
-            console.log(`Ray ${i} didn't find stairs`);
+        const tags = object.userData.villageTags;
+        if (tags && tags.walkable) {
+            return walkCharacterTo(intersect.point);
         }
+        
+        // Clicked wall or other solid object
+        if (tags && tags.collidable) return false;
     }
-    
-    console.log('Stairs not found under character');
-    return result;
+    return false;
+}
+
+// Function to find interactable registered for object or one of its ancestors
+function findInteractableOfObject(object) {
+    for (let node = object; node; node = node.parent) {
+        const interactable = interactables.find(entry => entry.object === node);
+        if (interactable) return interactable;
+    }
+    return null;
+}
+
+// Function to check if object is node itself or inside it
+function isDescendantOf(object, node) {
+    for (let current = object; current; current = current.parent) {
+        if (current === node) return true;
+    }
+    return false;
+}
+
+// Function to check if click ended a camera drag or landed on page UI instead of scene
+function isIgnoredClick(event) {
+    if (renderer && event.target !== renderer.domElement) return true;
+    return Math.hypot(event.clientX - pointerDownX, event.clientY - pointerDownY) > CLICK_DRAG_TOLERANCE;
 }
 
 // Portal animation
 function updatePortalEffect() {
-    if (portalLight) {
-        // Get current time
-        const time = Date.now() * 0.001;
+    if (portalLight && lightingState) {
+        // Get current simulation time
+        const time = simulationTime;
         
         // Gradual color change
         const hue = (time * 0.05) % 1;
@@ -1640,12 +5711,8 @@ function updatePortalEffect() {
         if (portalSpotLight) {
             portalSpotLight.color = color;
             
-            // Pulse intensity of light based on mode
-            if (isNightMode) {
-                portalSpotLight.intensity = 300 + Math.sin(time * 2) * 100;
-            } else {
-                portalSpotLight.intensity = 80 + Math.sin(time * 2) * 40;
-            }
+            // Pulse intensity of light around value of lighting profile
+            portalSpotLight.intensity = lightingState.portalIntensity + Math.sin(time * 2) * lightingState.portalPulse;
             
             // Slightly move light up and down for flickering effect
             portalSpotLight.position.y = portalLight.getWorldPosition(new THREE.Vector3()).y + Math.sin(time * 4) * 0.1;
@@ -1654,12 +5721,8 @@ function updatePortalEffect() {
         if (portalPointLight) {
             portalPointLight.color = color;
             
-            // Pulse intensity of secondary light based on mode
-            if (isNightMode) {
-                portalPointLight.intensity = 3 + Math.sin(time * 3) * 1.5;
-            } else {
-                portalPointLight.intensity = 1 + Math.sin(time * 3) * 0.5;
-            }
+            // Pulse intensity of secondary light around value of lighting profile
+            portalPointLight.intensity = lightingState.portalGlowIntensity + Math.sin(time * 3) * lightingState.portalGlowPulse;
             
             // Random small offset for more lively effect
             const noiseOffset = 0.03;
@@ -1672,44 +5735,198 @@ function updatePortalEffect() {
 
 // Animation function
 function animate() {
-    requestAnimationFrame(animate);
+    animationFrameId = requestAnimationFrame(animate);
+    
+    // Measure real time since previous frame
+    const now = performance.now() / 1000;
+    const frameTime = lastFrameTime === null ? 0 : Math.min(now - lastFrameTime, MAX_FRAME_TIME);
+    lastFrameTime = now;
     
     // Update camera control (if not viewing wanted board)
-    if (controls && !isViewingWantedBoard) controls.update();
+    if (controls && getViewStateConfig().cameraInput) controls.update();
+    
+    // Read gamepad before simulation uses its sticks
+    pollGamepad(frameTime);
     
-    // Update character movement (only if not viewing wanted board)
-    if (!isViewingWantedBoard) {
-        updateCharacterMovement();
+    // Run simulation in fixed steps, independent of monitor refresh rate
+    if (!isSimulationPaused) {
+        simulationAccumulator += frameTime;
+    }
+    while (simulationAccumulator >= SIMULATION_STEP) {
+        stepSimulation(SIMULATION_STEP);
+        simulationAccumulator -= SIMULATION_STEP;
+    }
+    while (pendingSimulationSteps > 0) {
+        stepSimulation(SIMULATION_STEP);
+        pendingSimulationSteps--;
     }
     
-    // Update portal effect
-    updatePortalEffect();
+    // Step quality down or up by frame rate (auto mode)
+    updateAutoQuality(frameTime);
     
-    // Update camera position relative to character (only if not viewing wanted board)
-    if (!isViewingWantedBoard) {
-        updateCameraPosition();
-    }
+    // Show touch buttons that fit current view mode
+    updateTouchControls();
     
-    // Check proximity to portals and hub (only if not viewing wanted board)
-    if (!isViewingWantedBoard) {
-        checkPortalsProximity();
-        checkInfoSignsProximity();
-        checkHubProximity();
-    }
+    // Advance tweens and per-frame effects
+    updateScheduler(frameTime);
+    
+    // Show character between last two simulation steps; paused simulation shows its last step (F9 steps are seen)
+    const interpolating = applyCharacterInterpolation(isSimulationPaused ? 1 : simulationAccumulator / SIMULATION_STEP);
+    
+    // Fly free camera in photo mode
+    updatePhotoCamera(frameTime);
+    
+    // Play crab clips or procedural animation (frozen while simulation is paused)
+    updateCharacterAnimation(isSimulationPaused ? 0 : frameTime);
+    
+    // Follow rendered character with camera (view mode may own camera), fade what blocks the view
+    updateCameraPosition(frameTime);
+    updateCameraOcclusion(frameTime);
+    
+    // Keep sky around camera, move weather and ambient particles
+    updateSky(frameTime);
+    updateParticles(frameTime);
     
     // Render selective Bloom effect (optimized)
     renderBloom();
     
     // Final rendering
     finalComposer.render();
+    
+    // Return character to simulated state
+    if (interpolating) {
+        character.position.copy(_renderCharacterPosition);
+        character.rotation.y = renderCharacterRotation;
+    }
+}
+
+// Function to advance simulation by one fixed step
+function stepSimulation(deltaTime) {
+    // Remember state before step for render interpolation
+    if (character) {
+        interpolatedCharacter = character;
+        previousCharacterPosition.copy(character.position);
+        previousCharacterRotation = character.rotation.y;
+    }
+    
+    simulationTime += deltaTime;
+    
+    // Update character movement (only if view mode allows walking)
+    if (getViewStateConfig().movement) {
+        updateCharacterMovement(deltaTime);
+    }
+    
+    // Remember how fast character walked and turned, animation follows it
+    if (character) {
+        const moved = Math.hypot(character.position.x - previousCharacterPosition.x,
+                                 character.position.z - previousCharacterPosition.z);
+        let turned = character.rotation.y - previousCharacterRotation;
+        if (turned > Math.PI) turned -= 2 * Math.PI;
+        if (turned < -Math.PI) turned += 2 * Math.PI;
+        characterMotion.speed = moved / deltaTime;
+        characterMotion.turnRate = turned / deltaTime;
+    }
+    
+    // Update portal effect
+    updatePortalEffect();
+    
+    // Check proximity to interactable objects (only if view mode shows prompts)
+    if (getViewStateConfig().prompts) {
+        updateInteractables();
+        updateApproachPrompts();
+    }
+}
+
+// Function to place character between previous and current simulation state for rendering
+function applyCharacterInterpolation(alpha) {
+    // Character replaced after last step (model loaded) - nothing to interpolate from
+    if (!character || interpolatedCharacter !== character) return false;
+    
+    _renderCharacterPosition.copy(character.position);
+    renderCharacterRotation = character.rotation.y;
+    
+    // Rotation is interpolated along the shortest arc
+    let rotationStep = renderCharacterRotation - previousCharacterRotation;
+    if (rotationStep > Math.PI) rotationStep -= 2 * Math.PI;
+    if (rotationStep < -Math.PI) rotationStep += 2 * Math.PI;
+    
+    character.position.lerpVectors(previousCharacterPosition, _renderCharacterPosition, alpha);
+    character.rotation.y = previousCharacterRotation + rotationStep * alpha;
+    return true;
+}
+
+// Function to pause or resume simulation (rendering continues)
+function setSimulationPaused(paused) {
+    isSimulationPaused = paused;
+    simulationAccumulator = 0;
+    console.log(`Simulation ${paused ? 'paused' : 'resumed'}`);
+}
+
+// Function to advance paused simulation by exactly one step
+function stepSimulationOnce() {
+    if (!isSimulationPaused) return;
+    pendingSimulationSteps++;
 }
 
 // Render with Bloom effect
 function renderBloom() {
-    // First, render only objects that should glow
-    scene.traverse(darkenNonBloomed);
+    // Preset without glow skips glow render (mix pass is off too)
+    if (!mixPass.enabled) return;
+    
+    // Glow camera follows main camera, but sees only glow layer (children such as audio listener are not copied)
+    bloomCamera.copy(camera, false);
+    bloomCamera.layers.set(BLOOM_SCENE);
+    
+    if (isBloomCacheDirty) {
+        bloomSkippedNodes = [];
+        if (!collectBloomSkippedNodes(scene)) {
+            bloomSkippedNodes = scene.children.slice();
+        }
+        isBloomCacheDirty = false;
+    }
+    
+    const autoClear = renderer.autoClear;
+    const clearAlpha = renderer.getClearAlpha();
+    renderer.getClearColor(_savedClearColor);
+    
+    // Shadow maps are built once per frame by final pass from all casters, glow renders reuse last ones
+    // (glow camera would rebuild them from glow layer casters only, prepass from visible meshes only)
+    const shadowAutoUpdate = renderer.shadowMap.autoUpdate;
+    const shadowNeedsUpdate = renderer.shadowMap.needsUpdate;
+    renderer.shadowMap.autoUpdate = false;
+    renderer.shadowMap.needsUpdate = false;
+    
+    // Only glowing objects feed glow, so target is cleared to black and background is not drawn
+    const background = scene.background;
+    scene.background = null;
+    renderer.autoClear = false;
+    renderer.setRenderTarget(bloomComposer.readBuffer);
+    renderer.setClearColor(0x000000, 1);
+    renderer.clear();
+    
+    // Depth of whole scene hides glow behind walls; see-through meshes and faded occluders don't hide it
+    const hidden = bloomPrepassHidden.concat(Array.from(fadedMeshes.keys())).filter(mesh => mesh.visible);
+    hidden.forEach(mesh => { mesh.visible = false; });
+    scene.overrideMaterial = bloomDepthMaterial;
+    renderer.render(scene, camera);
+    scene.overrideMaterial = null;
+    hidden.forEach(mesh => { mesh.visible = true; });
+    
+    // Glowing objects with their own materials, then blur; subtrees without them are not walked
+    // (matrices are already updated by prepass)
+    const skipped = bloomSkippedNodes.filter(node => node.visible && node.parent);
+    skipped.forEach(node => { node.visible = false; });
+    scene.matrixWorldAutoUpdate = false;
+    renderer.render(scene, bloomCamera);
+    scene.matrixWorldAutoUpdate = true;
+    skipped.forEach(node => { node.visible = true; });
+    
+    scene.background = background;
+    renderer.autoClear = autoClear;
+    renderer.setClearColor(_savedClearColor, clearAlpha);
+    renderer.shadowMap.autoUpdate = shadowAutoUpdate;
+    renderer.shadowMap.needsUpdate = shadowNeedsUpdate;
     bloomComposer.render();
-    scene.traverse(restoreMaterial);
 }
 
 // Function to create portal information
@@ -1724,52 +5941,265 @@ function createPortalInfo(mesh, position, title, content) {
     
     // Mark mesh as portal and attach index in portals array
     mesh.userData.isPortal = true;
-    mesh.userData.portalId = portals.length;
+    mesh.userData.portalIndex = portals.length;
     
     // Add portal to array
     portals.push(portal);
+    
+    // Portals have lowest priority among nearby objects, except hub trigger
+    registerInteractable({
+        id: `portal:${mesh.name}`,
+        type: 'portal',
+        object: mesh,
+        position: position,
+        planar: true,
+        priority: 1,
+        prompt: 'Press {interact} to interact with portal',
+        hintClass: 'portal-hint',
+        onInteract: () => togglePortalInfo(portal)
+    });
 }
 
-// Function to get portal content based on index
-function getPortalContent(index) {
-    // Create block with unique image for each portal
-    const getImageBlock = (portalIndex) => {
-        // Use different images for each portal
-        const imageName = `portal${portalIndex + 1}.png`;
-        return `
-            <div style="text-align: center; margin-bottom: 15px;">
-                <img src="imgs/${imageName}" alt="Portal Image ${portalIndex + 1}" style="max-width: 200px; border-radius: 10px; border: 2px solid #ff80bf; box-shadow: 0 0 10px #ff80bf;">
-            </div>
-        `;
+// Function to load the village content manifest
+function loadVillageManifest() {
+    return fetch(MANIFEST_URL, { cache: 'no-cache' })
+        .then((response) => {
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            return response.json();
+        })
+        .then((manifest) => {
+            const result = validateVillageManifest(manifest);
+            result.warnings.forEach(warning => console.warn(`Manifest: ${warning}`));
+            villageManifest = result.manifest;
+            console.log('Loaded village manifest, version:', villageManifest.version);
+        })
+        .catch((error) => {
+            // Keep the empty manifest, so the world still loads with default texts
+            console.error('Error loading village manifest:', error);
+        });
+}
+
+// Function to validate manifest structure and collect readable warnings
+function validateVillageManifest(manifest) {
+    const warnings = [];
+    const cleaned = { version: MANIFEST_VERSION };
+    MANIFEST_SECTIONS.forEach(section => { cleaned[section] = {}; });
+    
+    if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+        warnings.push('manifest is not a JSON object, ignoring it');
+        return { manifest: cleaned, warnings: warnings };
+    }
+    
+    // Check version
+    if (manifest.version === undefined) {
+        warnings.push(`no "version" field, assuming version ${MANIFEST_VERSION}`);
+    } else if (typeof manifest.version !== 'number') {
+        warnings.push(`"version" should be a number, got ${JSON.stringify(manifest.version)}`);
+    } else {
+        cleaned.version = manifest.version;
+        if (manifest.version > MANIFEST_VERSION) {
+            warnings.push(`version ${manifest.version} is newer than supported version ${MANIFEST_VERSION}, unknown fields are ignored`);
+        }
+    }
+    
+    // Unknown top-level keys are most likely typos in section names
+    Object.keys(manifest).forEach(key => {
+        if (key !== 'version' && !MANIFEST_SECTIONS.includes(key)) {
+            warnings.push(`unknown section "${key}" (expected one of: ${MANIFEST_SECTIONS.join(', ')})`);
+        }
+    });
+    
+    // Fields allowed in entries of each section
+    const sectionFields = {
+        portals: ['title', 'body', 'image', 'imageAlt', 'links'],
+        signs: ['title', 'body', 'image', 'imageAlt', 'links'],
+        wanted: ['url', 'title']
     };
     
-    const contents = [
-        `
-         <p>The starting role!</p>
-         <p>Access to verified channels and events. Can be given out by L2 role holders.</p>`,
-        
-        `${getImageBlock(1)}
-         <p>Given to genuine members who show interest and passionate towards Succinct.</p>
-         <p>Everyone in PROVED UR LUV is someone we know will come back everyday and make this community stronger. Members of this role are all selfless individuals who are willing to help Succinct grow in anyway possible.</p>`,
+    MANIFEST_SECTIONS.forEach(section => {
+        const entries = manifest[section];
+        if (entries === undefined) {
+            warnings.push(`section "${section}" is missing`);
+            return;
+        }
+        if (!entries || typeof entries !== 'object' || Array.isArray(entries)) {
+            warnings.push(`section "${section}" should map scene node names to entries`);
+            return;
+        }
         
-        `${getImageBlock(2)}
-         <p> Given to those who create high-quality artworks and creative works for Succinct and its community.</p>`,
+        for (let [nodeName, entry] of Object.entries(entries)) {
+            const where = `${section}.${nodeName}`;
+            if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+                warnings.push(`${where} should be an object, skipping it`);
+                continue;
+            }
+            
+            Object.keys(entry).forEach(field => {
+                if (!sectionFields[section].includes(field)) {
+                    warnings.push(`${where} has unknown field "${field}"`);
+                }
+            });
+            
+            // Check required and typed fields, fields of wrong type are dropped so content renders without them
+            entry = Object.assign({}, entry);
+            if (section === 'wanted') {
+                if (typeof entry.url !== 'string' || entry.url === '') {
+                    warnings.push(`${where} needs a "url" string, skipping it`);
+                    continue;
+                }
+            } else {
+                if (typeof entry.title !== 'string' || entry.title === '') {
+                    warnings.push(`${where} needs a "title" string, skipping it`);
+                    continue;
+                }
+                if (entry.body !== undefined && typeof entry.body !== 'string' &&
+                    !(Array.isArray(entry.body) && entry.body.every(part => typeof part === 'string'))) {
+                    warnings.push(`${where}.body should be a string or an array of strings, ignoring it`);
+                    delete entry.body;
+                }
+                if (entry.image !== undefined && typeof entry.image !== 'string') {
+                    warnings.push(`${where}.image should be an image path, ignoring it`);
+                    delete entry.image;
+                }
+                if (entry.imageAlt !== undefined && typeof entry.imageAlt !== 'string') {
+                    warnings.push(`${where}.imageAlt should be a string, ignoring it`);
+                    delete entry.imageAlt;
+                }
+                if (entry.links !== undefined) {
+                    const isValidLink = link => Boolean(link) && typeof link.label === 'string' && typeof link.url === 'string';
+                    if (!Array.isArray(entry.links)) {
+                        warnings.push(`${where}.links should be a list of { "label", "url" } objects, ignoring it`);
+                        delete entry.links;
+                    } else if (!entry.links.every(isValidLink)) {
+                        warnings.push(`${where}.links should be a list of { "label", "url" } objects, skipping invalid ones`);
+                        entry.links = entry.links.filter(isValidLink);
+                    }
+                }
+            }
+            
+            cleaned[section][nodeName] = entry;
+        }
+    });
+    
+    return { manifest: cleaned, warnings: warnings };
+}
+
+// Function to find manifest entry for a scene node
+// Number (1-based, from "portalId" property) picks entry by position when node name has no entry
+// Portals without own entry take the next unclaimed one, signs share the first sign entry
+function resolveManifestEntry(section, nodeName, number) {
+    const entries = villageManifest[section] || {};
+    
+    if (entries[nodeName]) {
+        claimedManifestEntries[section].add(nodeName);
+        return entries[nodeName];
+    }
+    
+    if (number !== undefined) {
+        const numberedKey = Object.keys(entries)[number - 1];
+        if (numberedKey) {
+            claimedManifestEntries[section].add(numberedKey);
+            return entries[numberedKey];
+        }
+        console.warn(`Manifest: ${section} has no entry number ${number} for scene node "${nodeName}"`);
+    }
+    
+    let fallbackKey = null;
+    if (section === 'portals') {
+        fallbackKey = Object.keys(entries).find(key => !claimedManifestEntries.portals.has(key)) || null;
+    } else if (section === 'signs') {
+        fallbackKey = Object.keys(entries)[0] || null;
+    }
+    
+    unmatchedManifestNodes[section].push({ name: nodeName, fallbackKey: fallbackKey });
+    
+    if (fallbackKey) {
+        claimedManifestEntries[section].add(fallbackKey);
+        return entries[fallbackKey];
+    }
+    return null;
+}
+
+// Function to report missing and extra manifest entries after scene is loaded
+function reportManifestCoverage() {
+    MANIFEST_SECTIONS.forEach(section => {
+        unmatchedManifestNodes[section].forEach(node => {
+            let fallback = node.fallbackKey ? `using entry "${node.fallbackKey}" instead` : 'using default content';
+            if (!node.fallbackKey && section === 'portals' && Object.keys(villageManifest.portals).length > 0) {
+                fallback = 'reusing entries in turn';
+            }
+            console.warn(`Manifest: no ${section} entry for scene node "${node.name}", ${fallback}`);
+        });
         
-        `${getImageBlock(3)}
-         <p>Given to those who have consistently proved their love for Succinct via participation, activeness, helpfulness, supporting the team's and community contributor posts on X, and are recognized community figures of our community. </p>`,   
+        Object.keys(villageManifest[section] || {}).forEach(key => {
+            if (!claimedManifestEntries[section].has(key)) {
+                console.warn(`Manifest: ${section} entry "${key}" does not match any scene node`);
+            }
+        });
+    });
+}
+
+// Function to get default entry for a portal missing from the manifest
+function getDefaultPortalEntry(index) {
+    // Extra portals reuse manifest entries in turn, like numbered contents did before the manifest
+    const entries = Object.values(villageManifest.portals || {});
+    if (entries.length > 0) {
+        return entries[index % entries.length];
+    }
+    
+    return {
+        title: `Portal ${index + 1}`,
+        body: [
+            `Information portal #${index + 1}`,
+            'Explore the world and find other portals for additional information.'
+        ]
+    };
+}
 
-        `${getImageBlock(4)}
-         <p> Developers who build applications for Succinct or use SP1 and help developers in the community.</p>`,
+// Function to get URL of a wanted poster from the manifest
+function getWantedUrl(nodeName) {
+    const entry = resolveManifestEntry('wanted', nodeName);
+    return entry ? entry.url : undefined;
+}
 
-        `${getImageBlock(5)}
-         <p> Awarded to select Prover members who consistently uphold top-quality contributions and discussions.</p>`
-    ];
+// Function to build panel HTML from a manifest entry
+function renderManifestContent(entry) {
+    let html = '';
+    
+    if (entry.image) {
+        html += `
+            <div style="text-align: center; margin-bottom: 15px;">
+                <img src="${escapeHtmlAttribute(entry.image)}" alt="${escapeHtmlAttribute(entry.imageAlt || entry.title)}" style="max-width: 200px; border-radius: 10px; border: 2px solid #ff80bf; box-shadow: 0 0 10px #ff80bf;">
+            </div>
+        `;
+    }
+    
+    // Body is either ready HTML or a list of paragraphs
+    if (Array.isArray(entry.body)) {
+        html += entry.body.map(paragraph => `<p>${paragraph}</p>`).join('');
+    } else if (typeof entry.body === 'string') {
+        html += entry.body;
+    }
+    
+    if (Array.isArray(entry.links) && entry.links.length > 0) {
+        const links = entry.links.map(link =>
+            `<a href="${escapeHtmlAttribute(link.url)}" target="_blank" style="color: #ff80bf; text-decoration: none; font-weight: bold; display: inline-block; padding: 8px 15px; border: 1px solid #ff80bf; border-radius: 5px; box-shadow: 0 0 5px #ff80bf;">${link.label}</a>`
+        ).join('');
+        html += `<div style="margin-top: 20px; display: flex; justify-content: center; gap: 20px;">${links}</div>`;
+    }
     
-    // If content doesn't exist for given index, return default with image
-    return contents[index % contents.length] || 
-        `${getImageBlock(index)}
-         <p>Information portal #${index + 1}</p>
-         <p>Explore the world and find other portals for additional information.</p>`;
+    return html;
+}
+
+// Function to make text safe inside quoted HTML attribute
+function escapeHtmlAttribute(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/"/g, '&quot;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
 }
 
 // Function to toggle information display for portal
@@ -1777,23 +6207,26 @@ function togglePortalInfo(portal) {
     if (portal.active) {
         // If portal is already active, close information panel
         closeInfoPanel();
-        portal.active = false;
-        activePortal = null;
     } else {
         // Otherwise, open information panel
         showInfoPanel(portal);
-        portal.active = true;
     }
 }
 
 // Function to display information panel
 function showInfoPanel(item) {
-    // Close previous panel if it's open
-    if (infoPanel) {
-        closeInfoPanel();
+    return requestViewState('panelOpen', item);
+}
+
+// Function to close information panel
+function closeInfoPanel() {
+    if (viewState.name === 'panelOpen') {
+        requestViewState('exploring');
     }
-    
+}
 
+// Function to create information panel element (panelOpen entry hook)
+function createInfoPanel(item) {
     try {
         if (portalSound && !portalSound.isPlaying) {
             portalSound.play();
@@ -1821,87 +6254,146 @@ function showInfoPanel(item) {
     const closeBtn = infoPanel.querySelector('.close-btn');
     closeBtn.addEventListener('click', () => {
         closeInfoPanel();
-        item.active = false;
-
-        if (item.mesh.userData.isPortal) {
-            activePortal = null;
-        } else if (item.mesh.userData.isInfoSign) {
-            activeInfoSign = null;
-        }
     });
 }
 
-
-function closeInfoPanel() {
+// Function to remove information panel element (panelOpen exit hook)
+function removeInfoPanel() {
     if (infoPanel && infoPanel.parentNode) {
         infoPanel.parentNode.removeChild(infoPanel);
-        infoPanel = null;
     }
+    infoPanel = null;
 }
 
 
-function showPortalHint() {
-
-    let hint = document.querySelector('.portal-hint');
+// Function to register an interactable object
+// Options: id, type, object, position, radius, priority, prompt, hintClass, planar, isEligible, onInteract
+function registerInteractable(options) {
+    const interactable = {
+        id: options.id,
+        type: options.type,
+        object: options.object || null,
+        position: options.position, // World position, Vector3
+        radius: options.radius !== undefined ? options.radius : 3, // Interaction distance
+        priority: options.priority || 0, // Higher priority wins when several objects are in range
+        prompt: options.prompt || 'Press {interact} to interact',
+        hintClass: options.hintClass || 'portal-hint',
+        planar: options.planar || false, // Ignore height difference when measuring distance
+        isEligible: options.isEligible || (() => true),
+        onInteract: options.onInteract
+    };
     
+    interactables.push(interactable);
+    return interactable;
+}
 
-    if (!hint) {
-        hint = document.createElement('div');
-        hint.className = 'portal-hint';
-        hint.textContent = 'Press E to interact with portal';
-        document.body.appendChild(hint);
+// Function to remove an interactable object from registry
+function unregisterInteractable(interactable) {
+    interactables = interactables.filter(item => item !== interactable);
+    
+    if (activeInteractable === interactable) {
+        setActiveInteractable(null);
     }
 }
 
-
-function hidePortalHint() {
-    const hint = document.querySelector('.portal-hint');
-    if (hint) {
-        hint.parentNode.removeChild(hint);
+// Function to get distance from character to interactable
+function getInteractableDistance(interactable) {
+    if (interactable.planar) {
+        const dx = character.position.x - interactable.position.x;
+        const dz = character.position.z - interactable.position.z;
+        return Math.sqrt(dx * dx + dz * dz);
     }
+    return character.position.distanceTo(interactable.position);
 }
 
-function checkPortalsProximity() {
+// Function to select interactable for E: highest priority in range, then nearest
+function updateInteractables() {
     if (!character) return;
     
-    let nearPortal = null;
-    let minDistance = 3; 
+    let best = null;
+    let bestDistance = Infinity;
+    
+    for (const interactable of interactables) {
+        if (!interactable.isEligible(interactable)) continue;
+        
+        const distance = getInteractableDistance(interactable);
+        if (distance >= interactable.radius) continue;
+        
+        if (!best || interactable.priority > best.priority ||
+            (interactable.priority === best.priority && distance < bestDistance)) {
+            best = interactable;
+            bestDistance = distance;
+        }
+    }
     
+    setActiveInteractable(best);
+}
 
-    for (const portal of portals) {
-        if (portal.mesh && portal.position) {
-            const distance = character.position.distanceTo(
-                new THREE.Vector3(
-                    portal.position.x,
-                    character.position.y,
-                    portal.position.z
-                )
-            );
-            
+// Function to change active interactable and its prompt
+function setActiveInteractable(interactable) {
+    if (interactable === activeInteractable) return;
+    
+    activeInteractable = interactable;
+    
+    if (!interactable) {
+        if (interactPrompt) {
+            interactPrompt.remove();
+            interactPrompt = null;
+        }
+        return;
+    }
+    
+    if (!interactPrompt) {
+        interactPrompt = document.createElement('div');
+        document.body.appendChild(interactPrompt);
+    }
+    interactPrompt.className = interactable.hintClass;
+    setPromptText(interactPrompt, interactable.prompt);
+}
 
-            if (distance < minDistance) {
-                nearPortal = portal;
-                minDistance = distance;
+// Function to show prompt of nearest approach-only behavior while nothing is selected for E
+function updateApproachPrompts() {
+    let nearest = null;
+    let nearestDistance = Infinity;
+    
+    if (character && !activeInteractable) {
+        for (const approach of approachPrompts) {
+            const distance = character.position.distanceTo(approach.position);
+            if (distance < approach.radius && distance < nearestDistance) {
+                nearest = approach;
+                nearestDistance = distance;
             }
         }
     }
     
+    setActiveApproachPrompt(nearest);
+}
 
-    if (nearPortal !== activePortal) {
-        if (nearPortal) {
-
-            showPortalHint();
-            activePortal = nearPortal;
-        } else {
-
-            hidePortalHint();
-            activePortal = null;
+// Function to change shown approach prompt
+function setActiveApproachPrompt(approach) {
+    if (approach === activeApproachPrompt) return;
+    
+    activeApproachPrompt = approach;
+    
+    if (!approach) {
+        if (approachHint) {
+            approachHint.remove();
+            approachHint = null;
         }
+        return;
+    }
+    
+    if (!approachHint) {
+        approachHint = document.createElement('div');
+        approachHint.className = 'portal-hint';
+        document.body.appendChild(approachHint);
     }
+    setPromptText(approachHint, approach.prompt);
 }
 
 function addInfoPanelStyles() {
     const style = document.createElement('style');
+    style.className = 'village-style';
     style.textContent = `
         .info-panel {
             position: fixed;
@@ -2035,1192 +6527,2381 @@ function addInfoPanelStyles() {
             border: 1px solid #ff99cc;
             box-shadow: 0 0 10px rgba(255, 153, 204, 0.5);
         }
-        .camera-lock-message {
-            position: fixed;
-            top: 20px;
-            left: 50%;
-            transform: translateX(-50%);
-            background-color: rgba(0, 0, 0, 0.7);
-            color: white;
-            padding: 8px 16px;
-            border-radius: 4px;
-            font-family: Arial, sans-serif;
-            font-size: 14px;
-            z-index: 1000;
-            border: 1px solid #ff80bf;
-            opacity: 0;
-            transition: opacity 0.5s ease;
+        .camera-lock-message {
+            position: fixed;
+            top: 20px;
+            left: 50%;
+            transform: translateX(-50%);
+            background-color: rgba(0, 0, 0, 0.7);
+            color: white;
+            padding: 8px 16px;
+            border-radius: 4px;
+            font-family: Arial, sans-serif;
+            font-size: 14px;
+            z-index: 1000;
+            border: 1px solid #ff80bf;
+            opacity: 0;
+            transition: opacity 0.5s ease;
+        }
+        .camera-lock-message.visible {
+            opacity: 1;
+        }
+    `;
+    document.head.appendChild(style);
+}
+
+
+
+
+function createTorchLight(position, torchName) {
+ 
+    const torchLight = new THREE.PointLight(0xffcc44, 3, 15);
+    torchLight.position.copy(position);
+    torchLight.position.y += 0.3;
+    
+
+    torchLight.castShadow = true;
+    torchLight.shadow.mapSize.width = 512;
+    torchLight.shadow.mapSize.height = 512;
+    torchLight.shadow.camera.near = 0.5;
+    torchLight.shadow.camera.far = 15;
+    torchLight.shadow.bias = -0.0005;
+    torchLight.shadow.radius = 4; 
+    
+
+    scene.add(torchLight);
+    
+ 
+    const ambientTorchLight = new THREE.PointLight(0xffbb33, 0.8, 3);
+    ambientTorchLight.position.copy(position);
+    scene.add(ambientTorchLight);
+    
+
+    torchLight.userData.ambientLight = ambientTorchLight;
+    
+
+    torchLight.userData.torchName = torchName;
+    
+    const flickerIntensity = { min: 2.5, max: 3.5 }; 
+    const flickerAmbientIntensity = { min: 0.6, max: 1.0 }; 
+  
+    const seed = torchName ? torchName.charCodeAt(torchName.length - 1) : Math.random() * 10;
+    
+    torchLight.userData.flickerTicker = startTicker(() => {
+        if (!torchLight.visible) return;
+        
+        const time = simulationTime; 
+        const brightness = lightingState ? lightingState.torches : 1; // Part of full brightness in lighting profile
+        
+        torchLight.intensity = brightness * (flickerIntensity.min + 
+            (Math.sin(time * 3 + seed) * 0.5 + 0.5) * (flickerIntensity.max - flickerIntensity.min));
+        
+        ambientTorchLight.intensity = brightness * (flickerAmbientIntensity.min + 
+            (Math.sin(time * 2.5 + seed + 1) * 0.5 + 0.5) * (flickerAmbientIntensity.max - flickerAmbientIntensity.min));
+        
+        const posOffset = 0.02;
+        torchLight.position.x = position.x + Math.sin(time * 7 + seed) * posOffset;
+        torchLight.position.y = position.y + 0.3 + Math.cos(time * 5 + seed) * posOffset;
+        torchLight.position.z = position.z + Math.sin(time * 3 + seed) * posOffset;
+    });
+    
+
+    torchLights.push({
+        mainLight: torchLight,
+        ambientLight: ambientTorchLight,
+        name: torchName,
+        position: position.clone()
+    });
+    
+    return torchLight;
+}
+
+
+function makeTorchGlow(torchMesh) {
+
+    if (torchMesh.material) {
+        
+        restoreMeshFade(torchMesh);
+        torchMesh.userData.originalMaterial = torchMesh.material.clone();
+        
+        makeEmissiveGlow(torchMesh, {
+            color: 0xffcc00, 
+            emissive: 0xff7700,
+            emissiveIntensity: 1.5,
+            map: torchMesh.material.map
+        });
+    }
+}
+
+// Function to replace mesh material with glowing one and add it to Bloom layer
+function makeEmissiveGlow(mesh, options) {
+    const glowMaterial = new THREE.MeshStandardMaterial({
+        color: options.color, 
+        emissive: options.emissive,
+        emissiveIntensity: options.emissiveIntensity, 
+        metalness: 0.0,
+        roughness: 0.4
+    });
+    
+    if (options.map) {
+        glowMaterial.map = options.map;
+    }
+    
+    mesh.material = glowMaterial;
+    setBloomLayer(mesh, true);
+    
+    return glowMaterial;
+}
+
+
+
+function createSwitchLight(position) {
+
+    switchLight = new THREE.PointLight(0xffffff, 15, 10);
+    switchLight.position.copy(position);
+    switchLight.position.y += 0.2; 
+    
+
+    switchLight.castShadow = true;
+    switchLight.shadow.mapSize.width = 512;
+    switchLight.shadow.mapSize.height = 512;
+    switchLight.shadow.camera.near = 0.5;
+    switchLight.shadow.camera.far = 10;
+    
+
+    scene.add(switchLight);
+    
+
+    if (!isNightMode) {
+        switchLight.visible = false;
+    }
+}
+
+function makeSwichGlow(switchMesh) {
+    if (switchMesh.material) {
+        restoreMeshFade(switchMesh);
+
+        const originalMap = switchMesh.material.map;
+        
+
+        const glowMaterial = new THREE.MeshStandardMaterial({
+            color: 0xffffff,
+            emissive: 0xffffff,
+            emissiveIntensity: 2.0, 
+            metalness: 0.1,
+            roughness: 0.1
+        });
+        
+
+        if (originalMap) {
+            glowMaterial.map = originalMap;
+        }
+            
+
+        switchMesh.userData.originalMaterial = switchMesh.material.clone();
+        
+        switchMesh.material = glowMaterial;
+        
+        setBloomLayer(switchMesh, true);
+    }
+}
+
+
+function setupCameraControls() {
+
+    listen(window, 'wheel', onMouseWheel);
+    
+
+    listen(window, 'mousedown', onMouseDown);
+    listen(window, 'mousemove', onMouseMove);
+    listen(window, 'mouseup', onMouseUp);
+
+    listen(window, 'touchstart', onTouchStart);
+    listen(window, 'touchmove', onTouchMove);
+    listen(window, 'touchend', onTouchEnd);
+    listen(window, 'touchcancel', onTouchEnd);
+}
+
+
+function onMouseWheel(event) {
+
+    if (!getViewStateConfig().cameraInput) {
+        return;
+    }
+
+    // Wheel changes field of view of photo camera
+    if (viewState.name === 'photoMode') {
+        setPhotoFov(photoSettings.fov + Math.sign(event.deltaY) * 2);
+        return;
+    }
+
+    const zoomDelta = Math.sign(event.deltaY) * 2;
+    
+    currentCameraDistance = Math.max(
+        cameraMinDistance,
+        Math.min(cameraMaxDistance, currentCameraDistance + zoomDelta)
+    );
+    
+
+    updateCameraPosition();
+}
+
+
+function onMouseDown(event) {
+    setGamepadActive(false);
+    pointerDownX = event.clientX;
+    pointerDownY = event.clientY;
+
+    if (!getViewStateConfig().cameraInput) {
+        return;
+    }
+    
+    if (event.button === 0) { 
+        isDragging = true;
+        lastMouseX = event.clientX;
+        lastMouseY = event.clientY;
+    }
+}
+
+
+function onMouseMove(event) {
+    // Если пользователь зажал кнопку мыши, обрабатываем движение камеры
+    if (isDragging) {
+        const deltaX = event.clientX - lastMouseX;
+        const deltaY = event.clientY - lastMouseY;
+        
+        updateCameraOffset(deltaX, deltaY);
+        
+        lastMouseX = event.clientX;
+        lastMouseY = event.clientY;
+        return;
+    }
+    
+    // Если мышь не зажата, обрабатываем hover эффект
+    mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
+    mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
+    
+    raycaster.setFromCamera(mouse, camera);
+    
+    // Reset hover effect for all wanted objects
+    wantedObjects.forEach(obj => {
+        if (obj.mesh && obj.mesh.material) {
+            obj.mesh.material.emissiveIntensity = 0;
+            obj.mesh.material.emissive.setHex(0x000000);
+            setBloomLayer(obj.mesh, false);
+        }
+    });
+    
+    // Calculate objects intersecting the picking ray
+    const intersects = raycaster.intersectObjects(scene.children, true);
+    
+    // Check if we're hovering over a wanted object
+    for (let i = 0; i < intersects.length; i++) {
+        const intersect = intersects[i];
+        if (intersect.object.userData && intersect.object.userData.isWantedObject) {
+            const wantedId = intersect.object.userData.wantedId;
+            if (wantedObjects[wantedId] && wantedObjects[wantedId].mesh && wantedObjects[wantedId].mesh.material) {
+                wantedObjects[wantedId].mesh.material.emissive.setHex(0xff80bf);
+                wantedObjects[wantedId].mesh.material.emissiveIntensity = 1.0;
+                setBloomLayer(wantedObjects[wantedId].mesh, true);
+                break;
+            }
+        }
+    }
+}
+
+// Mouse click handler
+function onMouseClick(event) {
+    // Если пользователь перетаскивал камеру, не обрабатываем клик
+    if (isIgnoredClick(event)) return;
+    
+    // Calculate mouse position in normalized device coordinates
+    mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
+    mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
+    
+    // Update the picking ray with the camera and mouse position
+    raycaster.setFromCamera(mouse, camera);
+    
+    // Calculate objects intersecting the picking ray
+    const intersects = raycaster.intersectObjects(scene.children, true);
+    
+    // Check if we clicked on a wanted object or object with click behavior
+    for (let i = 0; i < intersects.length; i++) {
+        const intersect = intersects[i];
+        
+        const clickBehavior = findClickBehavior(intersect.object);
+        if (clickBehavior) {
+            runBehaviorActions(clickBehavior, clickBehavior.behaviors.onClick);
+            return;
         }
-        .camera-lock-message.visible {
-            opacity: 1;
+        
+        if (intersect.object.userData && intersect.object.userData.isWantedObject) {
+            const wantedId = intersect.object.userData.wantedId;
+            if (wantedObjects[wantedId] && wantedObjects[wantedId].url) {
+                emitVillageEvent('posterClicked', { id: wantedId, url: wantedObjects[wantedId].url });
+                window.open(wantedObjects[wantedId].url, '_blank');
+                return;
+            }
         }
-    `;
-    document.head.appendChild(style);
+    }
+    
+    // Otherwise walk to clicked object or point (portals, signs and board are used on arrival)
+    handleClickToMove(intersects);
 }
 
 
+function onMouseUp() {
+    isDragging = false;
+}
 
 
-function createTorchLight(position, torchName) {
- 
-    const torchLight = new THREE.PointLight(0xffcc44, 3, 15);
-    torchLight.position.copy(position);
-    torchLight.position.y += 0.3;
+function onTouchStart(event) {
+    // Joystick and buttons handle their own touches
+    if (event.target !== renderer.domElement) return;
     
+    const touches = event.targetTouches;
+    if (touches.length === 1) {
+        pointerDownX = touches[0].clientX;
+        pointerDownY = touches[0].clientY;
+    }
 
-    torchLight.castShadow = true;
-    torchLight.shadow.mapSize.width = 512;
-    torchLight.shadow.mapSize.height = 512;
-    torchLight.shadow.camera.near = 0.5;
-    torchLight.shadow.camera.far = 15;
-    torchLight.shadow.bias = -0.0005;
-    torchLight.shadow.radius = 4; 
+    if (!getViewStateConfig().cameraInput) {
+        return;
+    }
     
+    if (touches.length === 1) {
+        isDragging = true;
+        lastMouseX = touches[0].clientX;
+        lastMouseY = touches[0].clientY;
+    } else if (touches.length === 2) {
+        // Second finger turns orbit into pinch and pan
+        isDragging = false;
+        startPinch(touches);
+    }
+}
 
-    scene.add(torchLight);
+
+function onTouchMove(event) {
+    if (event.target !== renderer.domElement || !getViewStateConfig().cameraInput) {
+        return;
+    }
     
- 
-    const ambientTorchLight = new THREE.PointLight(0xffbb33, 0.8, 3);
-    ambientTorchLight.position.copy(position);
-    scene.add(ambientTorchLight);
+    const touches = event.targetTouches;
+    if (touches.length === 2) {
+        updatePinch(touches);
+        return;
+    }
+    
+    if (!isDragging || touches.length !== 1) {
+        return;
+    }
+    
+    const deltaX = touches[0].clientX - lastMouseX;
+    const deltaY = touches[0].clientY - lastMouseY;
+    
+    updateCameraOffset(deltaX, deltaY);
     
+    lastMouseX = touches[0].clientX;
+    lastMouseY = touches[0].clientY;
+}
 
-    torchLight.userData.ambientLight = ambientTorchLight;
+function onTouchEnd(event) {
+    isDragging = false;
     
+    // One finger left after pinch - continue as orbit from where it is
+    const touches = event.targetTouches;
+    if (event.target === renderer.domElement && touches.length === 1 && getViewStateConfig().cameraInput) {
+        isDragging = true;
+        lastMouseX = touches[0].clientX;
+        lastMouseY = touches[0].clientY;
+        pointerDownX = -Infinity; // Not a tap
+    }
+}
 
-    torchLight.userData.torchName = torchName;
+// Function to orbit camera around character (drag, touch)
+function updateCameraOffset(deltaX, deltaY) {
+    // Photo mode camera turns in place
+    if (viewState.name === 'photoMode') {
+        turnPhotoCamera(deltaX, deltaY);
+        return;
+    }
+
+    cameraYaw -= deltaX * CAMERA_ROTATE_SPEED;
+    cameraPitch += deltaY * CAMERA_ROTATE_SPEED;
     
-    const flickerIntensity = { min: 2.5, max: 3.5 }; 
-    const flickerAmbientIntensity = { min: 0.6, max: 1.0 }; 
-  
-    const seed = torchName ? torchName.charCodeAt(torchName.length - 1) : Math.random() * 10;
+
+    cameraPitch = Math.max(CAMERA_MIN_PITCH, Math.min(CAMERA_MAX_PITCH, cameraPitch));
     
-    function animateFlicker() {
-        if (!torchLight.visible) return;
-        
-        const time = Date.now() * 0.001; 
-        
-        
-        torchLight.intensity = flickerIntensity.min + 
-            (Math.sin(time * 3 + seed) * 0.5 + 0.5) * (flickerIntensity.max - flickerIntensity.min);
-        
-        ambientTorchLight.intensity = flickerAmbientIntensity.min + 
-            (Math.sin(time * 2.5 + seed + 1) * 0.5 + 0.5) * (flickerAmbientIntensity.max - flickerAmbientIntensity.min);
-        
+
+    updateCameraPosition();
+}
+
+// Function to move camera after character; deltaTime 0 only recalculates pose (zoom, orbit)
+function updateCameraPosition(deltaTime = 0) {
+    // Camera belongs to view mode while moving to board or hub, or viewing them
+    if (!getViewStateConfig().followCamera) return;
     
-        const posOffset = 0.02;
-        torchLight.position.x = position.x + Math.sin(time * 7 + seed) * posOffset;
-        torchLight.position.y = position.y + 0.3 + Math.cos(time * 5 + seed) * posOffset;
-        torchLight.position.z = position.z + Math.sin(time * 3 + seed) * posOffset;
-        
-        requestAnimationFrame(animateFlicker);
+    updateCameraFollowTarget(deltaTime);
+    getExploringCameraPose(camera.position, camera.quaternion);
+}
+
+// Function to move smoothed camera target towards character
+function updateCameraFollowTarget(deltaTime) {
+    if (!character) return;
+    
+    // Pan goes back to character while it walks
+    if (_tempVector.subVectors(character.position, lastFollowedCharacterPosition).lengthSq() > 1e-6) {
+        cameraPanOffset.multiplyScalar(Math.exp(-3 * deltaTime));
+        lastFollowedCharacterPosition.copy(character.position);
     }
     
- 
-    animateFlicker();
+    _tempVector2.copy(character.position).add(cameraPanOffset);
+    _tempVector2.y += CAMERA_TARGET_HEIGHT;
     
-
-    if (!isNightMode) {
-        torchLight.intensity *= 0.3;
-        ambientTorchLight.intensity *= 0.3;
+    if (!isCameraFollowTargetSet) {
+        cameraFollowTarget.copy(_tempVector2);
+        isCameraFollowTargetSet = true;
+        return;
     }
     
+    cameraFollowTarget.lerp(_tempVector2, 1 - Math.exp(-CAMERA_FOLLOW_SHARPNESS * deltaTime));
+}
 
-    torchLights.push({
-        mainLight: torchLight,
-        ambientLight: ambientTorchLight,
-        name: torchName,
-        position: position.clone()
-    });
+// Function to calculate camera pose for walking around: orbit around character
+function getExploringCameraPose(position, quaternion) {
+    const direction = _tempVector3.set(
+        Math.sin(cameraYaw) * Math.cos(cameraPitch),
+        Math.sin(cameraPitch),
+        Math.cos(cameraYaw) * Math.cos(cameraPitch)
+    );
     
-    return torchLight;
+    position.copy(cameraFollowTarget).addScaledVector(direction, currentCameraDistance);
+    
+    _tempMatrix.lookAt(position, cameraFollowTarget, camera.up);
+    quaternion.setFromRotationMatrix(_tempMatrix);
 }
 
-
-function makeTorchGlow(torchMesh) {
-
-    if (torchMesh.material) {
- 
-        const originalMap = torchMesh.material.map;
+// Function to fade collidable objects between camera and character, and bring back ones that no longer block
+function updateCameraOcclusion(deltaTime) {
+    cameraOcclusionTime += deltaTime;
+    
+    if (cameraOcclusionTime >= CAMERA_OCCLUSION_INTERVAL) {
+        cameraOcclusionTime = 0;
         
-  
-        const glowMaterial = new THREE.MeshStandardMaterial({
-            color: 0xffcc00, 
-            emissive: 0xff7700,
-            emissiveIntensity: 1.5, 
-            metalness: 0.0,
-            roughness: 0.4
+        fadedMeshes.forEach(fade => {
+            fade.targetOpacity = 1;
         });
         
-       
-        if (originalMap) {
-            glowMaterial.map = originalMap;
+        // Nothing is faded while board or hub own camera
+        if (character && getViewStateConfig().followCamera) {
+            const toTarget = _tempVector.subVectors(cameraFollowTarget, camera.position);
+            const distance = toTarget.length();
+            
+            _tempRaycaster.set(camera.position, toTarget.normalize());
+            _tempRaycaster.far = distance - CHARACTER_RADIUS;
+            
+            for (const intersect of _tempRaycaster.intersectObjects(collisionObjects, false)) {
+                const mesh = intersect.object;
+                
+                // Glowing objects keep their look
+                if (bloomLayer.test(mesh.layers)) continue;
+                
+                if (!fadedMeshes.has(mesh)) {
+                    fadedMeshes.set(mesh, createMeshFade(mesh));
+                }
+                fadedMeshes.get(mesh).targetOpacity = CAMERA_FADE_OPACITY;
+            }
+        }
+    }
+    
+    fadedMeshes.forEach((fade, mesh) => {
+        // Material was replaced elsewhere (lighting mode) - stop tracking it
+        if (mesh.material !== fade.fadeMaterial) {
+            fadedMeshes.delete(mesh);
+            return;
         }
         
+        const fadeMaterials = Array.isArray(fade.fadeMaterial) ? fade.fadeMaterial : [fade.fadeMaterial];
+        const step = CAMERA_FADE_SPEED * deltaTime;
+        const opacity = fade.opacity + Math.max(-step, Math.min(step, fade.targetOpacity - fade.opacity));
+        fade.opacity = opacity;
+        fadeMaterials.forEach((material, i) => {
+            material.opacity = opacity * fade.baseOpacity[i];
+        });
         
-        torchMesh.userData.originalMaterial = torchMesh.material.clone();
-        
+        // Fully visible again - put original material back
+        if (opacity >= 1 && fade.targetOpacity >= 1) {
+            mesh.material = fade.originalMaterial;
+            fadeMaterials.forEach(material => material.dispose());
+            fadedMeshes.delete(mesh);
+        }
+    });
+}
+
+// Function to give mesh its own transparent copy of material, so shared materials are not faded
+function createMeshFade(mesh) {
+    const originalMaterial = mesh.material;
+    const originals = Array.isArray(originalMaterial) ? originalMaterial : [originalMaterial];
+    const copies = originals.map(material => {
+        const copy = material.clone();
+        copy.transparent = true;
+        copy.depthWrite = false;
+        return copy;
+    });
     
-        torchMesh.material = glowMaterial;
-        
- 
-        torchMesh.layers.enable(BLOOM_SCENE);
+    mesh.material = Array.isArray(originalMaterial) ? copies : copies[0];
+    
+    return {
+        originalMaterial: originalMaterial,
+        fadeMaterial: mesh.material,
+        baseOpacity: originals.map(material => material.opacity),
+        opacity: 1,
+        targetOpacity: 1
+    };
+}
+
+// Function to put original material back on faded mesh before its material is saved or replaced
+function restoreMeshFade(mesh) {
+    const fade = fadedMeshes.get(mesh);
+    if (!fade) return;
+    
+    if (mesh.material === fade.fadeMaterial) {
+        mesh.material = fade.originalMaterial;
+    }
+    (Array.isArray(fade.fadeMaterial) ? fade.fadeMaterial : [fade.fadeMaterial]).forEach(material => material.dispose());
+    fadedMeshes.delete(mesh);
+}
+    
+function createInfoSign(mesh, position, title, content) {
+    const infoSign = {
+        mesh: mesh,
+        position: position,
+        title: title,
+        content: content,
+        active: false
+    };
+    
+    mesh.userData.isInfoSign = true;
+    mesh.userData.infoId = infoSigns.length;
+    
+    infoSigns.push(infoSign);
+    
+    registerInteractable({
+        id: `sign:${mesh.name}`,
+        type: 'sign',
+        object: mesh,
+        position: position,
+        priority: 2,
+        prompt: 'Press {interact} to view information',
+        hintClass: 'info-hint',
+        onInteract: () => toggleInfoSign(infoSign)
+    });
+    
+    console.log(`Добавлена информационная табличка: ${title} (ID: ${mesh.userData.infoId})`);
+}
+
+function toggleInfoSign(infoSign) {
+    if (infoSign.active) {
+        closeInfoPanel();
+    } else {
+        showInfoPanel(infoSign);
     }
 }
 
+function setupWantedBoard(mesh, position) {
+    wantedBoard = {
+        mesh: mesh,
+        position: position
+    };
+    
+    mesh.userData.isWantedBoard = true;
+    
+    // Wanted board has priority over other nearby objects
+    registerInteractable({
+        id: `board:${mesh.name}`,
+        type: 'wantedBoard',
+        object: mesh,
+        position: position,
+        planar: true,
+        priority: 3,
+        prompt: 'Press {interact} to view wanted board',
+        hintClass: 'wanted-hint',
+        onInteract: () => toggleWantedBoard()
+    });
+    
+    console.log('Настроена доска розыска в позиции:', position);
+}
 
+function toggleWantedBoard() {
+    if (viewState.name === 'boardView') {
 
-function createSwitchLight(position) {
+        returnFromWantedBoard();
+    } else {
 
-    switchLight = new THREE.PointLight(0xffffff, 15, 10);
-    switchLight.position.copy(position);
-    switchLight.position.y += 0.2; 
+        viewWantedBoard();
+    }
+}
+
+
+function viewWantedBoard() {
+    return requestViewState('boardView');
+}
+    
+
+function returnFromWantedBoard() {
+    if (viewState.name !== 'boardView') return false;
+    return requestViewState('exploring');
+}
+
+function showWantedViewHint() {
+    hideWantedViewHint();
     
+    const hint = document.createElement('div');
+    hint.className = 'wanted-view-hint';
+    setPromptText(hint, 'Press {interact} to return');
+    document.body.appendChild(hint);
+}
+
+function hideWantedViewHint() {
+    const hint = document.querySelector('.wanted-view-hint');
+    if (hint) {
+        hint.remove();
+    }
+}
+
+let wantedBoardViewDuration = 1.0; 
+
+
+// Function to get audio listener attached to camera (created on first use)
+function getAudioListener() {
+    return camera.children.find(child => child instanceof THREE.AudioListener) || 
+           (() => {
+               const newListener = new THREE.AudioListener();
+               camera.add(newListener);
+               return newListener;
+           })();
+}
 
-    switchLight.castShadow = true;
-    switchLight.shadow.mapSize.width = 512;
-    switchLight.shadow.mapSize.height = 512;
-    switchLight.shadow.camera.near = 0.5;
-    switchLight.shadow.camera.far = 10;
+function setupWalkSound() {
+    console.log('Настройка звука шагов...');
     
 
-    scene.add(switchLight);
+    walkSound = null;
     
+    try {
+   
+        const audioLoader = new THREE.AudioLoader();
+ 
+        const listener = getAudioListener();
 
-    if (!isNightMode) {
-        switchLight.visible = false;
+        walkSound = new THREE.Audio(listener);
+  
+        audioLoader.load(
+            'sounds/walk.mp3', 
+            function(buffer) {
+                if (isVillageDestroyed) return;
+                console.log('Звук шагов успешно загружен');
+                walkSound.setBuffer(buffer);
+                walkSound.setLoop(false);
+                walkSound.setVolume(0.5);
+            },
+            function(xhr) {
+                console.log('Загрузка звука: ' + (xhr.loaded / xhr.total * 100) + '%');
+            },
+            function(error) {
+                console.error('Ошибка загрузки звука шагов:', error);
+               
+                walkSound = {
+                    isPlaying: false,
+                    play: function() { 
+                        this.isPlaying = true;
+                        console.log('Имитация воспроизведения звука шагов');
+                    },
+                    stop: function() { 
+                        this.isPlaying = false;
+                        console.log('Имитация остановки звука шагов');
+                    }
+                };
+            }
+        );
+    } catch (e) {
+        console.error('Ошибка при инициализации звука шагов:', e);
+   
+        walkSound = {
+            isPlaying: false,
+            play: function() { 
+                this.isPlaying = true;
+                console.log('Имитация воспроизведения звука шагов');
+            },
+            stop: function() { 
+                this.isPlaying = false;
+                console.log('Имитация остановки звука шагов');
+            }
+        };
     }
 }
 
-function makeSwichGlow(switchMesh) {
-    if (switchMesh.material) {
 
-        const originalMap = switchMesh.material.map;
+function setupPortalSound() {
+    console.log('Настройка звука портала...');
+    
+  
+    portalSound = null;
+    
+    try {
         
-
-        const glowMaterial = new THREE.MeshStandardMaterial({
-            color: 0xffffff,
-            emissive: 0xffffff,
-            emissiveIntensity: 2.0, 
-            metalness: 0.1,
-            roughness: 0.1
-        });
+        const audioLoader = new THREE.AudioLoader();
         
-
-        if (originalMap) {
-            glowMaterial.map = originalMap;
-        }
-            
-
-        switchMesh.userData.originalMaterial = switchMesh.material.clone();
+        const listener = getAudioListener();
         
-        switchMesh.material = glowMaterial;
+     
+        portalSound = new THREE.Audio(listener);
+        
+   
+        audioLoader.load(
+            'sounds/popup.mp3', 
+            function(buffer) {
+                if (isVillageDestroyed) return;
+                console.log('Звук портала успешно загружен');
+                portalSound.setBuffer(buffer);
+                portalSound.setLoop(false);
+                portalSound.setVolume(0.4);
+            },
+            function(xhr) {
+                console.log('Загрузка звука портала: ' + (xhr.loaded / xhr.total * 100) + '%');
+            },
+            function(error) {
+                console.error('Ошибка загрузки звука портала:', error);
         
-        switchMesh.layers.enable(BLOOM_SCENE);
+                portalSound = {
+                    isPlaying: false,
+                    play: function() { 
+                        this.isPlaying = true;
+                        console.log('Имитация воспроизведения звука портала');
+                    }
+                };
+            }
+        );
+    } catch (e) {
+        console.error('Ошибка при инициализации звука портала:', e);
+        portalSound = {
+            isPlaying: false,
+            play: function() { 
+                this.isPlaying = true;
+                console.log('Имитация воспроизведения звука портала');
+            }
+        };
     }
 }
 
 
-function updateModesVisibility() {
+function setupBackgroundMusic() {
+    console.log('Настройка фоновой музыки...');
+
+    backgroundMusic = null;
+    
+    try {
 
-    if (textModeNight && textModeNight.visible !== undefined) {
-        textModeNight.visible = isNightMode;
+        const audioLoader = new THREE.AudioLoader();
+   
+        const listener = getAudioListener();
         
-        if (isNightMode) {
+ 
+        backgroundMusic = new THREE.Audio(listener);
         
-            if (textModeNight.isMesh && textModeNight.material) {
-
-                if (!textModeNight.userData.originalMaterial) {
-                    textModeNight.userData.originalMaterial = textModeNight.material.clone();
-                }
-                
-                const glowMaterial = new THREE.MeshStandardMaterial({
-                    color: 0xa8c6ff,
-                    emissive: 0x3b5fd9,
-                    emissiveIntensity: 1.2,
-                    metalness: 0.3,
-                    roughness: 0.2
-                });
-                
 
-                textModeNight.material = glowMaterial;
-                
+        audioLoader.load(
+            'sounds/main.mp3', 
+            function(buffer) {
+                if (isVillageDestroyed) return;
+                console.log('Фоновая музыка успешно загружена');
+                backgroundMusic.setBuffer(buffer);
+                backgroundMusic.setLoop(true);
+                backgroundMusic.setVolume(0.5);
+         
+                backgroundMusic.play();
+            },
+            function(xhr) {
+                console.log('Загрузка фоновой музыки: ' + (xhr.loaded / xhr.total * 100) + '%');
+            },
+            function(error) {
+                console.error('Ошибка загрузки фоновой музыки:', error);
 
-                textModeNight.layers.enable(BLOOM_SCENE);
+                backgroundMusic = {
+                    isPlaying: false,
+                    play: function() { 
+                        this.isPlaying = true;
+                        console.log('Имитация воспроизведения фоновой музыки');
+                    }
+                };
             }
-        }
-    }
-    
-    if (textModeDay && textModeDay.visible !== undefined) {
-        textModeDay.visible = !isNightMode;
-        
-        if (!isNightMode) {
-    
-            if (textModeDay.isMesh && textModeDay.material) {
-                if (!textModeDay.userData.originalMaterial) {
-                    textModeDay.userData.originalMaterial = textModeDay.material.clone();
-                }
-                
-             
-                const sunnyMaterial = new THREE.MeshStandardMaterial({
-                    color: 0xffd700, 
-                    emissive: 0xff7700, 
-                    emissiveIntensity: 0.6,
-                    metalness: 0.8,
-                    roughness: 0.1
-                });
-                
-
-                textModeDay.material = sunnyMaterial;
+        );
+    } catch (e) {
+        console.error('Ошибка при инициализации фоновой музыки:', e);
+        backgroundMusic = {
+            isPlaying: false,
+            play: function() { 
+                this.isPlaying = true;
+                console.log('Имитация воспроизведения фоновой музыки');
             }
-        }
+        };
     }
 }
 
-function setupCameraControls() {
+let hubObjects = {
+    main: null,
+    wanted: null,
+    roles: null
+};
+let hubNavigationArrows = null;
 
-    window.addEventListener('wheel', onMouseWheel);
+function createHubNavigationArrows() {
+    if (hubNavigationArrows) return;
     
-
-    window.addEventListener('mousedown', onMouseDown);
-    window.addEventListener('mousemove', onMouseMove);
-    window.addEventListener('mouseup', onMouseUp);
-
-    window.addEventListener('touchstart', onTouchStart);
-    window.addEventListener('touchmove', onTouchMove);
-    window.addEventListener('touchend', onTouchEnd);
-}
-
-
-function onMouseWheel(event) {
-
-    if (isViewingWantedBoard) {
-        return;
-    }
-
-    const zoomDelta = Math.sign(event.deltaY) * 2;
+    console.log('Creating navigation arrows...');
+    
+    hubNavigationArrows = document.createElement('div');
+    hubNavigationArrows.className = 'hub-navigation';
+    hubNavigationArrows.innerHTML = `
+        <div class="hub-arrow left">←</div>
+        <div class="hub-arrow right">→</div>
+    `;
+    document.body.appendChild(hubNavigationArrows);
+    
+    // Add styles
+    const style = document.createElement('style');
+    style.className = 'village-style';
+    style.textContent = `
+        .hub-navigation {
+            position: fixed;
+            top: 50%;
+            left: 0;
+            right: 0;
+            transform: translateY(-50%);
+            display: flex;
+            justify-content: space-between;
+            padding: 0 20px;
+            pointer-events: auto;
+            z-index: 1000;
+        }
+        .hub-arrow {
+            width: 50px;
+            height: 50px;
+            background: rgba(0, 0, 0, 0.5);
+            border: 2px solid #ff80bf;
+            border-radius: 50%;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            color: #ff80bf;
+            font-size: 24px;
+            cursor: pointer;
+            pointer-events: auto;
+            transition: all 0.3s ease;
+        }
+        .hub-arrow:hover {
+            background: rgba(255, 128, 191, 0.2);
+            transform: scale(1.1);
+        }
+        .hub-arrow.left {
+            margin-right: auto;
+        }
+        .hub-arrow.right {
+            margin-left: auto;
+        }
+    `;
+    document.head.appendChild(style);
+    
+    // Add event listeners
+    const leftArrow = hubNavigationArrows.querySelector('.hub-arrow.left');
+    const rightArrow = hubNavigationArrows.querySelector('.hub-arrow.right');
+    
+    leftArrow.addEventListener('click', () => {
+        console.log('Left arrow clicked');
+        turnHubView(-1);
+    });
     
-    currentCameraDistance = Math.max(
-        cameraMinDistance,
-        Math.min(cameraMaxDistance, currentCameraDistance + zoomDelta)
-    );
+    rightArrow.addEventListener('click', () => {
+        console.log('Right arrow clicked');
+        turnHubView(1);
+    });
     
-
-    updateCameraPosition();
+    console.log('Navigation arrows created and event listeners attached');
 }
 
-
-function onMouseDown(event) {
-
-    if (isViewingWantedBoard) {
-        return;
-    }
+// Function to turn to next hub view to the right (1) or left (-1): main -> roles -> wanted -> main
+function turnHubView(direction) {
+    if (viewState.name !== 'hubView') return;
     
-    if (event.button === 0) { 
-        isDragging = true;
-        lastMouseX = event.clientX;
-        lastMouseY = event.clientY;
-    }
+    const index = HUB_VIEWS.indexOf(viewState.param);
+    requestViewState('hubView', HUB_VIEWS[(index + direction + HUB_VIEWS.length) % HUB_VIEWS.length]);
 }
 
-
-function onMouseMove(event) {
-    // Если пользователь зажал кнопку мыши, обрабатываем движение камеры
-    if (isDragging) {
-        const deltaX = event.clientX - lastMouseX;
-        const deltaY = event.clientY - lastMouseY;
-        
-        updateCameraOffset(deltaX, deltaY);
-        
-        lastMouseX = event.clientX;
-        lastMouseY = event.clientY;
-        return;
-    }
-    
-    // Если мышь не зажата, обрабатываем hover эффект
-    mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
-    mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
-    
-    raycaster.setFromCamera(mouse, camera);
+// Function to turn camera to another view inside hub (hubView -> hubView)
+function navigateToHubView(targetView) {
+    if (!hubObjects.main || viewState.name !== 'hubView') return;
     
-    // Reset hover effect for all wanted objects
-    wantedObjects.forEach(obj => {
-        if (obj.mesh && obj.mesh.material) {
-            obj.mesh.material.emissiveIntensity = 0;
-            obj.mesh.material.emissive.setHex(0x000000);
-            obj.mesh.layers.disable(BLOOM_SCENE);
-        }
-    });
+    console.log('Starting navigation to view:', targetView);
+    console.log('Current view:', viewState.param);
     
-    // Calculate objects intersecting the picking ray
-    const intersects = raycaster.intersectObjects(scene.children, true);
+    const startRotation = camera.rotation.clone();
     
-    // Check if we're hovering over a wanted object
-    for (let i = 0; i < intersects.length; i++) {
-        const intersect = intersects[i];
-        if (intersect.object.userData && intersect.object.userData.isWantedObject) {
-            const wantedId = intersect.object.userData.wantedId;
-            if (wantedObjects[wantedId] && wantedObjects[wantedId].mesh && wantedObjects[wantedId].mesh.material) {
-                wantedObjects[wantedId].mesh.material.emissive.setHex(0xff80bf);
-                wantedObjects[wantedId].mesh.material.emissiveIntensity = 1.0;
-                wantedObjects[wantedId].mesh.layers.enable(BLOOM_SCENE);
-                break;
-            }
-        }
-    }
-}
-
-// Mouse click handler
-function onMouseClick(event) {
-    // Если пользователь зажал кнопку мыши, не обрабатываем клик
-    if (isDragging) return;
+    // Определяем целевой угол поворота в зависимости от вида
+    let targetRotation = startRotation.clone();
+    targetRotation.y = getHubViewRotation(targetView);
     
-    // Calculate mouse position in normalized device coordinates
-    mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
-    mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
+    // Нормализуем углы для корректного поворота
+    while (startRotation.y > Math.PI) startRotation.y -= 2 * Math.PI;
+    while (startRotation.y < -Math.PI) startRotation.y += 2 * Math.PI;
+    while (targetRotation.y > Math.PI) targetRotation.y -= 2 * Math.PI;
+    while (targetRotation.y < -Math.PI) targetRotation.y += 2 * Math.PI;
     
-    // Update the picking ray with the camera and mouse position
-    raycaster.setFromCamera(mouse, camera);
+    // Выбираем кратчайший путь поворота
+    let diff = targetRotation.y - startRotation.y;
+    if (diff > Math.PI) diff -= 2 * Math.PI;
+    if (diff < -Math.PI) diff += 2 * Math.PI;
     
-    // Calculate objects intersecting the picking ray
-    const intersects = raycaster.intersectObjects(scene.children, true);
+    console.log('Rotation parameters:', {
+        startRotation: startRotation,
+        targetRotation: targetRotation,
+        diff: diff
+    });
     
-    // Check if we clicked on a wanted object
-    for (let i = 0; i < intersects.length; i++) {
-        const intersect = intersects[i];
-        if (intersect.object.userData && intersect.object.userData.isWantedObject) {
-            const wantedId = intersect.object.userData.wantedId;
-            if (wantedObjects[wantedId] && wantedObjects[wantedId].url) {
-                window.open(wantedObjects[wantedId].url, '_blank');
-                break;
-            }
+    startTween({
+        channel: 'camera',
+        duration: 1.0,
+        easing: Easing.easeInOutCubic,
+        onUpdate: (easedProgress) => {
+            // Интерполируем только поворот по оси Y
+            camera.rotation.y = startRotation.y + diff * easedProgress;
+            
+            // Сбрасываем повороты по другим осям
+            camera.rotation.x = 0;
+            camera.rotation.z = 0;
+        },
+        onComplete: () => {
+            setViewState('hubView', targetView);
+            console.log('Navigation completed to view:', targetView);
+            console.log('Final camera rotation:', camera.rotation);
         }
-    }
+    });
 }
 
-// Add event listeners
-document.addEventListener('mousemove', onMouseMove);
-document.addEventListener('click', onMouseClick);
-
-
-function onMouseUp() {
-    isDragging = false;
+function hideHubHint() {
+    const hint = document.querySelector('.hub-hint');
+    if (hint) {
+        hint.remove();
+    }
 }
 
-
-function onTouchStart(event) {
-
-    if (isViewingWantedBoard) {
-        return;
-    }
+function showExitHubHint() {
+    let hint = document.querySelector('.hub-hint');
     
-    if (event.touches.length === 1) {
-        isDragging = true;
-        lastMouseX = event.touches[0].clientX;
-        lastMouseY = event.touches[0].clientY;
+    if (!hint) {
+        hint = document.createElement('div');
+        hint.className = 'hub-hint';
+        setPromptText(hint, 'Press {interact} to exit hub');
+        document.body.appendChild(hint);
     }
 }
 
-function onTouchMove(event) {
-   
-    if (isViewingWantedBoard || !isDragging || event.touches.length !== 1) {
-        return;
-    }
-    
-    const deltaX = event.touches[0].clientX - lastMouseX;
-    const deltaY = event.touches[0].clientY - lastMouseY;
-    
-    updateCameraOffset(deltaX, deltaY);
-    
-    lastMouseX = event.touches[0].clientX;
-    lastMouseY = event.touches[0].clientY;
+function enterHub(view) {
+    console.log('Attempting to enter hub...');
+    return requestViewState('hubView', view || 'main');
 }
 
-function onTouchEnd() {
-    isDragging = false;
+function exitHub() {
+    if (viewState.name !== 'hubView') return false;
+    return requestViewState('exploring');
 }
 
+// View modes - each mode owns camera, input and hints while active
+// exploring: walking around; panelOpen: information panel over the world (walking allowed);
+// transitioning: camera moving to another mode (input ignored); boardView: wanted board close-up;
+// hubView: inside hub, param is 'main', 'roles' or 'wanted'
+const viewStates = {
+    exploring: {
+        movement: true, // WASD moves character
+        lighting: true, // L toggles lighting
+        cameraInput: true, // Wheel and drag move camera
+        prompts: true, // Interactable prompts are shown
+        followCamera: true, // Camera is placed by updateCameraPosition
+        enter: () => {
+            if (controls) {
+                controls.enabled = true;
+            }
+        },
+        exit: () => {},
+        interact: () => {
+            // Interact with the object selected by the registry
+            if (activeInteractable) {
+                activeInteractable.onInteract(activeInteractable);
+            }
+        }
+    },
+    panelOpen: {
+        movement: true,
+        lighting: true,
+        cameraInput: true,
+        prompts: true,
+        followCamera: true,
+        enter: (item) => {
+            createInfoPanel(item);
+            item.active = true;
+            
+            if (portals.includes(item)) {
+                emitVillageEvent('portalOpened', { title: item.title, name: item.mesh ? item.mesh.name : null });
+            }
+        },
+        exit: () => {
+            const item = viewState.param;
+            item.active = false;
+            removeInfoPanel();
+            
+            emitVillageEvent('panelClosed', { title: item.title, name: item.mesh ? item.mesh.name : null });
+        },
+        interact: () => {
+            // Nearby object toggles its panel (or opens its own), otherwise E closes panel
+            if (activeInteractable) {
+                activeInteractable.onInteract(activeInteractable);
+            } else {
+                requestViewState('exploring');
+            }
+        }
+    },
+    transitioning: {
+        movement: false,
+        lighting: true,
+        cameraInput: false,
+        prompts: false,
+        followCamera: false,
+        enter: (target) => {
+            setActiveInteractable(null);
+            setActiveApproachPrompt(null);
+            cancelNavPath();
+            if (controls) {
+                controls.enabled = false;
+            }
+            animateCameraToView(target.to, target.param);
+        },
+        exit: () => {},
+        interact: () => {} // Input is ignored until camera arrives
+    },
+    boardView: {
+        movement: false,
+        lighting: false,
+        cameraInput: false,
+        prompts: false,
+        followCamera: false,
+        enter: () => {
+            showWantedViewHint();
+            console.log('Камера перемещена к доске розыска');
+        },
+        exit: () => {
+            hideWantedViewHint();
+        },
+        interact: () => {
+            requestViewState('exploring');
+        }
+    },
+    hubView: {
+        movement: false,
+        lighting: true,
+        cameraInput: false,
+        prompts: false,
+        followCamera: false,
+        enter: (view, from) => {
+            // Navigation inside hub keeps arrows and hint
+            if (from === 'hubView') return;
+            
+            // Создаем стрелки навигации
+            createHubNavigationArrows();
+            // Показываем подсказку о выходе
+            showExitHubHint();
+            console.log('Entered hub view');
+            
+            emitVillageEvent('hubEntered', { view: view });
+        },
+        exit: (nextName) => {
+            // Navigation inside hub keeps arrows and hint
+            if (nextName === 'hubView') return;
+            
+            // Удаляем подсказку о выходе
+            hideHubHint();
+            
+            // Remove navigation arrows
+            if (hubNavigationArrows) {
+                hubNavigationArrows.remove();
+                hubNavigationArrows = null;
+            }
+        },
+        interact: () => {
+            // Если персонаж в хабе, обрабатываем выход
+            requestViewState('exploring');
+        }
+    },
+    photoMode: {
+        movement: false,
+        lighting: false, // Exposure slider would be overwritten by lighting change
+        cameraInput: true, // Drag turns, wheel and pinch change field of view
+        prompts: false,
+        followCamera: false,
+        enter: () => {
+            setActiveInteractable(null);
+            setActiveApproachPrompt(null);
+            cancelNavPath();
+            enterPhotoMode();
+        },
+        exit: () => {
+            exitPhotoMode();
+        },
+        interact: () => {}
+    }
+};
 
-function updateCameraOffset(deltaX, deltaY) {
+// Allowed view mode changes; transitioning may only end in the mode it is heading to
+const VIEW_TRANSITIONS = {
+    exploring: ['panelOpen', 'transitioning', 'photoMode'],
+    panelOpen: ['exploring', 'panelOpen', 'transitioning', 'photoMode'],
+    transitioning: ['exploring', 'boardView', 'hubView'],
+    boardView: ['transitioning'],
+    hubView: ['hubView', 'transitioning'],
+    photoMode: ['exploring']
+};
 
-    cameraOffsetX -= deltaX * 0.1;
-    cameraOffsetY += deltaY * 0.1;
-    
+const HUB_VIEWS = ['main', 'roles', 'wanted'];
 
-    cameraOffsetX = Math.max(-maxCameraOffset, Math.min(maxCameraOffset, cameraOffsetX));
-    cameraOffsetY = Math.max(-maxCameraOffset, Math.min(maxCameraOffset, cameraOffsetY));
-    
+let viewState = { name: 'exploring', param: null }; // Current view mode and its parameter
+let pendingViewLink = null; // Link of Back/Forward pressed while camera moved, opened when it arrives
 
-    updateCameraPosition();
+// Function to get settings of current view mode
+function getViewStateConfig() {
+    return viewStates[viewState.name];
 }
 
-
-function updateCameraPosition() {
-    if (isCameraAnimating || isViewingHub) return; // Не обновляем позицию камеры во время анимации или при просмотре хаба
-    
-    const direction = new THREE.Vector3(
-        baseCameraPosition.x + cameraOffsetX,
-        baseCameraPosition.y + cameraOffsetY,
-        baseCameraPosition.z
-    ).normalize();
-
-    const centerPoint = new THREE.Vector3(0, 0, 0);
-    
-    camera.position.copy(centerPoint).add(direction.multiplyScalar(currentCameraDistance));
-    camera.lookAt(centerPoint);
-}
+// Function to switch view mode, running exit and entry hooks; illegal changes are rejected
+function setViewState(name, param) {
+    const from = viewState.name;
     
-function createInfoSign(mesh, position, title, content) {
-    const infoSign = {
-        mesh: mesh,
-        position: position,
-        title: title,
-        content: content,
-        active: false
-    };
+    if (!viewStates[name]) {
+        console.warn(`Unknown view mode "${name}"`);
+        return false;
+    }
+    if (!VIEW_TRANSITIONS[from].includes(name) ||
+        (from === 'transitioning' && viewState.param.to !== name)) {
+        console.warn(`Illegal view transition: ${describeViewState(viewState)} -> ${name}`);
+        return false;
+    }
     
-    mesh.userData.isInfoSign = true;
-    mesh.userData.infoId = infoSigns.length;
+    viewStates[from].exit(name, param);
+    viewState = { name: name, param: param === undefined ? null : param };
+    viewStates[name].enter(viewState.param, from);
     
-    infoSigns.push(infoSign);
+    console.log('View mode:', describeViewState(viewState));
     
-    console.log(`Добавлена информационная табличка: ${title} (ID: ${mesh.userData.infoId})`);
+    // Camera arrival writes link, not its start; photo mode keeps link of view it was opened from
+    // History moved while camera was on its way: URL already says where to go next
+    if (from === 'transitioning' && pendingViewLink) {
+        const pending = pendingViewLink;
+        pendingViewLink = null;
+        applyViewLink(pending.hash, pending.teleport);
+    } else if (name !== 'transitioning' && name !== 'photoMode') {
+        syncViewHistory();
+    }
+    return true;
 }
 
-function getInfoContent(name) {
-    return `
-        <div style="text-align: center; margin-bottom: 15px;">
-            <img src="imgs/me.jpg" alt="Profile Photo" style="max-width: 200px; border-radius: 10px; border: 2px solid #ff80bf; box-shadow: 0 0 10px #ff80bf;">
-        </div>
-        <p>Hi everyone, my name is ov4rlxrd, this interactive website was created especially for SuccinctLabs by me from scratch, I hope you will appreciate it!</p>
-        <p>Here you can walk for Ferris, read about roles on the server and so on!</p>
-        <div style="margin-top: 20px; display: flex; justify-content: center; gap: 20px;">
-            <a href="https://x.com/DDenicah" target="_blank" style="color: #ff80bf; text-decoration: none; font-weight: bold; display: inline-block; padding: 8px 15px; border: 1px solid #ff80bf; border-radius: 5px; box-shadow: 0 0 5px #ff80bf;">Twitter (X)</a>
-            <a href="https://github.com/ov4rlxrd" target="_blank" style="color: #ff80bf; text-decoration: none; font-weight: bold; display: inline-block; padding: 8px 15px; border: 1px solid #ff80bf; border-radius: 5px; box-shadow: 0 0 5px #ff80bf;">GitHub</a>
-        </div>
-    `;
+// Function to get readable name of view mode, e.g. hubView(roles) or transitioningTo(boardView)
+function describeViewState(state) {
+    if (state.name === 'transitioning') {
+        return `transitioningTo(${state.param.to})`;
+    }
+    if (state.name === 'hubView') {
+        return `hubView(${state.param})`;
+    }
+    return state.name;
 }
 
-function checkInfoSignsProximity() {
-    if (!character || infoSigns.length === 0) return;
-    
-    const characterPosition = character.position.clone();
-    let closestSign = null;
-    let minDistance = Infinity;
-    let isNearInfoSign = false;
-    
-    for (let infoSign of infoSigns) {
-        const distance = characterPosition.distanceTo(infoSign.position);
+// Function to go to a view mode from code: camera modes go through transitioning
+// panelOpen takes panel item (portal, sign) or its name
+function requestViewState(name, param) {
+    switch (name) {
+        case 'exploring':
+            if (viewState.name === 'boardView' || viewState.name === 'hubView') {
+                return setViewState('transitioning', { to: 'exploring', param: null });
+            }
+            return setViewState('exploring');
         
-        if (distance < 3) {
-            isNearInfoSign = true;
-            
-            if (distance < minDistance) {
-                minDistance = distance;
-                closestSign = infoSign;
+        case 'panelOpen': {
+            const item = typeof param === 'string' ? findPanelItem(param) : param;
+            if (!item) {
+                console.warn(`No panel "${param}" to open`);
+                return false;
             }
-        }
-    }
-    
-    if (isNearInfoSign && closestSign) {
-        if (!document.querySelector('.info-hint')) {
-            const hint = document.createElement('div');
-            hint.className = 'info-hint';
-            hint.textContent = 'Press E to view information';
-            document.body.appendChild(hint);
+            return setViewState('panelOpen', item);
         }
         
-        activeInfoSign = closestSign;
-    } else {
-        const hint = document.querySelector('.info-hint');
-        if (hint) {
-            hint.remove();
+        case 'boardView':
+            if (!wantedBoard) {
+                console.warn('Cannot view wanted board: board not found');
+                return false;
+            }
+            return setViewState('transitioning', { to: 'boardView', param: null });
+        
+        case 'hubView': {
+            const view = param || 'main';
+            if (!hubObjects.main) {
+                console.log('Cannot enter hub: hub object not found');
+                return false;
+            }
+            if (!HUB_VIEWS.includes(view)) {
+                console.warn(`Unknown hub view "${view}"`);
+                return false;
+            }
+            if (viewState.name === 'hubView') {
+                navigateToHubView(view);
+                return true;
+            }
+            return setViewState('transitioning', { to: 'hubView', param: view });
         }
-        activeInfoSign = null;
+        
+        case 'photoMode':
+            return setViewState('photoMode');
+        
+        default:
+            console.warn(`View mode "${name}" cannot be requested directly`);
+            return false;
     }
 }
 
-function toggleInfoSign(infoSign) {
-    if (infoSign.active) {
-        closeInfoPanel();
-        infoSign.active = false;
+// Function to find portal by title or scene node name
+function findPortalByName(name) {
+    return portals.find(item => item.title === name) ||
+           portals.find(item => item.mesh && item.mesh.name === name) ||
+           null;
+}
+
+// Function to find panel item by portal or sign title, or by its scene node name
+function findPanelItem(key) {
+    const items = portals.concat(infoSigns);
+    return items.find(item => item.title === key) ||
+           items.find(item => item.mesh && item.mesh.name === key) ||
+           null;
+}
+
+// Function to calculate camera position and orientation of a view mode
+function getViewCameraPose(name, param, position, quaternion) {
+    if (name === 'boardView') {
+        const boardNormal = new THREE.Vector3(-1.4, 0, 0); 
+        position.copy(wantedBoard.position).add(boardNormal.multiplyScalar(-2));
+        position.y += 1.2; 
+        
+        _tempMatrix.lookAt(position, wantedBoard.position, camera.up);
+        quaternion.setFromRotationMatrix(_tempMatrix);
+    } else if (name === 'hubView') {
+        // Camera stands next to hub - перемещаем камеру влево
+        position.copy(hubObjects.main.position);
+        position.x += 6;
+        
+        quaternion.setFromEuler(new THREE.Euler(0, getHubViewRotation(param), 0));
     } else {
-        showInfoPanel(infoSign);
-        infoSign.active = true;
+        getExploringCameraPose(position, quaternion);
     }
 }
 
-function setupWantedBoard(mesh, position) {
-    wantedBoard = {
-        mesh: mesh,
-        position: position
-    };
-    
-    mesh.userData.isWantedBoard = true;
-    
-    console.log('Настроена доска розыска в позиции:', position);
+// Function to get camera rotation around Y for hub view
+function getHubViewRotation(view) {
+    if (view === 'roles') {
+        // Для roles поворот на 0 градусов (относительно начального положения)
+        return 0;
+    } else if (view === 'wanted') {
+        // Для wanted поворот на 180 градусов (относительно начального положения)
+        return Math.PI;
+    }
+    // Для main поворот на 90 градусов (относительно начального положения)
+    return Math.PI / 2;
 }
 
-function checkWantedBoardProximity() {
-    if (!character || !wantedBoard) return;
+// Function to move camera to pose of target view mode, then enter it
+function animateCameraToView(name, param) {
+    const startPosition = camera.position.clone();
+    const startQuaternion = camera.quaternion.clone();
+    const targetPosition = new THREE.Vector3();
+    const targetQuaternion = new THREE.Quaternion();
+    
+    startTween({
+        channel: 'camera',
+        duration: name === 'boardView' || viewState.param.to === 'boardView' ? wantedBoardViewDuration : 1.0,
+        easing: Easing.easeInOutCubic,
+        onUpdate: (easedProgress) => {
+            // Target is recalculated, exploring pose depends on character position
+            getViewCameraPose(name, param, targetPosition, targetQuaternion);
+            camera.position.lerpVectors(startPosition, targetPosition, easedProgress);
+            camera.quaternion.slerpQuaternions(startQuaternion, targetQuaternion, easedProgress);
+        },
+        onComplete: () => {
+            setViewState(name, param);
+        }
+    });
+}
+
+// Deep links and browser history - view modes are written to URL hash:
+// #portal=Prover, #panel=Information (signs), #hub=roles, #board; #view=hubView:roles is also accepted
+// Views opened by player push history entry, so Back closes panel or leaves board and hub
+
+// Function to read view mode from URL hash, returns { name, param } or null for exploring
+function parseViewLink(hash) {
+    const hashParams = new URLSearchParams(hash.replace(/^#/, ''));
     
-    const distance = character.position.distanceTo(
-        new THREE.Vector3(
-            wantedBoard.position.x,
-            character.position.y,
-            wantedBoard.position.z
-        )
-    );
+    if (hashParams.has('portal')) {
+        return { name: 'panelOpen', param: hashParams.get('portal') };
+    }
+    if (hashParams.has('panel')) {
+        return { name: 'panelOpen', param: hashParams.get('panel') };
+    }
+    if (hashParams.has('hub')) {
+        return { name: 'hubView', param: hashParams.get('hub') || 'main' };
+    }
+    if (hashParams.has('board')) {
+        return { name: 'boardView', param: null };
+    }
     
-    if (distance < 3) {
-        if (!document.querySelector('.wanted-hint')) {
-            const hint = document.createElement('div');
-            hint.className = 'wanted-hint';
-            hint.textContent = 'Press E to view wanted board';
-            document.body.appendChild(hint);
-        }
-        
-        activeWantedBoard = true;
-    } else {
+    const value = hashParams.get('view');
+    if (value) {
+        const separator = value.indexOf(':');
+        return {
+            name: separator === -1 ? value : value.substring(0, separator),
+            param: separator === -1 ? undefined : value.substring(separator + 1)
+        };
+    }
+    
+    return null;
+}
 
-        const hint = document.querySelector('.wanted-hint');
-        if (hint) {
-            hint.remove();
-        }
-        
+// Function to get URL hash of view mode ('' for exploring and panels without title)
+function formatViewLink(name, param) {
+    if (name === 'panelOpen' && param) {
+        const item = typeof param === 'string' ? findPanelItem(param) : param;
+        if (!item || !item.title) return '';
+        return `${portals.includes(item) ? 'portal' : 'panel'}=${encodeURIComponent(item.title)}`;
+    }
+    if (name === 'hubView') {
+        return `hub=${encodeURIComponent(param || 'main')}`;
+    }
+    if (name === 'boardView') {
+        return 'board';
+    }
+    return '';
+}
 
-        activeWantedBoard = false;
+// Function to get link of current view mode (or of mode camera is moving to)
+function getCurrentViewLink() {
+    if (viewState.name === 'transitioning') {
+        return formatViewLink(viewState.param.to, viewState.param.param);
     }
+    return formatViewLink(viewState.name, viewState.param);
 }
 
+// Function to get link in URL hash, in the form formatViewLink writes it
+function getUrlViewLink() {
+    const link = parseViewLink(window.location.hash);
+    return link ? formatViewLink(link.name, link.param) : '';
+}
 
-function toggleWantedBoard() {
-    if (isViewingWantedBoard) {
-
-        returnFromWantedBoard();
-    } else {
-
-        viewWantedBoard();
+// Function to find object next to which character stands for view mode
+function getViewLinkTarget(name, param) {
+    let interactable = null;
+    
+    if (name === 'panelOpen') {
+        const item = findPanelItem(param);
+        if (!item || !item.mesh) return null;
+        interactable = interactables.find(entry => entry.object === item.mesh);
+        return interactable ? interactable.id : item.mesh.name;
     }
+    if (name === 'hubView') {
+        interactable = interactables.find(entry => entry.type === 'hub');
+    } else if (name === 'boardView') {
+        interactable = interactables.find(entry => entry.type === 'wantedBoard');
+    }
+    return interactable ? interactable.id : null;
 }
 
-
-function viewWantedBoard() {
-    if (!wantedBoard || isViewingWantedBoard) return;
+// Function to open view mode of URL hash, optionally moving character next to its object first
+function applyViewLink(hash, teleport) {
+    const link = parseViewLink(hash);
+    const name = link ? link.name : 'exploring';
+    const param = link ? link.param : null;
     
-
-    originalCameraPosition = camera.position.clone();
-    originalControlsEnabled = controls ? controls.enabled : false;
+    // Already there (e.g. entry of view player just closed)
+    if (getCurrentViewLink() === formatViewLink(name, param)) return;
     
-
-    if (controls) {
-        controls.enabled = false;
+    // Character is not moved while board or hub owns camera
+    if (link && teleport && getViewStateConfig().movement) {
+        const target = getViewLinkTarget(name, param);
+        if (target) {
+            teleportTo(target);
+        }
     }
     
+    console.log('Opening view mode from URL:', hash || 'exploring');
+    requestViewState(name, param);
+}
 
-    const boardNormal = new THREE.Vector3(-1.4, 0, 0); 
-    const viewPosition = wantedBoard.position.clone().add(
-        boardNormal.clone().multiplyScalar(-2) 
-    );
-    viewPosition.y += 1.2; 
-
-    const lookAtPosition = wantedBoard.position.clone();
+// Function to open view mode given in URL on start
+function applyViewStateFromUrl() {
+    if (!window.location.hash) return;
     
+    applyViewLink(window.location.hash, true);
+}
 
-    wantedBoardViewStartTime = Date.now();
-   
-    function animateCamera() {
-        const elapsed = (Date.now() - wantedBoardViewStartTime) / 1000; 
-        const progress = Math.min(elapsed / wantedBoardViewDuration, 1.0);
-      
-        camera.position.lerpVectors(originalCameraPosition, viewPosition, easeInOutCubic(progress));
-        
-   
-        camera.lookAt(lookAtPosition);
-        
-     
-        if (progress < 1.0) {
-            requestAnimationFrame(animateCamera);
-        } else {
-            
-            console.log('Камера перемещена к доске розыска');
+// Function to write current view mode to URL: opening view pushes entry, closing it goes back
+function syncViewHistory() {
+    const link = getCurrentViewLink();
+    const urlLink = getUrlViewLink();
+    
+    if (link === urlLink) {
+        // Same view, write link in normal form (#view=hubView:roles -> #hub=roles)
+        if (link && window.location.hash !== `#${link}`) {
+            history.replaceState(history.state, '', `#${link}`);
         }
+        return;
     }
     
+    if (!link) {
+        // Entry we pushed is dropped, entry page was opened with just loses its hash
+        if (history.state && history.state.villageView) {
+            history.back();
+        } else {
+            history.replaceState(null, '', window.location.pathname + window.location.search);
+        }
+    } else if (urlLink) {
+        // Switching between views (other panel, other side of hub) replaces entry
+        history.replaceState(history.state, '', `#${link}`);
+    } else {
+        history.pushState({ villageView: true }, '', `#${link}`);
+    }
+}
 
-    isViewingWantedBoard = true;
-    animateCamera();
-    
- 
-    showWantedViewHint();
+// Function to follow Back and Forward buttons; typed links (no entry state) also move character
+function onHistoryPopState(event) {
+    // Transition can't be turned around, link is opened when camera arrives
+    if (viewState.name === 'transitioning') {
+        pendingViewLink = { hash: window.location.hash, teleport: !event.state };
+        return;
+    }
+    applyViewLink(window.location.hash, !event.state);
 }
-    
 
-function returnFromWantedBoard() {
-    if (!isViewingWantedBoard || !originalCameraPosition) return;
 
-    const startPosition = camera.position.clone();
-    const startTime = Date.now();
+// Photo mode: simulation stops, hints and panels are hidden, camera flies freely;
+// depth of field, exposure and bloom can be tuned and PNG is rendered at up to 4x screen size
+const PHOTO_FLY_SPEED = 6; // Free camera speed, units per second
+const PHOTO_LOOK_SPEED = 0.004; // Free camera turn per dragged pixel, radians
+const PHOTO_MIN_FOV = 15;
+const PHOTO_MAX_FOV = 100;
+const PHOTO_MAX_SCALE = 4; // Largest capture size, times screen size
+const PHOTO_OVERLAYS = { none: 'No overlay', frame: 'Frame', logo: 'Logo', both: 'Frame and logo' };
+const photoSettings = {
+    fov: 45,
+    focus: 10, // Distance kept sharp, units
+    aperture: 0, // Depth of field strength, 0 turns it off
+    exposure: 1,
+    bloom: bloomParams.strength,
+    overlay: 'none',
+    scale: 2
+};
+let photoPanel = null; // Sliders and capture button
+let photoOverlay = null; // Canvas showing frame and logo over scene
+let photoYaw = 0; // Free camera direction
+let photoPitch = 0;
+let photoSavedState = null; // Camera and render settings restored when photo mode ends
+let isPhotoCapturing = false;
+
+// Function to start photo mode from camera's current view
+function enterPhotoMode() {
+    // Screens would be hidden with the rest of interface (and take keys)
+    closeControlsScreen();
+    closeAvatarPicker();
+    closeSettingsPanel();
+    releaseAllKeys();
+    
+    const euler = new THREE.Euler().setFromQuaternion(camera.quaternion, 'YXZ');
+    photoYaw = euler.y;
+    photoPitch = euler.x;
+    
+    // Lighting crossfade would keep changing exposure and glow under sliders
+    finishLightingCrossfade();
+    
+    photoSavedState = {
+        fov: camera.fov,
+        exposure: renderer.toneMappingExposure,
+        bloom: bloomParams.strength,
+        paused: isSimulationPaused
+    };
+    photoSettings.fov = camera.fov;
+    photoSettings.exposure = renderer.toneMappingExposure;
+    photoSettings.bloom = bloomParams.strength;
     
-    function animateReturn() {
-        const elapsed = (Date.now() - startTime) / 1000; 
-        const progress = Math.min(elapsed / wantedBoardViewDuration, 1.0);
-        
-
-        camera.position.lerpVectors(startPosition, originalCameraPosition, easeInOutCubic(progress));
-        
-     
-        if (progress < 1.0) {
-            requestAnimationFrame(animateReturn);
-        } else {
-            
-            if (controls) {
-                controls.enabled = originalControlsEnabled;
-            }
-            isViewingWantedBoard = false;
-            
-         
-            hideWantedViewHint();
-            
-     
-            updateCameraPosition();
-            
-            console.log('Камера возвращена в исходное положение');
-        }
+    if (!isSimulationPaused) {
+        setSimulationPaused(true);
     }
     
-
-    animateReturn();
+    document.body.classList.add('photo-mode');
+    createPhotoPanel();
+    applyPhotoSettings();
+    console.log('Photo mode on');
 }
 
-function showWantedViewHint() {
-    hideWantedViewHint();
+// Function to end photo mode, returning camera and render settings
+function exitPhotoMode() {
+    document.body.classList.remove('photo-mode', 'photo-panel-hidden');
+    if (photoPanel) {
+        photoPanel.remove();
+        photoPanel = null;
+    }
+    if (photoOverlay) {
+        photoOverlay.remove();
+        photoOverlay = null;
+    }
     
-    const hint = document.createElement('div');
-    hint.className = 'wanted-view-hint';
-    hint.textContent = 'Press E to return';
-    document.body.appendChild(hint);
+    camera.fov = photoSavedState.fov;
+    camera.updateProjectionMatrix();
+    renderer.toneMappingExposure = photoSavedState.exposure;
+    bloomParams.strength = bloomPass.strength = photoSavedState.bloom;
+    bokehPass.enabled = false;
+    
+    if (!photoSavedState.paused) {
+        setSimulationPaused(false);
+    }
+    photoSavedState = null;
+    console.log('Photo mode off');
 }
 
-function hideWantedViewHint() {
-    const hint = document.querySelector('.wanted-view-hint');
-    if (hint) {
-        hint.remove();
+// Function to switch photo mode on or off
+function togglePhotoMode() {
+    if (viewState.name === 'photoMode') {
+        requestViewState('exploring');
+    } else {
+        requestViewState('photoMode');
     }
 }
 
-let isViewingWantedBoard = false; 
-let originalCameraPosition = null; 
-let originalControlsEnabled = false; 
-let wantedBoardViewDuration = 1.0; 
-let wantedBoardViewStartTime = 0; 
+// Function to hide photo panel for screenshots of whole screen
+function togglePhotoPanel() {
+    document.body.classList.toggle('photo-panel-hidden');
+}
 
+// Function to fly free camera: movement keys or sticks along view, up and down keys vertically
+function updatePhotoCamera(deltaTime) {
+    if (viewState.name !== 'photoMode') return;
+    
+    const move = _tempVector.set(0, 0, 0);
+    if (isActionHeld('moveForward')) move.z -= 1;
+    if (isActionHeld('moveBackward')) move.z += 1;
+    if (isActionHeld('moveLeft')) move.x -= 1;
+    if (isActionHeld('moveRight')) move.x += 1;
+    if (isActionHeld('photoUp')) move.y += 1;
+    if (isActionHeld('photoDown')) move.y -= 1;
+    move.x += gamepadMove.x;
+    move.z += gamepadMove.y;
+    
+    if (move.lengthSq() > 1) move.normalize();
+    
+    camera.quaternion.setFromEuler(_tempEuler.set(photoPitch, photoYaw, 0, 'YXZ'));
+    
+    if (move.lengthSq() > 0) {
+        // Forward and sideways follow view, up and down are vertical
+        const vertical = move.y;
+        move.y = 0;
+        move.applyQuaternion(camera.quaternion);
+        move.y += vertical;
+        camera.position.addScaledVector(move, PHOTO_FLY_SPEED * deltaTime);
+    }
+}
 
-function setupWalkSound() {
-    console.log('Настройка звука шагов...');
-    
+// Function to turn free camera by dragged distance
+function turnPhotoCamera(deltaX, deltaY) {
+    photoYaw -= deltaX * PHOTO_LOOK_SPEED;
+    photoPitch = Math.max(-Math.PI / 2 + 0.01, Math.min(Math.PI / 2 - 0.01, photoPitch - deltaY * PHOTO_LOOK_SPEED));
+}
 
-    walkSound = null;
+// Function to set field of view (wheel, pinch and slider)
+function setPhotoFov(fov) {
+    photoSettings.fov = Math.max(PHOTO_MIN_FOV, Math.min(PHOTO_MAX_FOV, fov));
+    camera.fov = photoSettings.fov;
+    camera.updateProjectionMatrix();
     
-    try {
-   
-        const audioLoader = new THREE.AudioLoader();
- 
-        const listener = new THREE.AudioListener();
-        camera.add(listener);
-
-        walkSound = new THREE.Audio(listener);
-  
-        audioLoader.load(
-            'sounds/walk.mp3', 
-            function(buffer) {
-                console.log('Звук шагов успешно загружен');
-                walkSound.setBuffer(buffer);
-                walkSound.setLoop(true);
-                walkSound.setVolume(0.5);
-            },
-            function(xhr) {
-                console.log('Загрузка звука: ' + (xhr.loaded / xhr.total * 100) + '%');
-            },
-            function(error) {
-                console.error('Ошибка загрузки звука шагов:', error);
-               
-                walkSound = {
-                    isPlaying: false,
-                    play: function() { 
-                        this.isPlaying = true;
-                        console.log('Имитация воспроизведения звука шагов');
-                    },
-                    stop: function() { 
-                        this.isPlaying = false;
-                        console.log('Имитация остановки звука шагов');
-                    }
-                };
-            }
-        );
-    } catch (e) {
-        console.error('Ошибка при инициализации звука шагов:', e);
-   
-        walkSound = {
-            isPlaying: false,
-            play: function() { 
-                this.isPlaying = true;
-                console.log('Имитация воспроизведения звука шагов');
-            },
-            stop: function() { 
-                this.isPlaying = false;
-                console.log('Имитация остановки звука шагов');
-            }
-        };
+    if (photoPanel) {
+        photoPanel.querySelector('input[name="fov"]').value = photoSettings.fov;
     }
 }
 
-
-function setupPortalSound() {
-    console.log('Настройка звука портала...');
+// Function to apply slider values to camera and post-processing
+function applyPhotoSettings() {
+    setPhotoFov(photoSettings.fov);
+    renderer.toneMappingExposure = photoSettings.exposure;
+    bloomParams.strength = bloomPass.strength = photoSettings.bloom;
     
-  
-    portalSound = null;
+    bokehPass.enabled = photoSettings.aperture > 0;
+    bokehPass.uniforms.focus.value = photoSettings.focus;
+    bokehPass.uniforms.aperture.value = photoSettings.aperture * 0.00001;
+    bokehPass.uniforms.aspect.value = camera.aspect;
     
-    try {
-        
-        const audioLoader = new THREE.AudioLoader();
-        
-        const listener = camera.children.find(child => child instanceof THREE.AudioListener) || 
-                         (() => {
-                             const newListener = new THREE.AudioListener();
-                             camera.add(newListener);
-                             return newListener;
-                         })();
-        
-     
-        portalSound = new THREE.Audio(listener);
-        
-   
-        audioLoader.load(
-            'sounds/popup.mp3', 
-            function(buffer) {
-                console.log('Звук портала успешно загружен');
-                portalSound.setBuffer(buffer);
-                portalSound.setLoop(false);
-                portalSound.setVolume(0.4);
-            },
-            function(xhr) {
-                console.log('Загрузка звука портала: ' + (xhr.loaded / xhr.total * 100) + '%');
-            },
-            function(error) {
-                console.error('Ошибка загрузки звука портала:', error);
-        
-                portalSound = {
-                    isPlaying: false,
-                    play: function() { 
-                        this.isPlaying = true;
-                        console.log('Имитация воспроизведения звука портала');
-                    }
-                };
-            }
-        );
-    } catch (e) {
-        console.error('Ошибка при инициализации звука портала:', e);
-        portalSound = {
-            isPlaying: false,
-            play: function() { 
-                this.isPlaying = true;
-                console.log('Имитация воспроизведения звука портала');
-            }
-        };
-    }
+    drawPhotoOverlayPreview();
 }
 
-
-function setupBackgroundMusic() {
-    console.log('Настройка фоновой музыки...');
-
-    backgroundMusic = null;
+// Function to create photo mode panel
+function createPhotoPanel() {
+    const sliders = [
+        { name: 'fov', label: 'Field of view', min: PHOTO_MIN_FOV, max: PHOTO_MAX_FOV, step: 1 },
+        { name: 'focus', label: 'Focus distance', min: 1, max: 60, step: 0.5 },
+        { name: 'aperture', label: 'Depth of field', min: 0, max: 10, step: 0.1 },
+        { name: 'exposure', label: 'Exposure', min: 0.1, max: 3, step: 0.05 },
+        { name: 'bloom', label: 'Bloom', min: 0, max: 3, step: 0.05 }
+    ];
     
-    try {
-
-        const audioLoader = new THREE.AudioLoader();
-   
-        const listener = camera.children.find(child => child instanceof THREE.AudioListener) || 
-                         (() => {
-                             const newListener = new THREE.AudioListener();
-                             camera.add(newListener);
-                             return newListener;
-                         })();
-        
- 
-        backgroundMusic = new THREE.Audio(listener);
-        
+    photoPanel = document.createElement('div');
+    photoPanel.className = 'photo-panel';
+    photoPanel.innerHTML = `
+        <div class="info-header">
+            <h2>Photo</h2>
+            <button class="close-btn">×</button>
+        </div>
+        ${sliders.map(slider => `
+            <label>${slider.label}
+                <input type="range" name="${slider.name}" min="${slider.min}" max="${slider.max}" step="${slider.step}" value="${photoSettings[slider.name]}">
+            </label>
+        `).join('')}
+        <label>Overlay
+            <select name="overlay">
+                ${Object.keys(PHOTO_OVERLAYS).map(key => `<option value="${key}">${PHOTO_OVERLAYS[key]}</option>`).join('')}
+            </select>
+        </label>
+        <label>Size
+            <select name="scale">
+                ${[1, 2, 3, 4].filter(scale => scale <= PHOTO_MAX_SCALE).map(scale => `<option value="${scale}">${scale}× screen</option>`).join('')}
+            </select>
+        </label>
+        <div class="photo-hint"></div>
+        <button class="controls-key photo-capture">Save PNG</button>
+    `;
+    document.body.appendChild(photoPanel);
+    
+    photoPanel.querySelector('select[name="overlay"]').value = photoSettings.overlay;
+    photoPanel.querySelector('select[name="scale"]').value = photoSettings.scale;
+    photoPanel.querySelector('.photo-hint').textContent =
+        `Drag to look, ${['moveForward', 'moveLeft', 'moveBackward', 'moveRight'].map(getActionKeyLabel).join('')} to fly, ` +
+        `${getActionKeyLabel('photoUp')}/${getActionKeyLabel('photoDown')} up and down, ` +
+        `${getActionKeyLabel('photoHidePanel')} hides this panel, ${getActionKeyLabel('photoMode')} leaves`;
+    
+    photoPanel.querySelectorAll('input, select').forEach(input => {
+        input.addEventListener('input', () => {
+            photoSettings[input.name] = input.name === 'overlay' ? input.value : parseFloat(input.value);
+            applyPhotoSettings();
+        });
+    });
+    photoPanel.querySelector('.close-btn').addEventListener('click', () => requestViewState('exploring'));
+    photoPanel.querySelector('.photo-capture').addEventListener('click', capturePhoto);
+    
+    photoOverlay = document.createElement('canvas');
+    photoOverlay.className = 'photo-overlay';
+    document.body.appendChild(photoOverlay);
+}
 
-        audioLoader.load(
-            'sounds/main.mp3', 
-            function(buffer) {
-                console.log('Фоновая музыка успешно загружена');
-                backgroundMusic.setBuffer(buffer);
-                backgroundMusic.setLoop(true);
-                backgroundMusic.setVolume(0.5);
-         
-                backgroundMusic.play();
-            },
-            function(xhr) {
-                console.log('Загрузка фоновой музыки: ' + (xhr.loaded / xhr.total * 100) + '%');
-            },
-            function(error) {
-                console.error('Ошибка загрузки фоновой музыки:', error);
+// Function to show frame and logo over scene as they will appear on photo
+function drawPhotoOverlayPreview() {
+    if (!photoOverlay) return;
+    
+    photoOverlay.width = window.innerWidth;
+    photoOverlay.height = window.innerHeight;
+    const context = photoOverlay.getContext('2d');
+    context.clearRect(0, 0, photoOverlay.width, photoOverlay.height);
+    drawPhotoOverlay(context, photoOverlay.width, photoOverlay.height, 1);
+}
 
-                backgroundMusic = {
-                    isPlaying: false,
-                    play: function() { 
-                        this.isPlaying = true;
-                        console.log('Имитация воспроизведения фоновой музыки');
-                    }
-                };
-            }
-        );
-    } catch (e) {
-        console.error('Ошибка при инициализации фоновой музыки:', e);
-        backgroundMusic = {
-            isPlaying: false,
-            play: function() { 
-                this.isPlaying = true;
-                console.log('Имитация воспроизведения фоновой музыки');
-            }
-        };
+// Function to draw frame and logo; scale keeps them same size relative to picture
+function drawPhotoOverlay(context, width, height, scale) {
+    const overlay = photoSettings.overlay;
+    
+    if (overlay === 'frame' || overlay === 'both') {
+        context.strokeStyle = '#ff80bf';
+        context.lineWidth = 12 * scale;
+        context.strokeRect(6 * scale, 6 * scale, width - 12 * scale, height - 12 * scale);
+        context.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+        context.lineWidth = 2 * scale;
+        context.strokeRect(22 * scale, 22 * scale, width - 44 * scale, height - 44 * scale);
+    }
+    
+    if (overlay === 'logo' || overlay === 'both') {
+        context.font = `bold ${28 * scale}px Arial`;
+        context.textAlign = 'right';
+        context.textBaseline = 'bottom';
+        context.shadowColor = '#eb06a6';
+        context.shadowBlur = 12 * scale;
+        context.fillStyle = '#ffffff';
+        context.fillText('🦀 Succinct Village', width - 40 * scale, height - 36 * scale);
+        context.shadowBlur = 0;
     }
 }
 
-let hubObjects = {
-    main: null,
-    wanted: null,
-    roles: null
-};
-let isViewingHub = false;
-let currentHubView = 'main';
-let hubNavigationArrows = null;
-let isCameraAnimating = false; // Добавляем флаг для анимации камеры
-
-function createHubNavigationArrows() {
-    if (hubNavigationArrows) return;
+// Function to render current view at chosen size and download it as PNG
+function capturePhoto() {
+    if (isPhotoCapturing) return;
+    isPhotoCapturing = true;
     
-    console.log('Creating navigation arrows...');
+    const pixelRatio = renderer.getPixelRatio();
+    const width = window.innerWidth;
+    const height = window.innerHeight;
     
-    hubNavigationArrows = document.createElement('div');
-    hubNavigationArrows.className = 'hub-navigation';
-    hubNavigationArrows.innerHTML = `
-        <div class="hub-arrow left">←</div>
-        <div class="hub-arrow right">→</div>
-    `;
-    document.body.appendChild(hubNavigationArrows);
+    // Largest drawing buffer is limited by GPU
+    const maxSize = renderer.capabilities.maxTextureSize;
+    const scale = Math.min(photoSettings.scale, maxSize / (width * pixelRatio), maxSize / (height * pixelRatio));
+    if (scale < photoSettings.scale) {
+        console.warn(`Photo size limited to ${scale.toFixed(2)}× screen by GPU texture size ${maxSize}`);
+    }
+    
+    // Render once at photo size and copy picture before buffer is cleared
+    setRenderPixelRatio(pixelRatio * scale);
+    renderBloom();
+    finalComposer.render();
     
-    // Add styles
+    const canvas = document.createElement('canvas');
+    canvas.width = renderer.domElement.width;
+    canvas.height = renderer.domElement.height;
+    const context = canvas.getContext('2d');
+    context.drawImage(renderer.domElement, 0, 0);
+    drawPhotoOverlay(context, canvas.width, canvas.height, canvas.width / width);
+    
+    setRenderPixelRatio(pixelRatio);
+    
+    canvas.toBlob((blob) => {
+        isPhotoCapturing = false;
+        if (!blob) {
+            console.error('Photo could not be encoded');
+            return;
+        }
+        
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `succinct-village-${new Date().toISOString().replace(/[:.]/g, '-')}.png`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+        console.log(`Photo saved: ${canvas.width}×${canvas.height}`);
+    }, 'image/png');
+}
+
+// Function to change resolution of renderer and composers
+function setRenderPixelRatio(pixelRatio) {
+    renderer.setPixelRatio(pixelRatio);
+    bloomComposer.setPixelRatio(pixelRatio * QUALITY_PRESETS[qualitySetting.level].bloomScale);
+    finalComposer.setPixelRatio(pixelRatio);
+}
+
+// Function to add styles of photo mode
+function addPhotoModeStyles() {
     const style = document.createElement('style');
+    style.className = 'village-style';
     style.textContent = `
-        .hub-navigation {
+        body.photo-mode > :not(canvas):not(.photo-panel) {
+            display: none !important;
+        }
+        body.photo-mode.photo-panel-hidden > .photo-panel {
+            display: none;
+        }
+        .photo-overlay {
             position: fixed;
-            top: 50%;
+            top: 0;
             left: 0;
-            right: 0;
-            transform: translateY(-50%);
-            display: flex;
-            justify-content: space-between;
-            padding: 0 20px;
-            pointer-events: auto;
-            z-index: 1000;
+            pointer-events: none;
+            z-index: 900;
         }
-        .hub-arrow {
-            width: 50px;
-            height: 50px;
-            background: rgba(0, 0, 0, 0.5);
+        .photo-panel {
+            position: fixed;
+            top: 20px;
+            right: 20px;
+            width: 260px;
+            max-height: 90%;
+            overflow-y: auto;
+            background-color: rgba(0, 0, 0, 0.75);
             border: 2px solid #ff80bf;
-            border-radius: 50%;
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            color: #ff80bf;
-            font-size: 24px;
-            cursor: pointer;
-            pointer-events: auto;
-            transition: all 0.3s ease;
+            border-radius: 10px;
+            padding: 15px;
+            color: white;
+            font-family: Arial, sans-serif;
+            font-size: 14px;
+            z-index: 1100;
         }
-        .hub-arrow:hover {
-            background: rgba(255, 128, 191, 0.2);
-            transform: scale(1.1);
+        .photo-panel label {
+            display: block;
+            margin-bottom: 10px;
         }
-        .hub-arrow.left {
-            margin-right: auto;
+        .photo-panel input, .photo-panel select {
+            display: block;
+            width: 100%;
+            margin-top: 4px;
+            accent-color: #ff80bf;
         }
-        .hub-arrow.right {
-            margin-left: auto;
+        .photo-hint {
+            margin: 10px 0;
+            color: #ff99cc;
+            font-size: 12px;
+        }
+        .photo-capture {
+            width: 100%;
         }
     `;
     document.head.appendChild(style);
+}
+
+
+// Clip recorder: renderer canvas and sound of audio listener are recorded into WebM with MediaRecorder
+// Canvas never contains page elements; hiding HUD also clears them (and destination marker) from screen
+const RECORD_MAX_SECONDS = 60; // Recording stops by itself after this time
+const RECORD_FRAME_RATE = 60;
+const RECORD_MIME_TYPES = ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm'];
+let recording = null; // { recorder, chunks, audioDestination, ticker, time, maxSeconds, hideHud }
+let recordControls = null; // Record button and HUD option
+let recordIndicator = null; // Red dot with time while recording
+
+// Function to start recording clip; options: { maxSeconds, hideHud }
+function startRecording(options = {}) {
+    if (recording) return false;
     
-    // Add event listeners
-    const leftArrow = hubNavigationArrows.querySelector('.hub-arrow.left');
-    const rightArrow = hubNavigationArrows.querySelector('.hub-arrow.right');
+    if (typeof MediaRecorder === 'undefined' || !renderer.domElement.captureStream) {
+        console.warn('Clip recording is not supported in this browser');
+        return false;
+    }
     
-    leftArrow.addEventListener('click', () => {
-        console.log('Left arrow clicked');
-        if (currentHubView === 'main') {
-            navigateToHubView('wanted');
-        } else if (currentHubView === 'wanted') {
-            navigateToHubView('roles');
-        } else if (currentHubView === 'roles') {
-            navigateToHubView('main');
+    const mimeType = RECORD_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+    const stream = renderer.domElement.captureStream(RECORD_FRAME_RATE);
+    
+    // Everything played through listener (steps, portal, music) goes to clip too
+    const listener = getAudioListener();
+    const audioDestination = listener.context.createMediaStreamDestination();
+    listener.getInput().connect(audioDestination);
+    audioDestination.stream.getAudioTracks().forEach(track => stream.addTrack(track));
+    
+    let recorder;
+    try {
+        recorder = new MediaRecorder(stream, mimeType ? { mimeType: mimeType } : undefined);
+    } catch (e) {
+        console.error('Error creating clip recorder:', e);
+        listener.getInput().disconnect(audioDestination);
+        return false;
+    }
+    
+    recording = {
+        recorder: recorder,
+        chunks: [],
+        audioDestination: audioDestination,
+        time: 0,
+        maxSeconds: Math.min(options.maxSeconds || RECORD_MAX_SECONDS, RECORD_MAX_SECONDS),
+        hideHud: options.hideHud !== undefined ? Boolean(options.hideHud) : getRecordHideHudOption()
+    };
+    
+    const current = recording;
+    recorder.addEventListener('dataavailable', (event) => {
+        if (event.data && event.data.size > 0) {
+            current.chunks.push(event.data);
         }
     });
-    
-    rightArrow.addEventListener('click', () => {
-        console.log('Right arrow clicked');
-        if (currentHubView === 'main') {
-            navigateToHubView('roles');
-        } else if (currentHubView === 'roles') {
-            navigateToHubView('wanted');
-        } else if (currentHubView === 'wanted') {
-            navigateToHubView('main');
+    recorder.addEventListener('stop', () => saveRecording(current));
+    recorder.start(1000);
+    
+    // Time is counted in real frames, so paused simulation (photo mode) is recorded too
+    recording.ticker = startTicker((deltaTime) => {
+        current.time += deltaTime;
+        updateRecordIndicator();
+        if (current.time >= current.maxSeconds) {
+            console.log(`Clip reached ${current.maxSeconds} s limit`);
+            stopRecording();
         }
     });
     
-    console.log('Navigation arrows created and event listeners attached');
+    if (recording.hideHud) {
+        closeControlsScreen();
+        closeAvatarPicker();
+        closeSettingsPanel();
+        document.body.classList.add('recording-clean');
+        if (destinationMarker) destinationMarker.visible = false;
+    }
+    
+    showRecordIndicator();
+    updateRecordControls();
+    console.log(`Recording clip (${recorder.mimeType || 'default format'}), up to ${recording.maxSeconds} s`);
+    return true;
 }
 
-function navigateToHubView(targetView) {
-    if (!hubObjects.main) return;
-    
-    console.log('Starting navigation to view:', targetView);
-    console.log('Current view:', currentHubView);
+// Function to stop recording; clip is downloaded when recorder gives last data
+// Options: discard - drop clip without saving it (village is destroyed)
+function stopRecording(options) {
+    if (!recording) return false;
     
-    const startRotation = camera.rotation.clone();
-    const startTime = Date.now();
-    const duration = 1000;
+    const current = recording;
+    current.discard = Boolean(options && options.discard);
+    recording = null;
     
-    // Определяем целевой угол поворота в зависимости от вида
-    let targetRotation = startRotation.clone();
-    if (targetView === 'roles') {
-        // Для roles поворот на 0 градусов (относительно начального положения)
-        targetRotation.y = 0;
-    } else if (targetView === 'wanted') {
-        // Для wanted поворот на 180 градусов (относительно начального положения)
-        targetRotation.y = Math.PI;
-    } else {
-        // Для main поворот на 90 градусов (относительно начального положения)
-        targetRotation.y = Math.PI / 2;
+    current.ticker.cancel();
+    if (current.recorder.state !== 'inactive') {
+        current.recorder.stop();
     }
     
-    // Нормализуем углы для корректного поворота
-    while (startRotation.y > Math.PI) startRotation.y -= 2 * Math.PI;
-    while (startRotation.y < -Math.PI) startRotation.y += 2 * Math.PI;
-    while (targetRotation.y > Math.PI) targetRotation.y -= 2 * Math.PI;
-    while (targetRotation.y < -Math.PI) targetRotation.y += 2 * Math.PI;
-    
-    // Выбираем кратчайший путь поворота
-    let diff = targetRotation.y - startRotation.y;
-    if (diff > Math.PI) diff -= 2 * Math.PI;
-    if (diff < -Math.PI) diff += 2 * Math.PI;
+    document.body.classList.remove('recording-clean');
+    if (destinationMarker && navPath) destinationMarker.visible = true;
     
-    console.log('Rotation parameters:', {
-        startRotation: startRotation,
-        targetRotation: targetRotation,
-        diff: diff
-    });
+    hideRecordIndicator();
+    updateRecordControls();
+    return true;
+}
+
+// Function to toggle recording (key and button)
+function toggleRecording() {
+    if (recording) {
+        stopRecording();
+    } else {
+        startRecording();
+    }
+}
+
+// Function to download recorded clip and release its sound connection
+function saveRecording(current) {
+    try {
+        getAudioListener().getInput().disconnect(current.audioDestination);
+    } catch (e) {
+        // Already disconnected
+    }
+    current.recorder.stream.getTracks().forEach(track => track.stop());
     
-    function animateCamera() {
-        const elapsed = Date.now() - startTime;
-        const progress = Math.min(elapsed / duration, 1.0);
-        const easedProgress = easeInOutCubic(progress);
-        
-        // Интерполируем только поворот по оси Y
-        camera.rotation.y = startRotation.y + diff * easedProgress;
-        
-        // Сбрасываем повороты по другим осям
-        camera.rotation.x = 0;
-        camera.rotation.z = 0;
-        
-        console.log('Current camera rotation:', camera.rotation);
-        
-        if (progress < 1.0) {
-            requestAnimationFrame(animateCamera);
-        } else {
-            currentHubView = targetView;
-            console.log('Navigation completed to view:', targetView);
-            console.log('Final camera rotation:', camera.rotation);
-        }
+    if (current.discard) {
+        console.log('Clip discarded');
+        return;
+    }
+    if (current.chunks.length === 0) {
+        console.warn('Clip is empty, nothing to save');
+        return;
     }
     
-    animateCamera();
+    const blob = new Blob(current.chunks, { type: current.recorder.mimeType || 'video/webm' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `succinct-village-${new Date().toISOString().replace(/[:.]/g, '-')}.webm`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    console.log(`Clip saved: ${current.time.toFixed(1)} s, ${(blob.size / 1024 / 1024).toFixed(1)} MB`);
 }
 
-function showHubHint() {
-    let hint = document.querySelector('.hub-hint');
+// Function to read "Hide HUD" checkbox
+function getRecordHideHudOption() {
+    return recordControls ? recordControls.querySelector('input').checked : true;
+}
+
+// Function to add record button with HUD option
+function createRecordControls() {
+    recordControls = document.createElement('div');
+    recordControls.className = 'record-controls';
+    recordControls.innerHTML = `
+        <button class="record-button" title="Record clip">⏺</button>
+        <label><input type="checkbox" checked> Hide HUD</label>
+    `;
+    recordControls.querySelector('.record-button').addEventListener('click', toggleRecording);
+    document.body.appendChild(recordControls);
+}
+
+// Function to show record or stop symbol on record button
+function updateRecordControls() {
+    if (!recordControls) return;
     
-    if (!hint) {
-        hint = document.createElement('div');
-        hint.className = 'hub-hint';
-        hint.textContent = 'Press E to enter hub';
-        document.body.appendChild(hint);
-    }
+    const button = recordControls.querySelector('.record-button');
+    button.textContent = recording ? '⏹' : '⏺';
+    button.title = recording ? 'Stop recording' : 'Record clip';
+    recordControls.querySelector('input').disabled = Boolean(recording);
 }
 
-function hideHubHint() {
-    const hint = document.querySelector('.hub-hint');
-    if (hint) {
-        hint.remove();
+// Function to show recording indicator
+function showRecordIndicator() {
+    if (!recordIndicator) {
+        recordIndicator = document.createElement('div');
+        recordIndicator.className = 'record-indicator';
+        document.body.appendChild(recordIndicator);
     }
+    updateRecordIndicator();
 }
 
-function showExitHubHint() {
-    let hint = document.querySelector('.hub-hint');
+// Function to show recorded time and limit
+function updateRecordIndicator() {
+    if (!recordIndicator || !recording) return;
     
-    if (!hint) {
-        hint = document.createElement('div');
-        hint.className = 'hub-hint';
-        hint.textContent = 'Press E to exit hub';
-        document.body.appendChild(hint);
+    const format = seconds => `${Math.floor(seconds / 60)}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`;
+    recordIndicator.textContent = `● REC ${format(recording.time)} / ${format(recording.maxSeconds)}`;
+}
+
+// Function to remove recording indicator
+function hideRecordIndicator() {
+    if (recordIndicator) {
+        recordIndicator.remove();
+        recordIndicator = null;
     }
 }
 
-function checkHubProximity() {
-    if (!character) return;
-    
-    // Если персонаж в хабе, показываем подсказку о выходе
-    if (isViewingHub) {
-        showExitHubHint();
-        return;
+// Function to add styles of clip recorder
+function addRecordStyles() {
+    const style = document.createElement('style');
+    style.className = 'village-style';
+    style.textContent = `
+        body.recording-clean > :not(canvas):not(.record-controls):not(.record-indicator):not(.photo-panel) {
+            display: none !important;
+        }
+        body.photo-mode > .record-indicator {
+            display: block !important;
+        }
+        .record-controls {
+            position: fixed;
+            top: 70px;
+            left: 20px;
+            display: flex;
+            align-items: center;
+            gap: 8px;
+            color: #ff80bf;
+            font-family: Arial, sans-serif;
+            font-size: 13px;
+            z-index: 1000;
+        }
+        .record-button {
+            width: 40px;
+            height: 40px;
+            background-color: rgba(0, 0, 0, 0.6);
+            color: #ff4d4d;
+            border: 1px solid #ff80bf;
+            border-radius: 5px;
+            font-size: 20px;
+            cursor: pointer;
+        }
+        .record-indicator {
+            position: fixed;
+            top: 20px;
+            left: 50%;
+            transform: translateX(-50%);
+            padding: 6px 12px;
+            background-color: rgba(0, 0, 0, 0.6);
+            color: #ff4d4d;
+            border-radius: 5px;
+            font-family: Arial, sans-serif;
+            font-size: 14px;
+            z-index: 1200;
+            pointer-events: none;
+            animation: record-blink 1s step-end infinite;
+        }
+        @keyframes record-blink {
+            50% { color: #ffffff; }
+        }
+    `;
+    document.head.appendChild(style);
+}
+
+
+// Public API - host page controls village through window.succinctVillage (also default export)
+// Set window.succinctVillageConfig = { autoStart: false } before loading script to call start() later
+const VILLAGE_EVENTS = ['portalOpened', 'panelClosed', 'modeChanged', 'hubEntered', 'posterClicked', 'assetsLoaded', 'avatarChanged'];
+const TELEPORT_DISTANCE = 2; // Distance from object where character is placed, units
+
+const villageEventListeners = {}; // Callbacks of each public event
+const domListeners = []; // Window and document listeners, removed by destroy()
+let animationFrameId = null; // Pending animation frame
+let isVillageStarted = false;
+let isVillageDestroyed = false;
+const loadedAssets = { world: false, character: false }; // assetsLoaded fires once all parts are loaded
+
+const succinctVillage = {
+    start: startVillage,
+    teleportTo: teleportTo,
+    openPortal: openPortal,
+    closePanel: () => closeInfoPanel(),
+    setLightingMode: setLightingMode, // e.g. ('dawn', 3) crossfades to dawn over 3 seconds
+    getLightingMode: () => (isNightMode ? 'night' : 'day'),
+    getLightingProfile: () => lightingProfile,
+    enterHub: (view) => enterHub(view),
+    exitHub: () => exitHub(),
+    getViewState: () => describeViewState(viewState), // e.g. 'exploring', 'hubView(roles)'
+    setAvatar: setAvatar, // e.g. { model: 'crab', tint: 'pink', hat: 'crown', badge: 'Prover' }
+    getAvatar: () => Object.assign({}, avatarChoice),
+    startRecording: (options) => startRecording(options), // options: { maxSeconds, hideHud }
+    stopRecording: () => stopRecording(),
+    isRecording: () => Boolean(recording),
+    setQuality: setQuality, // 'auto', 'low', 'medium', 'high' or 'ultra'
+    getQuality: () => Object.assign({}, qualitySetting),
+    setWeather: setWeather, // 'auto' (follows lighting profile), 'clear', 'rain' or 'snow'
+    getWeather: () => ({ mode: weatherSetting, weather: getActiveWeather() }),
+    setPaused: (paused) => setSimulationPaused(Boolean(paused)),
+    isPaused: () => isSimulationPaused,
+    on: onVillageEvent,
+    off: offVillageEvent,
+    destroy: destroyVillage
+};
+
+// Function to add window or document listener that destroy() will remove
+function listen(target, type, handler, options) {
+    target.addEventListener(type, handler, options);
+    domListeners.push({ target, type, handler, options });
+}
+
+// Function to subscribe to public event, returns function that unsubscribes
+function onVillageEvent(name, callback) {
+    if (!VILLAGE_EVENTS.includes(name)) {
+        console.warn(`Unknown village event "${name}", expected one of: ${VILLAGE_EVENTS.join(', ')}`);
     }
+    (villageEventListeners[name] = villageEventListeners[name] || []).push(callback);
+    return () => offVillageEvent(name, callback);
+}
+
+// Function to unsubscribe from public event
+function offVillageEvent(name, callback) {
+    const callbacks = villageEventListeners[name];
+    if (!callbacks) return;
     
-    // Иначе проверяем, находится ли персонаж рядом с триггером хаба
-    let nearHubTrigger = false;
+    const index = callbacks.indexOf(callback);
+    if (index !== -1) {
+        callbacks.splice(index, 1);
+    }
+}
+
+// Function to notify host page; errors in host callbacks don't break the village
+function emitVillageEvent(name, detail) {
+    const callbacks = villageEventListeners[name];
+    if (!callbacks) return;
     
-    scene.traverse((node) => {
-        if (node.userData && node.userData.isHubTrigger) {
-            const distance = character.position.distanceTo(node.getWorldPosition(new THREE.Vector3()));
-            if (distance < 3) {
-                nearHubTrigger = true;
-            }
+    callbacks.slice().forEach(callback => {
+        try {
+            callback(detail);
+        } catch (e) {
+            console.error(`Error in "${name}" listener:`, e);
         }
     });
+}
+
+// Function to mark part of assets as loaded; when all are loaded, URL view is opened and assetsLoaded fires
+function onAssetLoaded(part) {
+    if (loadedAssets[part] || isVillageDestroyed) return;
+    loadedAssets[part] = true;
     
-    if (nearHubTrigger) {
-        showHubHint();
-    } else {
-        hideHubHint();
+    if (!Object.values(loadedAssets).every(Boolean)) return;
+    
+    // Open view mode requested in URL
+    applyViewStateFromUrl();
+    
+    emitVillageEvent('assetsLoaded', {
+        portals: portals.map(portal => portal.title),
+        interactables: interactables.map(interactable => interactable.id)
+    });
+}
+
+// Function to start village once (runs automatically unless autoStart is false)
+function startVillage() {
+    if (isVillageDestroyed) {
+        console.warn('Village was destroyed and cannot be started again');
+        return false;
     }
+    if (isVillageStarted) return false;
+    
+    isVillageStarted = true;
+    init();
+    return true;
 }
 
-function enterHub() {
-    console.log('Attempting to enter hub...');
-    console.log('isViewingHub:', isViewingHub);
-    console.log('hubObjects.main:', hubObjects.main);
+// Function to find object by interactable id ("portal:Portal002"), scene node name or panel title
+function findVillageObject(objectId) {
+    const interactable = interactables.find(item => item.id === objectId);
+    if (interactable) {
+        return { object: interactable.object, position: interactable.position.clone() };
+    }
     
-    if (isViewingHub || !hubObjects.main) {
-        console.log('Cannot enter hub:', isViewingHub ? 'already viewing hub' : 'hub object not found');
-        return;
+    const node = scene.getObjectByName(objectId);
+    if (node) {
+        return { object: node, position: node.getWorldPosition(new THREE.Vector3()) };
     }
     
-    isViewingHub = true;
-    currentHubView = 'main';
-    isCameraAnimating = true;
+    const item = findPanelItem(objectId);
+    if (item && item.mesh) {
+        return { object: item.mesh, position: item.mesh.getWorldPosition(new THREE.Vector3()) };
+    }
     
-    // Удаляем старую подсказку о входе
-    hideHubHint();
+    return null;
+}
+
+// Function to move character next to object, facing it
+function teleportTo(objectId) {
+    if (!character) {
+        console.warn('Cannot teleport: character not loaded');
+        return false;
+    }
     
-    // Save original camera state
-    originalCameraPosition = camera.position.clone();
-    originalControlsEnabled = controls ? controls.enabled : false;
+    const target = findVillageObject(objectId);
+    if (!target) {
+        console.warn(`Cannot teleport: object "${objectId}" not found`);
+        return false;
+    }
     
-    if (controls) {
-        controls.enabled = false;
+    // Board and hub own camera - go back to walking first
+    if (!getViewStateConfig().movement) {
+        requestViewState('exploring');
     }
     
-    // Get hub main position
-    const hubPosition = hubObjects.main.position.clone();
-    console.log('Hub position:', hubPosition);
+    // Stand on side of object where character already is
+    const offset = _tempVector.subVectors(character.position, target.position);
+    offset.y = 0;
+    if (offset.lengthSq() < 1e-6) {
+        offset.set(0, 0, 1);
+    }
+    offset.normalize().multiplyScalar(TELEPORT_DISTANCE);
     
-    // Calculate target camera position - перемещаем камеру влево
-    const targetPosition = hubPosition.clone();
-    targetPosition.x += 6; // Перемещаем влево
-    console.log('Target camera position:', targetPosition);
+    character.position.x = Math.max(movementBounds.minX, Math.min(movementBounds.maxX, target.position.x + offset.x));
+    character.position.z = Math.max(movementBounds.minZ, Math.min(movementBounds.maxZ, target.position.z + offset.z));
+    character.rotation.y = Math.atan2(-offset.x, -offset.z);
     
-    // Start animation
-    const startTime = Date.now();
-    const duration = 1000;
+    // Stand on ground near object, not at old height
+    placeCharacterOnGround(Math.max(character.position.y, target.position.y) + MAX_STEP_HEIGHT);
     
-    function animateCamera() {
-        const elapsed = Date.now() - startTime;
-        const progress = Math.min(elapsed / duration, 1.0);
-        
-        const easedProgress = easeInOutCubic(progress);
-        
-        const newPosition = new THREE.Vector3();
-        newPosition.lerpVectors(originalCameraPosition, targetPosition, easedProgress);
-        camera.position.copy(newPosition);
-        
-        console.log('Animation progress:', progress);
-        console.log('Current camera position:', camera.position);
-        
-        // Камера смотрит на хаб
-        camera.lookAt(hubPosition);
-        
-        if (progress < 1.0) {
-            requestAnimationFrame(animateCamera);
-        } else {
-            // Устанавливаем поворот камеры на 90 градусов влево
-            camera.rotation.y = Math.PI / 2;
-            // Создаем стрелки навигации
-            createHubNavigationArrows();
-            isCameraAnimating = false;
-            // Показываем подсказку о выходе
-            showExitHubHint();
-            console.log('Entered hub view');
-            console.log('Final camera position:', camera.position);
-            console.log('Final camera rotation:', camera.rotation);
-        }
+    cancelNavPath();
+    
+    // No interpolation from old place
+    previousCharacterPosition.copy(character.position);
+    previousCharacterRotation = character.rotation.y;
+    
+    updateInteractables();
+    console.log(`Teleported to "${objectId}"`);
+    return true;
+}
+
+// Function to open information panel of portal by title or node name
+function openPortal(name) {
+    const portal = findPortalByName(name);
+    if (!portal) {
+        console.warn(`Portal "${name}" not found`);
+        return false;
     }
+    return showInfoPanel(portal);
+}
+
+// Function to switch to lighting profile ('night', 'dawn', 'sunset', 'overcast', 'festival', 'spooky'; 'day' means 'sunset'),
+// moving switch if there is one; duration of crossfade in seconds is optional
+function setLightingMode(mode, duration) {
+    const name = mode === 'day' ? 'sunset' : mode;
+    if (!LIGHTING_PROFILES[name]) {
+        console.warn(`Unknown lighting mode "${mode}", expected 'day' or one of: ${Object.keys(LIGHTING_PROFILES).join(', ')}`);
+        return false;
+    }
+    
+    // Switch animation in progress already heads to other profile
+    if (name === lightingProfile || isSwitchAnimating) return true;
     
-    animateCamera();
+    if (switchObject) {
+        animateLightSwitch(name, duration);
+    } else {
+        setLightingProfile(name, duration);
+    }
+    return true;
 }
 
-function exitHub() {
-    if (!isViewingHub) return;
+// Function to stop village and remove everything it added to page
+function destroyVillage() {
+    if (isVillageDestroyed) return;
+    isVillageDestroyed = true;
+    
+    if (animationFrameId !== null) {
+        cancelAnimationFrame(animationFrameId);
+        animationFrameId = null;
+    }
     
-    isViewingHub = false;
+    // Stop animations and effects
+    activeTweens.slice().forEach(tween => tween.cancel());
+    activeTickers.slice().forEach(ticker => ticker.cancel());
+    if (characterAnimation && characterAnimation.mixer) {
+        characterAnimation.mixer.stopAllAction();
+    }
+    characterAnimation = null;
+    avatarLoadId++; // Model still loading is not added
     
-    // Удаляем подсказку о выходе
-    hideHubHint();
+    // Remove input listeners
+    domListeners.forEach(({ target, type, handler, options }) => {
+        target.removeEventListener(type, handler, options);
+    });
+    domListeners.length = 0;
     
-    // Remove navigation arrows
+    // Stop sounds
+    [walkSound, portalSound, backgroundMusic].concat(Object.values(behaviorSounds)).forEach(sound => {
+        if (sound && sound.isPlaying && sound.stop) {
+            sound.stop();
+        }
+    });
+    
+    // Remove panels, prompts and hints (clip being recorded is not downloaded)
+    stopRecording({ discard: true });
+    if (recordControls) {
+        recordControls.remove();
+        recordControls = null;
+    }
+    if (viewState.name === 'photoMode') {
+        exitPhotoMode();
+    }
+    removeInfoPanel();
+    closeControlsScreen();
+    closeAvatarPicker();
+    closeSettingsPanel();
+    document.querySelectorAll('.controls-button').forEach(button => button.remove());
+    if (avatarLabel) {
+        avatarLabel.remove();
+        avatarLabel = null;
+    }
+    if (touchControls) {
+        touchControls.remove();
+        touchControls = null;
+        touchControlParts = null;
+    }
+    interactables.slice().forEach(unregisterInteractable);
+    setActiveApproachPrompt(null);
+    hideHubHint();
+    hideWantedViewHint();
     if (hubNavigationArrows) {
         hubNavigationArrows.remove();
         hubNavigationArrows = null;
     }
+    document.querySelectorAll('style.village-style').forEach(style => style.remove());
     
-    // Animate camera back to original position
-    const startPosition = camera.position.clone();
-    const startTime = Date.now();
-    const duration = 1000;
+    // Close audio context, sounds can't be played after destroy
+    const listener = camera && camera.children.find(child => child instanceof THREE.AudioListener);
+    if (listener && listener.context.state !== 'closed') {
+        listener.context.close().catch(e => console.error('Error closing audio context:', e));
+    }
     
-    function animateCamera() {
-        const elapsed = Date.now() - startTime;
-        const progress = Math.min(elapsed / duration, 1.0);
-        
-        camera.position.lerpVectors(startPosition, originalCameraPosition, easeInOutCubic(progress));
-        
-        if (progress < 1.0) {
-            requestAnimationFrame(animateCamera);
-        } else {
-            if (controls) {
-                controls.enabled = originalControlsEnabled;
+    // Free GPU resources
+    if (scene) {
+        scene.traverse((node) => {
+            if (node.geometry) {
+                node.geometry.dispose();
             }
-            console.log('Exited hub view');
-        }
+            if (node.material) {
+                (Array.isArray(node.material) ? node.material : [node.material]).forEach(material => material.dispose());
+            }
+        });
+    }
+    if (bloomComposer) bloomComposer.dispose();
+    if (finalComposer) finalComposer.dispose();
+    if (renderer) {
+        renderer.dispose();
+        renderer.domElement.remove();
     }
     
-    animateCamera();
+    Object.keys(villageEventListeners).forEach(name => delete villageEventListeners[name]);
+    
+    if (window.succinctVillage === succinctVillage) {
+        delete window.succinctVillage;
+    }
+    console.log('Village destroyed');
 }
 
+window.succinctVillage = succinctVillage;
 
-// Add hub proximity check to animation loop
-
+if ((window.succinctVillageConfig || {}).autoStart !== false) {
+    startVillage();
+}
 
-init();
\ No newline at end of file
+export default succinctVillage;